@@ -2,16 +2,20 @@
 //
 // Bundles and minifies the library with esbuild (fetched on demand via npx,
 // like the TypeScript definition check), gzips the result, and fails when
-// the gzipped size exceeds the budget. Keeps the "~7 kB min+gzip" claim
-// in the README honest: a change that blows the budget fails CI, and the
+// the gzipped size exceeds the budget. Keeps the min+gzip size claim in
+// the README honest: a change that blows the budget fails CI, and the
 // README number should be updated whenever the printed size drifts from it.
 import { execSync } from 'node:child_process';
 import { gzipSync } from 'node:zlib';
 
-// Measured 6.5 kB when this check was added (7.2 kB now); the headroom allows
-// normal growth while still catching an accidentally bundled dependency
-// or a runaway feature.
-const GZIP_BUDGET_BYTES = 8 * 1024;
+// Measured 6.5 kB when this check was added, 8.2 kB when raised from 8 kB
+// for path-pattern listeners and flat change records, 10.1 kB when raised
+// from 10 kB for the JSON Patch and merge-patch interop formats, 14.1 kB
+// when raised from 14 kB for history logs, persistence and undo trees,
+// 20.5 kB when raised from 20 kB for computed values; the headroom allows
+// normal growth while still catching an accidentally bundled dependency or
+// a runaway feature.
+const GZIP_BUDGET_BYTES = 24 * 1024;
 
 const minified = execSync(
   'npx -y esbuild src/lazy-watch.js --bundle --minify --format=esm --log-level=warning',
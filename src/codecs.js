@@ -0,0 +1,162 @@
+// codecs.js - Pluggable codecs for custom leaf values (Date, BigInt, class instances)
+
+// A codec value travels through JSON as a tag:
+//
+//   { $type: name, v: codec.encode(value) }
+//
+// Registered values are leaves everywhere else: validated without being
+// walked into, never proxied or merged, cloned and compared through their
+// encoding. The registry is global — every instance and every plain target
+// revives the same tags — and tested in registration order.
+const registry = new Map();
+
+// Date and RegExp are leaves without a codec, and JSON flattens them.
+// Where exact values must survive a JSON round trip (serialized undo
+// history) they are tagged the same way, unless a registered codec takes
+// them first
+const BUILTINS = new Map([
+  ['Date', { test: v => v instanceof Date, encode: d => d.getTime(), decode: t => new Date(t ?? NaN) }],
+  ['RegExp', { test: v => v instanceof RegExp, encode: r => [r.source, r.flags], decode: ([s, f]) => new RegExp(s, f) }]
+]);
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+const isPlainContainer = value => {
+  if (Array.isArray(value)) return true;
+  if (!value || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === null || Object.getPrototypeOf(proto) === null;
+};
+
+/**
+ * Add a codec to the registry; returns a function removing it again
+ * @throws {TypeError} If the codec is malformed
+ * @throws {Error} If a codec with the same name is registered
+ */
+export function registerCodec(codec) {
+  if (!codec || typeof codec !== 'object' || typeof codec.name !== 'string' || codec.name === '') {
+    throw new TypeError('LazyWatch.registerCodec: codec.name must be a non-empty string');
+  }
+  for (const method of ['test', 'encode', 'decode']) {
+    if (typeof codec[method] !== 'function') {
+      throw new TypeError(`LazyWatch.registerCodec: codec.${method} must be a function`);
+    }
+  }
+  if (registry.has(codec.name)) {
+    throw new Error(`LazyWatch.registerCodec: a codec named "${codec.name}" is already registered`);
+  }
+  const entry = { name: codec.name, test: codec.test, encode: codec.encode, decode: codec.decode };
+  registry.set(entry.name, entry);
+  return () => {
+    if (registry.get(entry.name) === entry) registry.delete(entry.name);
+  };
+}
+
+/**
+ * True while at least one codec is registered
+ */
+export function hasCodecs() {
+  return registry.size > 0;
+}
+
+/**
+ * The first registered codec whose `test` accepts the value, or null
+ */
+export function codecFor(value) {
+  if (registry.size === 0) return null;
+  for (const codec of registry.values()) {
+    if (codec.test(value)) return codec;
+  }
+  return null;
+}
+
+/**
+ * True for a codec tag: a plain object with exactly the keys `$type` (a
+ * string) and `v`
+ */
+export function isCodecTag(value) {
+  return isPlainContainer(value) && !Array.isArray(value) && typeof value.$type === 'string' &&
+    hasOwn(value, 'v') && Object.keys(value).length === 2;
+}
+
+/**
+ * The decoded value when `value` is a tag of a registered codec, else the
+ * value itself. What the appliers use: tags nobody registered stay data
+ */
+export function reviveCodecTag(value) {
+  if (registry.size === 0 || !isCodecTag(value)) return value;
+  const codec = registry.get(value.$type);
+  return codec ? codec.decode(value.v) : value;
+}
+
+/**
+ * The value with every codec value in it replaced by its tag. Walks plain
+ * objects and arrays; copy-on-write, so the value itself comes back when
+ * nothing needed tagging
+ */
+export function encodeCodecValues(value) {
+  const codec = codecFor(value);
+  if (codec) return { $type: codec.name, v: codec.encode(value) };
+  return mapEntries(value, encodeCodecValues);
+}
+
+/**
+ * The value with every tag in it decoded. Copy-on-write like
+ * `encodeCodecValues`. With `strict`, a tag naming no registered codec
+ * throws instead of staying data
+ * @throws {TypeError} In strict mode, for an unknown `$type`
+ */
+export function decodeCodecValues(value, strict = false, path = []) {
+  if (registry.size === 0 && !strict) return value;
+  if (isCodecTag(value)) {
+    const revived = reviveCodecTag(value);
+    if (revived === value && strict) {
+      const at = path.length ? ` at "${path.join('.')}"` : '';
+      throw new TypeError(`LazyWatch.decodeDiff: no codec is registered for $type "${value.$type}"${at}`);
+    }
+    return revived;
+  }
+  return mapEntries(value, (entry, key) => decodeCodecValues(entry, strict, [...path, key]));
+}
+
+/**
+ * `encodeCodecValues`, also tagging Dates and RegExps no codec takes, so
+ * the result survives JSON exactly
+ */
+export function encodeLeafValues(value) {
+  const codec = codecFor(value);
+  if (codec) return { $type: codec.name, v: codec.encode(value) };
+  for (const [name, builtin] of BUILTINS) {
+    if (builtin.test(value)) return { $type: name, v: builtin.encode(value) };
+  }
+  return mapEntries(value, encodeLeafValues);
+}
+
+/**
+ * Undo `encodeLeafValues`: registered tags first, then the built-in ones;
+ * unknown tags stay data
+ */
+export function decodeLeafValues(value) {
+  if (isCodecTag(value)) {
+    const revived = reviveCodecTag(value);
+    const builtin = BUILTINS.get(value.$type);
+    return revived === value && builtin ? builtin.decode(value.v) : revived;
+  }
+  return mapEntries(value, decodeLeafValues);
+}
+
+// Copy-on-write map over the entries of a plain object or array
+function mapEntries(value, fn) {
+  if (!isPlainContainer(value)) return value;
+  let out = value;
+  for (const key of Object.keys(value)) {
+    // Assigning it would replace the copy's prototype; never data anyway
+    if (key === '__proto__') continue;
+    const mapped = fn(value[key], key);
+    if (mapped !== value[key]) {
+      if (out === value) out = Array.isArray(value) ? value.slice() : { ...value };
+      out[key] = mapped;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,217 @@
+// collections.js - Tracked Map and Set values: the JSON-safe diff encoding
+import {Utils} from "./utils.js";
+import {decodeCodecValues} from "./codecs.js";
+
+// A collection's changes travel as one diff node keyed by its kind:
+//
+//   { $map: { clear?: true, delete?: [key, ...], set?: [[key, value], ...] } }
+//   { $set: { clear?: true, delete?: [member, ...], add?: [member, ...] } }
+//
+// Receivers apply `clear`, then `delete`, then `set`/`add`. A full value is
+// encoded with `clear: true` and every entry, so the same node serves as
+// a wholesale replacement (over anything that isn't the same kind of
+// collection) and as a merge (over one that is).
+const WIRE_KEYS = { map: '$map', set: '$set' };
+const WRITE_KEYS = { map: 'set', set: 'add' };
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+/**
+ * 'map' for a Map, 'set' for a Set, null for anything else
+ */
+export function collectionKind(value) {
+  if (value instanceof Map) return 'map';
+  if (value instanceof Set) return 'set';
+  return null;
+}
+
+/**
+ * 'map' or 'set' when `value` is a collection diff node — a plain object
+ * whose only key is `$map` or `$set`, holding well-formed ops — else null
+ */
+export function encodingKind(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const kind = hasOwn(value, '$map') ? 'map' : hasOwn(value, '$set') ? 'set' : null;
+  if (!kind || Object.keys(value).length !== 1) return null;
+  const ops = value[WIRE_KEYS[kind]];
+  if (!Utils.isPlainObject(ops)) return null;
+  for (const key of Object.keys(ops)) {
+    const valid = key === 'clear'
+      ? ops.clear === true
+      : (key === 'delete' || key === WRITE_KEYS[kind]) && Array.isArray(ops[key]);
+    if (!valid) return null;
+  }
+  return kind;
+}
+
+/**
+ * The ops object inside a collection diff node
+ */
+export function opsOf(node, kind) {
+  return node[WIRE_KEYS[kind]];
+}
+
+/**
+ * A collection diff node with no ops yet
+ */
+export function emptyEncoding(kind) {
+  return { [WIRE_KEYS[kind]]: {} };
+}
+
+/**
+ * The full-value encoding of a Map or Set (values deep-cloned)
+ */
+export function encodeCollection(collection) {
+  return collection instanceof Map
+    ? { $map: { clear: true, set: [...collection].map(([key, value]) => [key, Utils.deepClone(value)]) } }
+    : { $set: { clear: true, add: [...collection] } };
+}
+
+/**
+ * Deep copy of a value with every Map and Set in it replaced by its
+ * full-value encoding — the form diffs, inverses and snapshots leave an
+ * instance in
+ */
+export function encodeCollections(value) {
+  if (collectionKind(value)) return encodeCollection(value);
+  if (!Utils.isObjectOrArray(value)) return Utils.deepClone(value);
+  const out = Array.isArray(value) ? new Array(value.length) : {};
+  for (const key of Object.keys(value)) {
+    out[key] = encodeCollections(value[key]);
+  }
+  return out;
+}
+
+/**
+ * The value with every collection encoding in it decoded into a real Map
+ * or Set: the value itself when it is an encoding, nested ones replaced in
+ * place — callers pass their own copies
+ */
+export function decodeCollections(value) {
+  const kind = encodingKind(value);
+  if (kind) {
+    const collection = kind === 'map' ? new Map() : new Set();
+    applyCollectionOps(collection, kind, opsOf(value, kind));
+    return collection;
+  }
+  if (Utils.isObjectOrArray(value)) {
+    for (const key of Object.keys(value)) {
+      if (Utils.isUnsafeKey(key)) continue;
+      const decoded = decodeCollections(value[key]);
+      if (decoded !== value[key]) value[key] = decoded;
+    }
+  }
+  return value;
+}
+
+/**
+ * Apply a collection diff's ops to a Map or Set — raw, or a tracked proxy,
+ * whose methods record what actually changes. `clear` only removes what
+ * the node doesn't write back, so re-applying a full value leaves an
+ * already-equal collection untouched (echo stability). Map values are
+ * cloned, codec tags in them revived; the ops are never mutated or
+ * aliased.
+ */
+export function applyCollectionOps(collection, kind, ops) {
+  const writes = ops[WRITE_KEYS[kind]] ?? [];
+  if (ops.clear) {
+    const kept = new Set(kind === 'map' ? writes.map(([key]) => key) : writes);
+    for (const key of [...collection.keys()]) {
+      if (!kept.has(key)) collection.delete(key);
+    }
+  }
+  for (const key of ops.delete ?? []) collection.delete(key);
+  for (const write of writes) {
+    if (kind === 'map') collection.set(write[0], decodeCodecValues(Utils.deepClone(write[1])));
+    else collection.add(write);
+  }
+}
+
+/**
+ * Record a write of `key` (a Set member: `value` is ignored) into ops,
+ * keeping them minimal: one entry per key, deletions of it dropped
+ */
+export function recordCollectionWrite(ops, kind, key, value) {
+  removeMatching(ops, 'delete', item => item === key);
+  if (kind === 'map') {
+    const list = ops.set ??= [];
+    const entry = list.find(([existing]) => existing === key);
+    if (entry) entry[1] = value;
+    else list.push([key, value]);
+  } else {
+    const list = ops.add ??= [];
+    if (!list.includes(key)) list.push(key);
+  }
+}
+
+/**
+ * Record a deletion of `key` into ops. After a `clear` the key is gone
+ * already, so only its pending write is dropped
+ */
+export function recordCollectionDelete(ops, kind, key) {
+  removeMatching(ops, WRITE_KEYS[kind], item => (kind === 'map' ? item[0] : item) === key);
+  if (ops.clear) return;
+  const list = ops.delete ??= [];
+  if (!list.includes(key)) list.push(key);
+}
+
+/**
+ * Record a `clear` into ops: everything recorded before it is moot
+ */
+export function recordCollectionClear(ops) {
+  for (const key of Object.keys(ops)) delete ops[key];
+  ops.clear = true;
+}
+
+/**
+ * True when ops already say what `key` should become
+ */
+export function recordsCollectionKey(ops, kind, key) {
+  if (ops.clear || (ops.delete ?? []).includes(key)) return true;
+  return kind === 'map'
+    ? (ops.set ?? []).some(([existing]) => existing === key)
+    : (ops.add ?? []).includes(key);
+}
+
+/**
+ * Turn inverse ops into a complete restore: `current` is the collection
+ * as it is now, so every key the ops don't mention still holds its
+ * pre-batch entry. Done before a collection is cleared or replaced
+ */
+export function completeCollectionInverse(ops, kind, current) {
+  if (ops.clear) return;
+  const writes = ops[WRITE_KEYS[kind]] ?? [];
+  for (const [key, value] of current.entries()) {
+    if (recordsCollectionKey(ops, kind, key)) continue;
+    writes.push(kind === 'map' ? [key, Utils.deepClone(value)] : key);
+  }
+  recordCollectionClear(ops);
+  ops[WRITE_KEYS[kind]] = writes;
+}
+
+/**
+ * Compose an older value with a newer collection diff node into one node
+ * with the same effect: same-kind ops merge; over anything else the newer
+ * ops land on a fresh collection, so the result is a full value
+ */
+export function composeCollectionDiffs(older, newer) {
+  const kind = encodingKind(newer);
+  const newOps = opsOf(newer, kind);
+  const ops = encodingKind(older) === kind && !newOps.clear
+    ? Utils.deepClone(opsOf(older, kind))
+    : { clear: true };
+  for (const key of newOps.delete ?? []) recordCollectionDelete(ops, kind, key);
+  for (const write of newOps[WRITE_KEYS[kind]] ?? []) {
+    if (kind === 'map') recordCollectionWrite(ops, kind, write[0], Utils.deepClone(write[1]));
+    else recordCollectionWrite(ops, kind, write);
+  }
+  return { [WIRE_KEYS[kind]]: ops };
+}
+
+// Drop the entries of one op list that match, and the list once empty
+function removeMatching(ops, list, matches) {
+  if (!ops[list]) return;
+  const kept = ops[list].filter(item => !matches(item));
+  if (kept.length > 0) ops[list] = kept;
+  else delete ops[list];
+}
@@ -0,0 +1,143 @@
+// computed.js - Derived values recomputed when a batch touches what they read
+import {Utils} from "./utils.js";
+import {encodingKind} from "./collections.js";
+
+const within = (path, prefix) =>
+  prefix.length <= path.length && prefix.every((segment, i) => segment === path[i]);
+
+/**
+ * Every path a raw batch diff changes. `written` paths got a new value
+ * (a leaf, null, an array, an encoded collection, or a `$splice` on the
+ * array there), `removed` ones were deleted; the others are object nodes
+ * the diff only descends into
+ */
+function changedPaths(diff, path = [], out = []) {
+  for (const key of Object.keys(diff)) {
+    const value = diff[key];
+    if (key === '$splice') {
+      out.push({ path, written: true });
+      continue;
+    }
+    const childPath = [...path, key];
+    const descend = Utils.isPlainObject(value) && !encodingKind(value);
+    out.push({ path: childPath, written: !descend, removed: value === null });
+    if (descend) changedPaths(value, childPath, out);
+  }
+  return out;
+}
+
+/**
+ * Whether a change can alter what a read saw (see ProxyHandler.trackReads
+ * for the kinds of read). Writing at or above a read replaces it, and
+ * that is all a container read or a successful `in` check can miss; below,
+ * a leaf read is affected by anything, an enumeration only by a key one
+ * level down appearing or disappearing (an array's `length` standing for
+ * its indices) — a container read's own inner reads are tracked separately
+ */
+function affects(change, read) {
+  if (change.written && within(read.path, change.path)) return true;
+  switch (read.kind) {
+    case 'value': return within(change.path, read.path);
+    case 'keys': {
+      if (change.path.length !== read.path.length + 1 || !within(change.path, read.path)) return false;
+      const key = change.path[read.path.length];
+      return change.removed || key === 'length' || !read.keys.has(key);
+    }
+    default: return false;
+  }
+}
+
+/**
+ * Computed - a value derived from a watched object
+ *
+ * Created via LazyWatch.computed(watched, fn, options). `fn` runs once on
+ * creation with every path it reads through the proxy recorded; after
+ * that it reruns only for emitted batches that change one of those paths,
+ * and the paths are recorded afresh on every run. A result deep-equal to
+ * the previous one is dropped, so `value` keeps its identity and nothing
+ * is written.
+ *
+ * With a `write` dependency the value is also stored into the state, and
+ * stored again whenever a batch changes that key from outside.
+ *
+ * Dependencies are injected as closures so the class stays decoupled from
+ * LazyWatch internals.
+ */
+export class Computed {
+  #evaluate;
+  #write;
+  #keyPath;
+  #value;
+  #reads = [];
+  #unsubscribe;
+  #onDispose;
+  #disposed = false;
+
+  /**
+   * @param {Object} deps
+   * @param {Function} deps.evaluate - () => { value, reads }: run the
+   *   function with its reads tracked
+   * @param {Function} deps.subscribe - (listener) => unsubscribe; listener
+   *   gets the raw root diff of each emitted batch
+   * @param {Function} [deps.write] - (value) => void: store the value
+   * @param {string[]} [deps.keyPath] - Root path `write` stores at
+   * @param {Function} [deps.onDispose] - Called once when disposed
+   */
+  constructor({ evaluate, subscribe, write, keyPath, onDispose }) {
+    this.#evaluate = evaluate;
+    this.#write = write;
+    this.#keyPath = keyPath;
+    this.#onDispose = onDispose;
+    this.#recompute(true);
+    this.#unsubscribe = subscribe(diff => this.#onBatch(diff));
+  }
+
+  /**
+   * The current value: a detached copy of what the function returned
+   */
+  get value() {
+    return this.#value;
+  }
+
+  /**
+   * True once disposed
+   */
+  get disposed() {
+    return this.#disposed;
+  }
+
+  #onBatch(diff) {
+    const changes = changedPaths(diff);
+    if (changes.some(change => this.#reads.some(read => affects(change, read)))) {
+      this.#recompute(false);
+    } else if (this.#write && changes.some(change => affects(change, { path: this.#keyPath, kind: 'value' }))) {
+      // Someone else wrote the key: put the value back (a no-op write when
+      // it already holds an equal one)
+      this.#write(this.#value);
+    }
+  }
+
+  /**
+   * Rerun the function. A throw keeps the previous value and reads, so
+   * the next batch touching them retries
+   */
+  #recompute(initial) {
+    const { value, reads } = this.#evaluate();
+    this.#reads = reads;
+    if (initial || !Utils.deepEqual(value, this.#value)) {
+      this.#value = Utils.deepClone(value);
+    }
+    if (this.#write) this.#write(this.#value);
+  }
+
+  /**
+   * Stop recomputing. The value and anything written stay as they are.
+   * Idempotent
+   */
+  dispose() {
+    if (this.#disposed) return;
+    this.#disposed = true;
+    this.#unsubscribe();
+    if (this.#onDispose) this.#onDispose();
+  }
+}
@@ -1,5 +1,7 @@
 // diff-compose.js - Pure composition of sequential diffs
 import {Utils} from "./utils.js";
+import {composeCollectionDiffs, decodeCollections, encodeCollections, encodingKind} from "./collections.js";
+import {isCodecTag} from "./codecs.js";
 
 const INDEX_RE = /^\d+$/;
 
@@ -93,7 +95,7 @@ export function composeFragments(a, b, applyFragment, path = []) {
  * Compose one key's older value with its newer value.
  *
  * - `null` or a leaf in `b` wins outright: receivers apply those wholesale,
- *   so whatever `a` did first is invisible.
+ *   so whatever `a` did first is invisible. Codec tags are leaves.
  * - A real array in `b` also wins: array values are self-describing (their
  *   `length` truncates), so patching one onto any aligned target yields
  *   exactly that array.
@@ -101,29 +103,35 @@ export function composeFragments(a, b, applyFragment, path = []) {
  *   the fragment is applied to a clone of the container, producing the
  *   value a sequential receiver would hold.
  * - A fragment in `b` over a fragment in `a` composes recursively.
+ * - Collection ops in `b` merge into same-kind ops in `a`; over anything
+ *   else they become a full collection value (see collections.js).
  * - A fragment in `b` over `null`/a leaf in `a` throws — sequentially the
  *   fragment lands on nothing and becomes the exact value, but a single
  *   composed diff would merge it into the receiver's stale container,
  *   which patch cannot express for objects. (Array fragments escape via
- *   revival: they become a real array, which is self-describing.)
+ *   revival: they become a real array, which is self-describing.) Collection
+ *   ops and codec tags in `a` count as leaves here.
  */
 function composeValue(av, bv, applyFragment, path) {
   if (bv === null) return null;
-  if (!Utils.isObjectOrArray(bv)) return Utils.deepClone(bv); // leaf: primitive, Date, RegExp
+  if (!Utils.isObjectOrArray(bv) || isCodecTag(bv)) return Utils.deepClone(bv); // leaf: primitive, Date, RegExp, codec value
   if (Array.isArray(bv)) return Utils.deepClone(bv); // wholesale array replaces anything
+  if (encodingKind(bv)) return composeCollectionDiffs(av, bv);
 
   // bv is a plain-object fragment (object diff, array fragment, or a full
   // object value — the wire format cannot distinguish the last two)
-  if (av === null || !Utils.isObjectOrArray(av)) {
+  if (av === null || !Utils.isObjectOrArray(av) || encodingKind(av) || isCodecTag(av)) {
     if (Utils.isArrayDiff(bv)) return Utils.deepClone(Utils.reviveArrayDiffs(bv));
     fail(path, 'a deletion or leaf write followed by an object diff has no ' +
       'single-diff representation (the object diff would merge into the ' +
       "receiver's stale value instead of replacing it)");
   }
   if (Array.isArray(av)) {
-    const materialized = Utils.deepClone(av);
+    // Encoded collections are materialized as real ones, like a receiver
+    // holds them, and encoded again for the wire
+    const materialized = decodeCollections(Utils.deepClone(av));
     applyFragment(materialized, bv);
-    return materialized;
+    return encodeCollections(materialized);
   }
   return composeFragments(av, bv, applyFragment, path);
 }
@@ -0,0 +1,136 @@
+// diff-flatten.js - Flat change records derived from a nested diff
+import {Utils} from "./utils.js";
+import {encodingKind} from "./collections.js";
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+/**
+ * Flatten a diff (and optionally its inverse) into a list of change
+ * records, in the order receivers apply them:
+ *
+ * - `{ path, op: 'set', value }` for every leaf, real array, or empty
+ *   object the diff writes. Plain objects are descended into — the wire
+ *   format cannot tell a fragment from a full object value, and leaf-level
+ *   records are the same either way.
+ * - `{ path, op: 'delete' }` for every `null`.
+ * - `{ path, op: 'set', value }` for every Map/Set diff node (`{ $map }` or
+ *   `{ $set }`, see collections.js), `value` being the node: its entry
+ *   ops are not split up.
+ * - `{ path, op: 'splice', index, deleteCount, value }` for every compact
+ *   `$splice` op, `path` being the array and `value` the inserted items.
+ *   Ops come first within their array, as receivers apply them first.
+ * - An array's `length` becomes a `set` record on `[...path, 'length']`,
+ *   after the node's other records. With the inverse it is reported only
+ *   when it changed (a length restated by an in-place write is not);
+ *   without one, whenever the node carries it.
+ *
+ * When `inverse` is given, every record also carries `oldValue`, read
+ * from the inverse at the same path (undefined when the path was absent).
+ * The inverse records every key a batch touched — completely wherever the
+ * diff holds a complete value — so no live state is needed.
+ *
+ * @param {*} diff - A diff, or the path-relative value a nested listener
+ *   receives (null or a leaf for a deleted/replaced subtree)
+ * @param {*} [inverse] - The matching inverse
+ * @returns {Array<Object>} The change records; values share references
+ *   with `diff`, like the nested diff other listeners receive
+ */
+export function flattenDiff(diff, inverse) {
+  const records = [];
+  flatten(diff, inverse, [], records, inverse !== undefined);
+  return records;
+}
+
+function flatten(node, inv, path, records, withOld) {
+  const push = record => {
+    if (withOld) record.oldValue = oldValueOf(inv);
+    records.push(record);
+  };
+  if (node === null || node === undefined) {
+    push({ path, op: 'delete' });
+    return;
+  }
+  if (!Utils.isObjectOrArray(node) || Array.isArray(node) || encodingKind(node)) {
+    push({ path, op: 'set', value: node });
+    return;
+  }
+  const keys = Object.keys(node);
+  if (keys.length === 0) {
+    push({ path, op: 'set', value: node });
+    return;
+  }
+
+  const ops = Array.isArray(node.$splice) ? node.$splice : null;
+  if (ops) {
+    for (const [index, deleteCount, items = []] of ops) {
+      records.push({ path, op: 'splice', index, deleteCount, value: items });
+    }
+  }
+
+  for (const key of keys) {
+    if (key === '$splice' || key === 'length' || Utils.isUnsafeKey(key)) continue;
+    flatten(node[key], childOf(inv, key), [...path, key], records, withOld);
+  }
+
+  // Index writes alone can't say the array also shrank (`a = [9]` over
+  // [1, 2, 3] writes index 0 and truncates), so the length is reported
+  // whenever the inverse shows it changed — and, without an inverse to
+  // tell, always. In a plain object `length` is ordinary data and always
+  // reported.
+  if (hasOwn(node, 'length')) {
+    const lengthInv = childOf(inv, 'length');
+    const report = !Utils.isArrayDiff(node) || !withOld ||
+      (lengthInv !== undefined && lengthInv !== node.length);
+    if (report) flatten(node.length, lengthInv, [...path, 'length'], records, withOld);
+  }
+}
+
+function childOf(parent, key) {
+  return Utils.isObjectOrArray(parent) && hasOwn(parent, key) ? parent[key] : undefined;
+}
+
+/**
+ * The pre-batch value an inverse record describes: null markers mean the
+ * path was absent, and containers (complete records wherever the diff
+ * holds a complete value) drop nested null markers the same way
+ */
+function oldValueOf(inv) {
+  if (inv === null || inv === undefined) return undefined;
+  return Utils.isObjectOrArray(inv) ? Utils.cloneWithoutNulls(Utils.reviveArrayDiffs(inv)) : inv;
+}
+
+/**
+ * The paths a diff changes: the path of every flat change record
+ * @param {*} diff - A diff, or a path-relative value (null or a leaf)
+ * @returns {Array<Array<string>>}
+ */
+export function touchedPaths(diff) {
+  return flattenDiff(diff).map(record => record.path);
+}
+
+/**
+ * The part of an inverse that no later change touched. `touched` holds the
+ * paths later steps changed; an inverse node they reach at or above is a
+ * conflict and dropped (its path pushed to `conflicts`), one they reach
+ * only below is split key by key. Array fragments, collection ops and
+ * complete values are never split — their parts aren't independent — so
+ * a later change anywhere inside makes the whole node a conflict.
+ * @returns {*} The pruned inverse; undefined when nothing is left
+ */
+export function pruneInverse(inverse, touched, conflicts, path = []) {
+  const later = touched.filter(other =>
+    other.every((segment, i) => i >= path.length || segment === path[i]) ||
+    path.every((segment, i) => i >= other.length || segment === other[i]));
+  if (later.length === 0) return inverse;
+  if (later.some(other => other.length <= path.length) || !Utils.isPlainObject(inverse) ||
+      Utils.isArrayDiff(inverse) || encodingKind(inverse)) {
+    conflicts.set(JSON.stringify(path), path);
+    return undefined;
+  }
+  const kept = {};
+  for (const key of Object.keys(inverse)) {
+    const child = pruneInverse(inverse[key], later, conflicts, [...path, key]);
+    if (child !== undefined) kept[key] = child;
+  }
+  return Object.keys(kept).length > 0 ? kept : undefined;
+}
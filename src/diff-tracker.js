@@ -1,5 +1,6 @@
 // diff-tracker.js - Handles diff tracking
 import {Utils} from "./utils.js";
+import {collectionKind, completeCollectionInverse, emptyEncoding, encodeCollections, encodingKind, opsOf} from "./collections.js";
 
 export class DiffTracker {
   #masterDiff = {};
@@ -21,12 +22,82 @@ export class DiffTracker {
   // option, and temporarily by LazyWatch.transaction().
   inverseEnabled = false;
 
+  // When true (the `collections` constructor option), state may hold
+  // tracked Map/Set values: diffs and inverses leave the tracker with them
+  // encoded (see collections.js), so they stay JSON-safe.
+  collections = false;
+
+  // What produced the writes being recorded right now — 'local' for
+  // direct mutations; LazyWatch.patch/overwrite, undo managers and
+  // transactions set it (and patch/overwrite their `origin` tag) while
+  // they apply. A write whose source or origin differs from the pending
+  // batch's seals that batch first, so every batch has exactly one.
+  writeSource = 'local';
+  writeOrigin = undefined;
+  // While true (silent, transaction) writes never split the batch
+  holdBatch = false;
+  // While set, writes belong to this owner: a function called with each of
+  // its batches ({ diff, inverse, meta }) as the batch closes.
+  // LazyWatch.transactionAsync collects its own batches this way. Owners
+  // split batches like sources do, but never show up in meta.
+  writeOwner = null;
+  #batchSource = 'local';
+  #batchOrigin = undefined;
+  #batchOwner = null;
+  #nextBatchId = 1;
+  // Batches sealed by a source/origin change, oldest first, awaiting emission
+  #sealed = [];
+  // While set, called with each batch as it is sealed, before any later
+  // write lands: the state is still that batch's post-batch state, which
+  // the merge-patch wire encoding reads its arrays from
+  onSeal = null;
+  // Open transaction savepoints, oldest first: `token` is what callers
+  // hold, `diff`/`inverse`/`lost` snapshot the pending batch when it was
+  // taken, and `changes` records the inverse of everything since — with
+  // the same rules as the batch inverse, alongside it
+  #savepoints = [];
+
   constructor() {}
 
+  /**
+   * Called on every write before it records anything: start a new batch
+   * when the write's source, origin or owner differs from the pending
+   * batch's
+   */
+  #touch() {
+    if (this.writeSource === this.#batchSource && this.writeOrigin === this.#batchOrigin &&
+        this.writeOwner === this.#batchOwner) return;
+    const pending = Object.keys(this.#masterDiff).length > 0;
+    if (pending && this.holdBatch) return;
+    if (pending) this.#seal();
+    this.#batchSource = this.writeSource;
+    this.#batchOrigin = this.writeOrigin;
+    this.#batchOwner = this.writeOwner;
+  }
+
+  /**
+   * Close the batch being recorded. Its meta is stamped now: batch ids
+   * count emitted batches per instance, the timestamp is the closing time
+   */
+  #takeBatch() {
+    const meta = {
+      source: this.#batchSource,
+      timestamp: Date.now(),
+      batchId: this.#nextBatchId++,
+      origin: this.#batchOrigin
+    };
+    const diff = this.consumeDiff();
+    const inverse = this.inverseEnabled ? this.consumeInverse() : undefined;
+    const batch = { diff, inverse, meta };
+    if (this.#batchOwner) this.#batchOwner(batch);
+    return batch;
+  }
+
   /**
    * Get or create a nested diff object at the given path
    */
   getDiffObject(path = []) {
+    this.#touch();
     let diffObj = this.#masterDiff;
     for (let i = 0; i < path.length; i++) {
       if (!diffObj[path[i]]) {
@@ -59,15 +130,26 @@ export class DiffTracker {
    * @param {*} [next] - Value after the change; undefined = deletion
    */
   recordInverse(path, prop, prev, next) {
+    this.#touch();
     if (!this.inverseEnabled) return;
-    const node = this.#inverseNode(path);
+    this.#recordInto(this.#masterInverse, path, prop, prev, next);
+    for (const savepoint of this.#savepoints) {
+      this.#recordInto(savepoint.changes, path, prop, prev, next);
+    }
+  }
+
+  /**
+   * recordInverse for one inverse fragment: the batch's or a savepoint's
+   */
+  #recordInto(root, path, prop, prev, next) {
+    const node = this.#inverseNode(root, path);
     if (node === null) return; // covered by a recorded ancestor value
 
     const prevMissing = prev === undefined;
     if (!(prop in node)) {
       node[prop] = prevMissing
         ? null
-        : (Utils.isObjectOrArray(prev) ? Utils.deepClone(prev) : prev);
+        : (Utils.isObjectOrArray(prev) || collectionKind(prev) ? Utils.deepClone(prev) : prev);
       if (!prevMissing && Utils.isObjectOrArray(node[prop]) && Utils.isObjectOrArray(next)) {
         this.#nullFill(node[prop], next);
       }
@@ -80,6 +162,13 @@ export class DiffTracker {
     if (existing === null || !Utils.isObjectOrArray(existing) || Array.isArray(existing)) {
       return;
     }
+    // Entry-level collection ops: replacing the collection makes them a
+    // complete restore of it
+    const kind = encodingKind(existing);
+    if (kind) {
+      if (collectionKind(prev) === kind) completeCollectionInverse(opsOf(existing, kind), kind, prev);
+      return;
+    }
     if (!prevMissing && Utils.isObjectOrArray(prev)) {
       this.#gapFill(existing, prev);
     }
@@ -88,13 +177,31 @@ export class DiffTracker {
     }
   }
 
+  /**
+   * Record the pre-change state of an entry-level change to the Map or Set
+   * at `path`: `record(ops)` adds to the collection's inverse ops (see
+   * collections.js). Skipped where the inverse already holds a complete
+   * value for the collection or an ancestor.
+   */
+  recordCollectionInverse(path, kind, record) {
+    this.#touch();
+    if (!this.inverseEnabled) return;
+    const prop = path[path.length - 1];
+    for (const root of [this.#masterInverse, ...this.#savepoints.map(savepoint => savepoint.changes)]) {
+      const node = this.#inverseNode(root, path.slice(0, -1));
+      if (node === null) continue;
+      if (!(prop in node)) node[prop] = emptyEncoding(kind);
+      if (encodingKind(node[prop]) === kind) record(opsOf(node[prop], kind));
+    }
+  }
+
   /**
    * Walk to (creating as needed) the inverse node for a path. Returns null
    * when an ancestor is already recorded as a complete value (leaf, null,
    * or wholesale array) — changes below it are covered by restoring it.
    */
-  #inverseNode(path) {
-    let cur = this.#masterInverse;
+  #inverseNode(root, path) {
+    let cur = root;
     for (let i = 0; i < path.length; i++) {
       const seg = path[i];
       if (!(seg in cur)) {
@@ -116,10 +223,13 @@ export class DiffTracker {
   #gapFill(fragment, prev) {
     for (const key of Object.keys(prev)) {
       if (Utils.isUnsafeKey(key)) continue;
+      const kind = encodingKind(fragment[key]);
       if (!(key in fragment)) {
-        fragment[key] = Utils.isObjectOrArray(prev[key])
+        fragment[key] = Utils.isObjectOrArray(prev[key]) || collectionKind(prev[key])
           ? Utils.deepClone(prev[key])
           : prev[key];
+      } else if (kind) {
+        if (collectionKind(prev[key]) === kind) completeCollectionInverse(opsOf(fragment[key], kind), kind, prev[key]);
       } else if (Utils.isObjectOrArray(fragment[key]) && !Array.isArray(fragment[key]) &&
         Utils.isObjectOrArray(prev[key])) {
         this.#gapFill(fragment[key], prev[key]);
@@ -148,7 +258,8 @@ export class DiffTracker {
       if (Utils.isUnsafeKey(key)) continue;
       if (!(key in fragment)) {
         fragment[key] = null;
-      } else if (Utils.isObjectOrArray(fragment[key]) && Utils.isObjectOrArray(next[key])) {
+      } else if (Utils.isObjectOrArray(fragment[key]) && Utils.isObjectOrArray(next[key]) &&
+        !encodingKind(fragment[key])) {
         this.#nullFill(fragment[key], next[key]);
       }
     }
@@ -158,6 +269,7 @@ export class DiffTracker {
    * Record a container destroyed at path+prop this batch (first loss wins)
    */
   recordContainerLoss(path, prop, container) {
+    this.#touch();
     const key = JSON.stringify([...path, prop]);
     if (!this.#lostContainers.has(key)) {
       this.#lostContainers.set(key, container);
@@ -170,6 +282,7 @@ export class DiffTracker {
    * of the path-key allocation on the write path.
    */
   getContainerLoss(path, prop) {
+    this.#touch();
     if (this.#lostContainers.size === 0) return undefined;
     return this.#lostContainers.get(JSON.stringify([...path, prop]));
   }
@@ -187,7 +300,7 @@ export class DiffTracker {
     this.#masterDiff = {};
     // Batch boundary: receivers are caught up once this diff is applied
     this.#lostContainers.clear();
-    return Utils.deepClone(diff);
+    return this.collections ? encodeCollections(diff) : Utils.deepClone(diff);
   }
 
   /**
@@ -197,30 +310,138 @@ export class DiffTracker {
   consumeInverse() {
     const inverse = this.#masterInverse;
     this.#masterInverse = {};
+    return this.collections ? encodeCollections(inverse) : inverse;
+  }
+
+  /**
+   * Take the oldest pending batch — sealed ones first, then the one being
+   * recorded — as { diff, inverse, meta }; null when nothing is pending.
+   * `inverse` is undefined unless inverse recording is enabled.
+   */
+  consumeBatch() {
+    if (this.#sealed.length > 0) return this.#sealed.shift();
+    return Object.keys(this.#masterDiff).length > 0 ? this.#takeBatch() : null;
+  }
+
+  /**
+   * Close the batch being recorded, if any, so it queues behind the sealed
+   * ones with its meta (and owner callback) settled
+   */
+  sealBatch() {
+    if (Object.keys(this.#masterDiff).length > 0) this.#seal();
+  }
+
+  #seal() {
+    const batch = this.#takeBatch();
+    if (this.onSeal) this.onSeal(batch);
+    this.#sealed.push(batch);
+  }
+
+  /**
+   * The sealed batches awaiting emission, oldest first, without consuming
+   * them
+   */
+  sealedBatches() {
+    return [...this.#sealed];
+  }
+
+  /**
+   * Number of batches consumeBatch() would return right now
+   */
+  pendingBatchCount() {
+    return this.#sealed.length + (Object.keys(this.#masterDiff).length > 0 ? 1 : 0);
+  }
+
+  /**
+   * Check if there are any pending changes — anywhere, or only at or below
+   * `path` (a change to an ancestor counts: it replaced the subtree)
+   * @param {Array} [path=[]] - Path segments
+   */
+  hasPendingChanges(path = []) {
+    if (path.length === 0) {
+      return this.#sealed.length > 0 || Object.keys(this.#masterDiff).length > 0;
+    }
+    return [...this.#sealed.map(batch => batch.diff), this.#masterDiff].some(diff => {
+      let node = diff;
+      for (const segment of path) {
+        if (!Utils.isObjectOrArray(node)) return true;
+        if (!(segment in node)) return false;
+        node = node[segment];
+      }
+      return !Utils.isObjectOrArray(node) || Object.keys(node).length > 0;
+    });
+  }
+
+  /**
+   * Mark the current state inside a held batch (a transaction), so changes
+   * from here on can be reverted without touching earlier ones. Needs
+   * inverse recording enabled
+   * @returns {Object} An opaque token for rollbackToSavepoint/releaseSavepoint
+   */
+  savepoint() {
+    const token = Object.freeze({});
+    this.#savepoints.push({
+      token,
+      diff: Utils.deepClone(this.#masterDiff),
+      inverse: Utils.deepClone(this.#masterInverse),
+      lost: new Map(this.#lostContainers),
+      changes: {}
+    });
+    return token;
+  }
+
+  /**
+   * Check whether a savepoint token is still open
+   */
+  hasSavepoint(token) {
+    return this.#savepoints.some(savepoint => savepoint.token === token);
+  }
+
+  /**
+   * Restore the pending batch to how it was at the savepoint and return the
+   * inverse that reverts the state to match — the caller applies it without
+   * recording. Later savepoints are released; this one stays open
+   * @returns {Object} The inverse of every change since the savepoint
+   */
+  rollbackToSavepoint(token) {
+    const index = this.#savepoints.findIndex(savepoint => savepoint.token === token);
+    const savepoint = this.#savepoints[index];
+    this.#savepoints.length = index + 1;
+    const inverse = savepoint.changes;
+    savepoint.changes = {};
+    this.#masterDiff = Utils.deepClone(savepoint.diff);
+    this.#masterInverse = Utils.deepClone(savepoint.inverse);
+    this.#lostContainers = new Map(savepoint.lost);
     return inverse;
   }
 
   /**
-   * Check if there are any pending changes
+   * Release a savepoint and every later one, keeping their changes;
+   * without a token, release them all
    */
-  hasPendingChanges() {
-    return Object.keys(this.#masterDiff).length > 0;
+  releaseSavepoint(token) {
+    const index = token === undefined
+      ? 0
+      : this.#savepoints.findIndex(savepoint => savepoint.token === token);
+    if (index >= 0) this.#savepoints.length = index;
   }
 
   /**
-   * Get a copy of the current pending diff without consuming it
+   * Get a copy of the diff of the batch being recorded without consuming
+   * it (sealed batches are not included, see sealedBatches)
    * Returns a deep clone to prevent external modifications
    */
   getPendingDiff() {
     // Return a deep clone to prevent external modifications
     // (structured clone, not JSON, so Date leaves survive intact)
-    return Utils.deepClone(this.#masterDiff);
+    return this.collections ? encodeCollections(this.#masterDiff) : Utils.deepClone(this.#masterDiff);
   }
 
   /**
    * Clear all pending diffs
    */
   clear() {
+    this.#sealed = [];
     this.#masterDiff = {};
     this.#masterInverse = {};
     this.#lostContainers.clear();
@@ -1,5 +1,6 @@
 // event-emitter.js - Handles event emission with batching
 import {Utils} from "./utils.js";
+import {flattenDiff} from "./diff-flatten.js";
 
 export class EventEmitter {
   #listeners = [];
@@ -17,6 +18,13 @@ export class EventEmitter {
   #scheduledGeneration = null;
   #lastEmitTime = 0;
   #paused = false;
+  // Wire encoding (the LazyWatch `wire` option): (diff, inverse) =>
+  // { diff, inverse } as listeners receive them; null delivers the raw batch
+  #encode = null;
+  // Sealed batch -> its encoding, taken when it was sealed. The encoding
+  // reads the live state, so a batch queued behind later ones must not
+  // wait for dispatch, when the state already holds their writes
+  #sealedEncodings = new WeakMap();
 
   constructor(diffTracker, options = {}) {
     if (!diffTracker) {
@@ -38,6 +46,13 @@ export class EventEmitter {
    * @param {Object} [options] - Listener options
    * @param {boolean} [options.once=false] - Remove the listener after its first invocation
    * @param {AbortSignal} [options.signal] - Removes the listener when aborted
+   * @param {string} [options.changes='diff'] - 'flat' delivers a list of
+   *   change records (see flattenDiff) instead of the nested diff
+   * @param {*} [options.ignoreOrigin] - Skip batches carrying this origin
+   *   tag (see LazyWatch.patch)
+   * @param {boolean} [options.raw=false] - Internal subscribers (onPath,
+   *   undo managers): receive the batch as recorded, bypassing the wire
+   *   encoding
    * @returns {Function} An idempotent unsubscribe function that removes
    *   exactly this registration
    */
@@ -45,11 +60,14 @@ export class EventEmitter {
     if (typeof listener !== 'function') {
       throw new TypeError('Listener must be a function');
     }
-    const { once = false, signal } = options;
+    const { once = false, signal, changes = 'diff', raw = false, ignoreOrigin } = options;
+    if (changes !== 'diff' && changes !== 'flat') {
+      throw new TypeError(`Listener option changes must be 'diff' or 'flat', got ${JSON.stringify(changes)}`);
+    }
     // Match addEventListener semantics: an already-aborted signal never adds
     if (signal && signal.aborted) return () => {};
 
-    const entry = { listener, path, once };
+    const entry = { listener, path, once, flat: changes === 'flat', raw, ignoreOrigin };
     if (signal) {
       // Remove only this registration: the same function may also be
       // registered on other paths (or on this one without the signal)
@@ -80,6 +98,18 @@ export class EventEmitter {
     }
   }
 
+  /**
+   * Set the wire encoding applied to batches before listeners (other than
+   * raw ones) receive them
+   * @param {Function|null} encode - (diff, inverse) => { diff, inverse }
+   */
+  setEncoder(encode) {
+    this.#encode = encode;
+    this.#diffTracker.onSeal = encode
+      ? batch => this.#sealedEncodings.set(batch, encode(batch.diff, batch.inverse))
+      : null;
+  }
+
   #samePath(a, b) {
     return a.length === b.length && a.every((segment, i) => segment === b[i]);
   }
@@ -174,19 +204,31 @@ export class EventEmitter {
   }
 
   /**
-   * Emit the current diff to all listeners
+   * Emit every pending batch to all listeners, oldest first. Batches are
+   * taken one at a time so a listener that flushes mid-dispatch still sees
+   * them in order; the count is fixed up front so changes listeners make
+   * in response wait for the next emit, as they always have.
    */
   #emit() {
     if (!this.#diffTracker.hasPendingChanges()) return;
 
     this.#lastEmitTime = performance.now();
 
-    const diff = this.#diffTracker.consumeDiff();
-    // Consumed in lockstep with the forward diff so the pair always
-    // describes the same batch
-    const inverse = this.#diffTracker.inverseEnabled
-      ? this.#diffTracker.consumeInverse()
-      : undefined;
+    for (let count = this.#diffTracker.pendingBatchCount(); count > 0; count--) {
+      const batch = this.#diffTracker.consumeBatch();
+      if (batch) this.#dispatch(batch);
+    }
+  }
+
+  /**
+   * Deliver one batch to every listener whose path it touches
+   * @param {Object} batch - { diff, inverse, meta } from the tracker; the
+   *   inverse is undefined unless inverse recording is enabled
+   */
+  #dispatch(batch) {
+    const { diff, inverse, meta } = batch;
+    const encoded = this.#sealedEncodings.get(batch) ??
+      (this.#encode && this.#listeners.some(entry => !entry.raw) ? this.#encode(diff, inverse) : { diff, inverse });
     let removeFired = false;
     // Dispatch over a snapshot: listeners that unsubscribe during emit would
     // otherwise splice the live array mid-iteration and skip the next
@@ -196,9 +238,18 @@ export class EventEmitter {
     const entries = [...this.#listeners];
     entries.forEach(entry => {
       if (!this.#listeners.includes(entry)) return;
+      if (entry.ignoreOrigin !== undefined && meta.origin === entry.ignoreOrigin) return;
       try {
+        const delivered = entry.raw ? { diff, inverse } : encoded;
         // Filter the diff based on the listener's path
-        const filteredDiff = this.#filterDiffByPath(diff, entry.path);
+        let filteredDiff = this.#filterDiffByPath(delivered.diff, entry.path);
+        const filteredInverse = delivered.inverse === undefined
+          ? undefined
+          : this.#filterDiffByPath(delivered.inverse, entry.path);
+        // Truncating an array records only its new length, so the diff
+        // never reaches a subtree inside a removed element — but the
+        // inverse names it, and for this listener it was deleted
+        if (filteredDiff === undefined && filteredInverse !== undefined) filteredDiff = null;
         // undefined means the batch didn't touch this listener's subtree;
         // an empty object means a diff node was created but nothing was
         // recorded in it. null and leaf values are meaningful: the subtree
@@ -211,10 +262,9 @@ export class EventEmitter {
             entry.fired = true;
             removeFired = true;
           }
-          const filteredInverse = inverse === undefined
-            ? undefined
-            : this.#filterDiffByPath(inverse, entry.path);
-          entry.listener(filteredDiff, filteredInverse);
+          entry.listener(
+            entry.flat ? flattenDiff(filteredDiff, filteredInverse) : filteredDiff,
+            filteredInverse, meta);
         }
       } catch (e) {
         console.error('Error in LazyWatch listener:', e);
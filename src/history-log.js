@@ -0,0 +1,264 @@
+// history-log.js - Append-only batch log with replay and time travel
+import {Utils} from "./utils.js";
+
+const STORE_METHODS = ['append', 'entries', 'getBase', 'setBase'];
+
+/**
+ * The default history store, kept in memory. A store holds the log's
+ * base snapshot and the entries recorded after it; custom stores (a file,
+ * a database table, ...) implement the same four methods, synchronously:
+ *
+ * - `append(entry)` — persist `{ id, diff, inverse, meta }` after the
+ *   last entry
+ * - `entries()` — every entry after the base, oldest first
+ * - `getBase()` — `{ id, state }`, or null for a new store
+ * - `setBase(base)` — replace the base and drop the entries with
+ *   `id <= base.id`
+ */
+class MemoryStore {
+  #base = null;
+  #entries = [];
+
+  append(entry) {
+    this.#entries.push(entry);
+  }
+
+  entries() {
+    return this.#entries;
+  }
+
+  getBase() {
+    return this.#base;
+  }
+
+  setBase(base) {
+    this.#base = base;
+    this.#entries = this.#entries.filter(entry => entry.id > base.id);
+  }
+}
+
+/**
+ * HistoryLog - every emitted batch, in order, with time travel
+ *
+ * Created via LazyWatch.createHistoryLog(watched, options), which wires
+ * it to the instance's emitter and enables inverse recording for the
+ * log's lifetime. Each batch is appended to the store as an entry with
+ * the next id; a new store gets the current state as its base (id 0).
+ * at(id) materializes the state after an entry by applying the diffs
+ * since the base to a copy of it; replay(toId) moves the watched object
+ * itself there, stepping backwards through inverses or forwards through
+ * diffs.
+ *
+ * The log stays a faithful linear record across replays: the batches a
+ * replay emits are held back, discarded when a later replay returns to
+ * the head, and appended ahead of the next ordinary batch otherwise —
+ * editing a replayed state continues history from there.
+ *
+ * Dependencies are injected as closures so the class stays decoupled from
+ * LazyWatch internals.
+ */
+export class HistoryLog {
+  #store;
+  #headId;
+  #position;
+  #replaying = false;
+  // Batches emitted by replays since the log was last at its head
+  #seeks = [];
+  #disposed = false;
+  #unsubscribe;
+  #flush;
+  #patch;
+  #compose;
+  #applyFragment;
+  #decode;
+  #encode;
+  #onDispose;
+
+  /**
+   * @param {Object} deps
+   * @param {Object} [deps.store] - The history store (in memory by default)
+   * @param {Function} deps.subscribe - (listener) => unsubscribe; listener
+   *   receives (diff, inverse, meta) per batch
+   * @param {Function} deps.flush - Synchronously emit pending changes
+   * @param {Function} deps.patch - Apply a diff to the watched state
+   * @param {Function} deps.snapshot - () => a copy of the current state
+   * @param {Function} deps.compose - (older, newer) => single equivalent
+   *   diff; throws when the pair has no single-diff representation
+   * @param {Function} deps.applyFragment - (container, fragment) => void
+   *   with receiver patch semantics
+   * @param {Function} [deps.decode] - (stored state) => the same copy in
+   *   live form, e.g. with collection encodings as real Maps and Sets, so
+   *   entry diffs merge into it
+   * @param {Function} [deps.encode] - (live state) => its stored form
+   * @param {Function} [deps.onDispose] - Called once when disposed
+   */
+  constructor({ store = new MemoryStore(), subscribe, flush, patch, snapshot, compose,
+                applyFragment, decode = state => state, encode = state => state, onDispose }) {
+    if (!store || STORE_METHODS.some(method => typeof store[method] !== 'function')) {
+      throw new TypeError('LazyWatch.createHistoryLog store must implement append, entries, getBase and setBase');
+    }
+    this.#store = store;
+    this.#flush = flush;
+    this.#patch = patch;
+    this.#compose = compose;
+    this.#applyFragment = applyFragment;
+    this.#decode = decode;
+    this.#encode = encode;
+    this.#onDispose = onDispose;
+
+    const entries = store.entries();
+    if (store.getBase() === null) {
+      if (entries.length > 0) throw new Error('LazyWatch.createHistoryLog store has entries but no base');
+      store.setBase({ id: 0, state: snapshot() });
+    }
+    // Resuming a stored log continues its numbering; the watched state is
+    // assumed to be its head
+    this.#headId = entries.length > 0 ? entries[entries.length - 1].id : store.getBase().id;
+    this.#position = this.#headId;
+    this.#unsubscribe = subscribe((diff, inverse, meta) => this.#record(diff, inverse, meta));
+  }
+
+  /** Id of the base snapshot: the oldest state at() and replay() reach */
+  get baseId() {
+    return this.#store.getBase().id;
+  }
+
+  /** Id of the newest entry (the base's id while there is none) */
+  get headId() {
+    return this.#headId;
+  }
+
+  /** Id of the entry the watched state currently matches */
+  get position() {
+    return this.#position;
+  }
+
+  /**
+   * The recorded entries after the base, oldest first
+   * @returns {Array<Object>} `{ id, diff, inverse, meta }` entries
+   */
+  entries() {
+    return [...this.#store.entries()];
+  }
+
+  #record(diff, inverse, meta) {
+    if (this.#replaying) {
+      this.#seeks.push({ diff, inverse, meta });
+      return;
+    }
+    for (const seek of this.#seeks) this.#append(seek);
+    this.#seeks = [];
+    this.#append({ diff, inverse, meta });
+    this.#position = this.#headId;
+  }
+
+  #append({ diff, inverse, meta }) {
+    this.#store.append({ id: ++this.#headId, diff, inverse, meta: { ...meta } });
+  }
+
+  /**
+   * Validate an entry id: an integer between the base and the head
+   */
+  #checkId(id, method, upto = this.#headId) {
+    if (!Number.isInteger(id)) {
+      throw new TypeError(`HistoryLog.${method} requires an integer entry id`);
+    }
+    if (id < this.baseId || id > upto) {
+      throw new Error(`HistoryLog.${method}: entry ${id} is outside the log (${this.baseId}..${upto})`);
+    }
+  }
+
+  /**
+   * The state right after entry `id` (the base state for the base's id)
+   * @param {number} id - Entry id
+   * @returns {Object|Array} A new copy of the state
+   */
+  at(id) {
+    this.#checkId(id, 'at');
+    const state = this.#baseState();
+    for (const entry of this.#store.entries()) {
+      if (entry.id > id) break;
+      this.#applyFragment(state, entry.diff);
+    }
+    return state;
+  }
+
+  /**
+   * Move the watched object to the state right after entry `toId`. The
+   * change is emitted as one ordinary batch; pending changes are flushed
+   * (and recorded) first.
+   * @param {number} toId - Entry id, from baseId to headId
+   */
+  replay(toId) {
+    if (this.#disposed) throw new Error('HistoryLog has been disposed');
+    this.#flush();
+    this.#checkId(toId, 'replay');
+    if (toId === this.#position) return;
+    const entries = this.#store.entries();
+    this.#replaying = true;
+    try {
+      if (toId < this.#position) {
+        for (let i = entries.length - 1; i >= 0; i--) {
+          const { id, inverse } = entries[i];
+          if (id > toId && id <= this.#position) this.#patch(inverse);
+        }
+      } else {
+        for (const { id, diff } of entries) {
+          if (id > this.#position && id <= toId) this.#patch(diff);
+        }
+      }
+      this.#flush();
+    } finally {
+      this.#replaying = false;
+    }
+    this.#position = toId;
+    // Back at the head: the replays cancelled out
+    if (toId === this.#headId) this.#seeks = [];
+  }
+
+  /**
+   * Fold every entry up to `uptoId` into the base snapshot and drop them
+   * from the store. Consecutive diffs are composed where the diff algebra
+   * allows (composeDiffs) and applied in order otherwise.
+   * @param {number} uptoId - Last entry to fold in; at most the current
+   *   replay position (the entries after it are needed to return)
+   */
+  compact(uptoId) {
+    if (this.#disposed) throw new Error('HistoryLog has been disposed');
+    this.#checkId(uptoId, 'compact', this.#position);
+    const segments = [];
+    for (const entry of this.#store.entries()) {
+      if (entry.id > uptoId) break;
+      const last = segments.length - 1;
+      if (last >= 0) {
+        try {
+          segments[last] = this.#compose(segments[last], entry.diff);
+          continue;
+        } catch (e) {
+          // No single-diff representation; start a new segment
+        }
+      }
+      segments.push(entry.diff);
+    }
+    const state = this.#baseState();
+    for (const segment of segments) this.#applyFragment(state, segment);
+    this.#store.setBase({ id: uptoId, state: this.#encode(state) });
+  }
+
+  /** A live-form copy of the base state, for entry diffs to apply to */
+  #baseState() {
+    return this.#decode(Utils.deepClone(this.#store.getBase().state));
+  }
+
+  /**
+   * Stop recording and restore the instance's inverse-recording setting.
+   * Idempotent; the store keeps its contents, and at() keeps working
+   */
+  dispose() {
+    if (this.#disposed) return;
+    this.#disposed = true;
+    this.#unsubscribe();
+    this.#seeks = [];
+    if (this.#onDispose) this.#onDispose();
+  }
+}
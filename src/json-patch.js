@@ -0,0 +1,310 @@
+// json-patch.js - RFC 6902 JSON Patch conversion to and from LazyWatch diffs
+import {Utils} from "./utils.js";
+import {readPath} from "./path-pattern.js";
+import {encodingKind} from "./collections.js";
+import {decodeCodecValues, encodeCodecValues} from "./codecs.js";
+
+const INDEX_RE = /^(0|[1-9]\d*)$/;
+const OPS = new Set(['add', 'remove', 'replace', 'move', 'copy', 'test']);
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+const escapeToken = token => token.replace(/~/g, '~0').replace(/\//g, '~1');
+
+/** Render path segments as a JSON Pointer (RFC 6901) */
+export function toPointer(path) {
+  return path.map(segment => '/' + escapeToken(String(segment))).join('');
+}
+
+/**
+ * Parse a JSON Pointer into path segments
+ * @throws {TypeError} If the pointer is malformed or names a reserved key
+ */
+export function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && pointer[0] !== '/')) {
+    throw new TypeError(`LazyWatch JSON Patch path must be a JSON Pointer ("" or "/..."), got ${JSON.stringify(pointer)}`);
+  }
+  if (pointer === '') return [];
+  return pointer.slice(1).split('/').map(token => {
+    if (/~[^01]|~$/.test(token)) {
+      throw new TypeError(`LazyWatch JSON Patch path ${JSON.stringify(pointer)} has an invalid ~ escape`);
+    }
+    const segment = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (Utils.isUnsafeKey(segment)) {
+      throw new TypeError(`LazyWatch JSON Patch path ${JSON.stringify(pointer)} uses reserved property name "${segment}"`);
+    }
+    return segment;
+  });
+}
+
+/** Wrap a fragment in the objects leading from the root to `path` */
+function fragmentAt(path, fragment) {
+  let out = fragment;
+  for (let i = path.length - 1; i >= 0; i--) out = { [path[i]]: out };
+  return out;
+}
+
+function fail(op, reason) {
+  throw new Error(`LazyWatch.applyJSONPatch ${op.op} at ${JSON.stringify(op.path)} failed: ${reason}`);
+}
+
+/**
+ * Apply one RFC 6902 operation. Reads (existence checks, `test`, the
+ * source of `move`/`copy`) go against `root`; every write is expressed as
+ * a LazyWatch diff fragment and handed to `patch`, so proxies record and
+ * emit it like any other patch. JSON `null` values follow the
+ * null-means-delete convention. Codec tags in values are revived first
+ * (see codecs.js), so `test` compares and writes store the real values.
+ *
+ * Replacing a container must not merge into it, so replacements are
+ * null-filled against the current value (keys it doesn't carry are
+ * deleted), and a plain object replacing an array is written as a
+ * deletion followed by the new value.
+ *
+ * @param {Object} root - The raw document the pointers are relative to
+ * @param {Object} op - The operation
+ * @param {Function} patch - (fragment) => void, patch semantics at the root
+ * @throws {TypeError} If the operation is malformed
+ * @throws {Error} If a path doesn't exist or a `test` fails
+ */
+export function applyOperation(root, op, patch) {
+  if (!op || typeof op !== 'object' || !OPS.has(op.op)) {
+    throw new TypeError(`LazyWatch.applyJSONPatch: invalid operation ${JSON.stringify(op)}`);
+  }
+  const path = parsePointer(op.path);
+  const needsValue = op.op === 'add' || op.op === 'replace' || op.op === 'test';
+  if (needsValue && !('value' in op)) {
+    throw new TypeError(`LazyWatch.applyJSONPatch ${op.op} at ${JSON.stringify(op.path)} requires a value`);
+  }
+  if (needsValue) {
+    op = { ...op, value: decodeCodecValues(op.value) };
+    Utils.assertSupported(op.value, [...path]);
+  }
+
+  switch (op.op) {
+    case 'test':
+      if (!Utils.deepEqual(resolve(root, path, op), op.value)) fail(op, 'value does not match');
+      return;
+    case 'remove':
+      resolve(root, path, op);
+      remove(root, path, patch);
+      return;
+    case 'replace':
+      resolve(root, path, op);
+      write(root, path, op.value, false, patch, op);
+      return;
+    case 'add':
+      write(root, path, op.value, true, patch, op);
+      return;
+    default: { // move, copy
+      const from = parsePointer(op.from);
+      const value = Utils.deepClone(resolve(root, from, { ...op, path: op.from }));
+      if (op.op === 'move') {
+        if (from.length < path.length && from.every((segment, i) => segment === path[i])) {
+          fail(op, 'cannot move a value into one of its own children');
+        }
+        remove(root, from, patch);
+      }
+      write(root, path, value, true, patch, op);
+    }
+  }
+}
+
+/** The value at `path`; fails when it doesn't exist */
+function resolve(root, path, op) {
+  let current = root;
+  for (const segment of path) {
+    const exists = Array.isArray(current)
+      ? INDEX_RE.test(segment) && Number(segment) < current.length
+      : Utils.isObjectOrArray(current) && hasOwn(current, segment);
+    if (!exists) fail(op, 'path does not exist');
+    current = current[segment];
+  }
+  return current;
+}
+
+function remove(root, path, patch) {
+  if (path.length === 0) throw new TypeError('LazyWatch.applyJSONPatch cannot remove the whole document');
+  const parent = readPath(root, path.slice(0, -1));
+  const key = path[path.length - 1];
+  patch(fragmentAt(path.slice(0, -1),
+    Array.isArray(parent) ? { $splice: [[Number(key), 1]] } : { [key]: null }));
+}
+
+/**
+ * Write `value` at `path`: `insert` (add) splices into arrays and may
+ * create object members; replace overwrites an existing element/member
+ */
+function write(root, path, value, insert, patch, op) {
+  if (path.length === 0) {
+    if (Array.isArray(root) !== Array.isArray(value) || !Utils.isObjectOrArray(value)) {
+      throw new TypeError('LazyWatch.applyJSONPatch can only replace the whole document with a value of the same kind (object or array)');
+    }
+    patch(replacement(root, value));
+    return;
+  }
+  const parentPath = path.slice(0, -1);
+  const parent = resolve(root, parentPath, op);
+  const key = path[path.length - 1];
+  if (Array.isArray(parent) && insert) {
+    const index = key === '-' ? parent.length : Number(key);
+    if (!(key === '-' || INDEX_RE.test(key)) || index > parent.length) {
+      fail(op, `array index ${key} is out of bounds`);
+    }
+    patch(fragmentAt(parentPath, { $splice: [[index, 0, [Utils.deepClone(value)]]] }));
+    return;
+  }
+  if (!Utils.isObjectOrArray(parent)) fail(op, 'parent is not a container');
+  const current = parent[key];
+  if (Array.isArray(current) && Utils.isPlainObject(value)) {
+    // An object would merge into the array; delete it first (same batch,
+    // so the recorded diff is the exact replacement)
+    patch(fragmentAt(path, null));
+    patch(fragmentAt(path, Utils.deepClone(value)));
+    return;
+  }
+  patch(fragmentAt(path, replacement(current, value)));
+}
+
+/**
+ * A patch value that replaces `current` with `value` exactly: plain
+ * objects are null-filled for keys `current` has and `value` doesn't
+ * (recursively through shared plain objects); everything else — leaves,
+ * and arrays, which patch already applies wholesale — is used as-is.
+ */
+function replacement(current, value) {
+  if (!Utils.isPlainObject(value)) return Utils.deepClone(value);
+  const out = Utils.deepClone(value);
+  if (Utils.isPlainObject(current)) {
+    for (const key of Object.keys(current)) {
+      out[key] = hasOwn(value, key) ? replacement(current[key], value[key]) : null;
+    }
+  }
+  return out;
+}
+
+/**
+ * Convert a diff into RFC 6902 operations.
+ *
+ * With `base` (the state the diff applies to), the conversion is exact:
+ * every generated operation is also applied to a working copy of it, so
+ * `add` vs `replace`, array bounds, and the indices of later operations
+ * are always computed against the state a JSON Patch consumer holds at
+ * that point. `$splice` ops become `remove`/`add` runs, index writes
+ * `replace` (or `add` when appending), and truncation `remove`s from the
+ * end.
+ *
+ * Without `base`, objects the diff descends into are assumed to exist on
+ * the consumer, and value writes use `add` (which creates or replaces an
+ * object member). `$splice` ops still convert; array index writes cannot
+ * (insert vs. replace depends on the old length) and throw.
+ *
+ * Array holes have no JSON representation and throw as well.
+ *
+ * @param {Object} diff - The diff to convert
+ * @param {Object|Array} [base] - The pre-diff state (never mutated)
+ * @param {Function} applyFragment - (container, fragment) => void with
+ *   receiver patch semantics, for the working copy
+ * @returns {Array<Object>} The operations
+ */
+export function toOperations(diff, base, applyFragment) {
+  const ctx = {
+    ops: [],
+    doc: base === undefined ? undefined : Utils.deepClone(base),
+    emit(op) {
+      this.ops.push(op);
+      if (this.doc !== undefined) {
+        applyOperation(this.doc, op, fragment => applyFragment(this.doc, fragment));
+      }
+    }
+  };
+  convertNode(diff, [], ctx);
+  return ctx.ops;
+}
+
+function convertNode(fragment, path, ctx) {
+  const hasBase = ctx.doc !== undefined;
+  const working = hasBase ? readPath(ctx.doc, path) : undefined;
+  const arrayNode = hasBase
+    ? Array.isArray(working)
+    : Array.isArray(fragment.$splice) || Utils.isArrayDiff(fragment);
+  if (arrayNode) {
+    convertArray(fragment, path, ctx);
+    return;
+  }
+  for (const key of Object.keys(fragment)) {
+    if (Utils.isUnsafeKey(key) || (key === '$splice' && hasBase)) continue;
+    const value = fragment[key];
+    const childPath = [...path, key];
+    const pointer = toPointer(childPath);
+    const exists = hasBase && hasOwn(working, key);
+    assertNotCollection(value, childPath);
+    if (value === null || value === undefined) {
+      if (!hasBase || exists) ctx.emit({ op: 'remove', path: pointer });
+    } else if (Utils.isPlainObject(value) && (!hasBase || Utils.isObjectOrArray(working[key]))) {
+      convertNode(value, childPath, ctx);
+    } else {
+      ctx.emit({ op: exists ? 'replace' : 'add', path: pointer, value: wholeValue(value) });
+    }
+  }
+}
+
+function convertArray(fragment, path, ctx) {
+  const hasBase = ctx.doc !== undefined;
+  const at = pointer => `LazyWatch.toJSONPatch cannot convert the array at "${toPointer(path) || '/'}": ${pointer}`;
+
+  for (const [start, deleteCount, items = []] of fragment.$splice || []) {
+    for (let i = 0; i < deleteCount; i++) {
+      ctx.emit({ op: 'remove', path: toPointer([...path, start]) });
+    }
+    items.forEach((item, i) => {
+      ctx.emit({ op: 'add', path: toPointer([...path, start + i]), value: wholeValue(item) });
+    });
+  }
+
+  const indices = Object.keys(fragment).filter(key => /^\d+$/.test(key)).map(Number).sort((a, b) => a - b);
+  if (!hasBase) {
+    if (indices.length > 0) {
+      throw new TypeError(at('index writes need a baseSnapshot (insert vs. replace depends on the old length)'));
+    }
+    return;
+  }
+  for (const index of indices) {
+    const value = fragment[index];
+    const arr = readPath(ctx.doc, path);
+    const childPath = [...path, String(index)];
+    assertNotCollection(value, childPath);
+    if (value === null || value === undefined || index > arr.length) {
+      throw new TypeError(at('JSON cannot represent array holes'));
+    }
+    if (Utils.isPlainObject(value) && Utils.isObjectOrArray(arr[index])) {
+      convertNode(value, childPath, ctx);
+    } else {
+      ctx.emit({ op: index < arr.length ? 'replace' : 'add', path: toPointer(childPath), value: wholeValue(value) });
+    }
+  }
+
+  if (typeof fragment.length === 'number') {
+    const arr = readPath(ctx.doc, path);
+    if (fragment.length > arr.length) throw new TypeError(at('JSON cannot represent array holes'));
+    for (let last = arr.length - 1; last >= fragment.length; last--) {
+      ctx.emit({ op: 'remove', path: toPointer([...path, last]) });
+    }
+  }
+}
+
+/** Map/Set diff nodes (see collections.js) have no JSON Patch form */
+function assertNotCollection(value, path) {
+  if (encodingKind(value)) {
+    throw new TypeError(`LazyWatch.toJSONPatch cannot convert the Map/Set changes at "${toPointer(path)}": JSON Patch has no collection operations`);
+  }
+}
+
+/**
+ * A diff value as the full value a receiver would store, codec values
+ * tagged like on every other wire (see codecs.js)
+ */
+function wholeValue(value) {
+  return encodeCodecValues(Utils.isObjectOrArray(value)
+    ? Utils.cloneWithoutNulls(Utils.reviveArrayDiffs(value))
+    : value);
+}
@@ -16,13 +16,55 @@ export type ChangeSet = Record<string, any>;
  */
 export type Unsubscribe = () => void;
 
+/**
+ * Keys of a tracked Map and members of a tracked Set (`collections` option)
+ */
+export type CollectionKey = string | number | boolean;
+
+/**
+ * The changes to a tracked Map in a diff. Receivers apply `clear`, then
+ * `delete`, then `set`; a full value is sent with `clear: true`
+ */
+export interface MapDiff<K extends CollectionKey = CollectionKey, V = any> {
+    $map: { clear?: true; delete?: K[]; set?: Array<[K, V]> };
+}
+
+/**
+ * The changes to a tracked Set in a diff, applied like {@link MapDiff}
+ */
+export interface SetDiff<T extends CollectionKey = CollectionKey> {
+    $set: { clear?: true; delete?: T[]; add?: T[] };
+}
+
+/**
+ * A custom leaf type, registered with `LazyWatch.registerCodec`. `encode`
+ * must return JSON-safe data; `decode` rebuilds the value from it
+ */
+export interface Codec<T = any, E = any> {
+    name: string;
+    test(value: unknown): boolean;
+    encode(value: T): E;
+    decode(data: E): T;
+}
+
+/**
+ * How a codec value travels in an encoded diff or snapshot
+ */
+export interface CodecTag<E = any> {
+    $type: string;
+    v: E;
+}
+
 /**
  * A partial update for T. Values may be `null` to delete the property.
  * Date and RegExp are leaf values (replaced wholesale, never merged), so
- * they appear as themselves rather than being mapped over.
+ * they appear as themselves rather than being mapped over; tracked Map and
+ * Set values appear as their entry-level changes.
  */
 export type Patch<T> = {
     [K in keyof T]?: (T[K] extends Date | RegExp ? T[K]
+        : T[K] extends ReadonlyMap<infer MK, infer MV> ? MapDiff<MK & CollectionKey, MV>
+        : T[K] extends ReadonlySet<infer SM> ? SetDiff<SM & CollectionKey>
         : T[K] extends object ? Patch<T[K]>
         : T[K]) | null;
 };
@@ -53,9 +95,107 @@ export type Patch<T> = {
  */
 export type ChangeListener<T extends object = any> = (
     changes: Patch<T> | null,
-    inverse?: Patch<T> | null
+    inverse: Patch<T> | null | undefined,
+    meta: BatchMeta
+) => void;
+
+/**
+ * Metadata describing one emitted batch, passed to listeners as the third
+ * argument
+ */
+export interface BatchMeta {
+    /**
+     * What produced the batch: direct mutations (`'local'`), `patch`,
+     * `overwrite`, an undo manager's `undo`/`redo`, a committed
+     * `transaction`, or a rejected async transaction's `rollback`. Batches
+     * never mix sources
+     */
+    source: BatchSource;
+    /** `Date.now()` when the batch was closed */
+    timestamp: number;
+    /** Per-instance sequence number of emitted batches, starting at 1 */
+    batchId: number;
+    /**
+     * The origin tag passed to `patch`/`overwrite` for the changes in this
+     * batch; undefined for local writes
+     */
+    origin?: unknown;
+}
+
+/** The code path that produced a batch (see BatchMeta) */
+export type BatchSource = 'local' | 'patch' | 'overwrite' | 'undo' | 'redo' | 'transaction' | 'rollback';
+
+/**
+ * Options for LazyWatch.patch and LazyWatch.overwrite
+ */
+export interface ApplyOptions {
+    /**
+     * Tag the batch the applied changes land in. Batches never mix
+     * origins; listeners see the tag as `meta.origin` and can skip it with
+     * `ignoreOrigin`. Ignored for normal objects
+     */
+    origin?: unknown;
+}
+
+/**
+ * One flat change record, delivered to listeners registered with
+ * `{ changes: 'flat' }`. Paths are segments relative to the proxy the
+ * listener was registered on
+ */
+export type ChangeRecord =
+    | { path: string[]; op: 'set'; value: any; oldValue?: any }
+    | { path: string[]; op: 'delete'; oldValue?: any }
+    | {
+        path: string[];
+        op: 'splice';
+        /** Index the op starts at */
+        index: number;
+        /** Number of elements removed */
+        deleteCount: number;
+        /** The inserted items */
+        value: any[];
+    };
+
+/**
+ * Callback for listeners registered with `{ changes: 'flat' }`: receives
+ * the batch as a list of change records instead of the nested diff. Each
+ * record carries `oldValue` when the instance records inverse diffs (the
+ * inverse is still passed as the second argument)
+ */
+export type FlatChangeListener = (
+    changes: ChangeRecord[],
+    inverse: ChangeSet | null | undefined,
+    meta: BatchMeta
 ) => void;
 
+/**
+ * An RFC 6902 JSON Patch operation; paths are JSON Pointers ("/a/0/b")
+ */
+export type JSONPatchOperation =
+    | { op: 'add' | 'replace' | 'test'; path: string; value: any }
+    | { op: 'remove'; path: string }
+    | { op: 'move' | 'copy'; from: string; path: string };
+
+/**
+ * One concrete path matched by a LazyWatch.onPath pattern in a batch
+ */
+export interface PathMatch {
+    /** The concrete path, as segments relative to the proxy registered on */
+    path: string[];
+    /** The value after the batch (a copy); undefined when absent */
+    value: any;
+    /**
+     * The value before the batch (a copy; undefined when absent). Only
+     * present when the instance records inverse diffs
+     */
+    oldValue?: any;
+}
+
+/**
+ * Callback for LazyWatch.onPath: called once per batch with every match
+ */
+export type PathListener = (matches: PathMatch[]) => void;
+
 /**
  * Utility functions exposed as `LazyWatch.Utils`
  */
@@ -141,8 +281,25 @@ export interface ListenerOptions {
      * never adds the listener (matching addEventListener semantics)
      */
     signal?: AbortSignal;
+    /**
+     * 'flat' delivers the batch as a list of change records
+     * (`{ path, op: 'set' | 'delete' | 'splice', value, oldValue }`)
+     * instead of the nested diff. Ignored by `onPath`
+     * @default 'diff'
+     */
+    changes?: 'diff' | 'flat';
+    /**
+     * Skip batches whose origin tag (see `patch`) equals this value — e.g.
+     * don't send changes back to the peer they came from
+     */
+    ignoreOrigin?: unknown;
 }
 
+/**
+ * Listener options selecting flat change records
+ */
+export type FlatListenerOptions = ListenerOptions & { changes: 'flat' };
+
 /**
  * Options for LazyWatch.createUndoManager
  */
@@ -153,6 +310,14 @@ export interface UndoManagerOptions {
      */
     limit?: number;
 
+    /**
+     * Memory budget in bytes for all retained steps, each estimated by its
+     * JSON length when recorded; the oldest steps are dropped while over
+     * it (the newest step is always kept)
+     * @default Infinity
+     */
+    maxBytes?: number;
+
     /**
      * Milliseconds: batches arriving within this window of the previous
      * one merge into the same undo step (the window slides with
@@ -161,6 +326,150 @@ export interface UndoManagerOptions {
      * @default 0 (disabled)
      */
     coalesce?: number;
+
+    /**
+     * `'tree'` keeps undone steps: a change after undo() starts a sibling
+     * branch instead of clearing the redo stack. Navigate with
+     * `branches()`, `switchBranch()` and `goTo()`
+     * @default 'linear' (or the restored history's mode)
+     */
+    mode?: 'linear' | 'tree';
+
+    /**
+     * A `manager.serialize()` result to continue, e.g. after a reload. It
+     * only restores onto the state it was serialized from (checked by
+     * fingerprint)
+     */
+    history?: SerializedUndoHistory;
+}
+
+/**
+ * A JSON-safe undo history, from `manager.serialize()`. Treat it as
+ * opaque: store it as-is and pass it back as the `history` option
+ */
+export interface SerializedUndoHistory {
+    format: 'lazy-watch-undo-history';
+    version: 1;
+    mode: 'linear' | 'tree';
+    /** Fingerprint of the state the history ends at */
+    fingerprint: string;
+    current: number;
+    open: number | null;
+    openTime: number;
+    nodes: Array<{
+        id: number;
+        parent: number | null;
+        active: number | null;
+        segments: Array<{ diff: ChangeSet; inverse: ChangeSet }> | null;
+        timestamp?: number;
+        label?: string;
+        meta?: unknown;
+    }>;
+}
+
+/**
+ * A read-only entry of UndoManager.undoStack / redoStack
+ */
+export interface UndoStepInfo {
+    /** The step's history node id */
+    readonly id: number;
+    /** Set by group({ label }) or label() */
+    readonly label: string | undefined;
+    /** Set by group({ meta }) */
+    readonly meta: unknown;
+    /** When the step was recorded (ms since the epoch) */
+    readonly timestamp: number;
+    /** The paths the step changed, relative to the manager's scope */
+    readonly paths: ReadonlyArray<string[]>;
+}
+
+/**
+ * Result of UndoManager.revert
+ */
+export interface UndoRevertResult {
+    /** True when something was applied (and recorded as a new step) */
+    applied: boolean;
+    /** Paths later steps changed, left as they are */
+    conflicts: string[][];
+}
+
+/** An opaque savepoint token from `tx.savepoint()` */
+export type Savepoint = object & { readonly __savepoint?: never };
+
+/**
+ * The handle a transaction's callback receives
+ */
+export interface Transaction {
+    /** Mark the current state; valid until this callback's transaction ends */
+    savepoint(): Savepoint;
+    /**
+     * Revert every change since the savepoint. Later savepoints are
+     * released; this one stays usable
+     * @throws {Error} If the savepoint isn't an open one taken by this
+     * transaction, or a nested transaction is running
+     */
+    rollbackTo(savepoint: Savepoint): void;
+}
+
+/**
+ * The handle an async transaction's callback receives
+ */
+export interface AsyncTransaction {
+    /**
+     * Run `fn` synchronously as part of the transaction, so its writes are
+     * rolled back if the transaction rejects. Needed for writes after an
+     * `await`; throws once the transaction has settled
+     */
+    run<R>(fn: () => R): R;
+}
+
+/**
+ * Options for LazyWatch.transactionAsync
+ */
+export interface AsyncTransactionOptions {
+    /** Pause emissions until the transaction settles (default: false) */
+    hold?: boolean;
+    /**
+     * Called before the rejection is rethrown with the paths whose rollback
+     * was skipped because other code changed them afterwards
+     */
+    onConflict?: (conflicts: string[][]) => void;
+}
+
+/**
+ * The handle LazyWatch.optimistic returns; settles once
+ */
+export interface OptimisticOperation {
+    /** Keep the changes and stop tracking later batches */
+    confirm(): void;
+    /**
+     * Undo only this operation's changes. Paths changed since are left
+     * alone and reported as conflicts; the revert emits as a `'rollback'`
+     * batch
+     * @throws {Error} If the operation was already settled or the instance
+     * has been disposed
+     */
+    revert(): UndoRevertResult;
+}
+
+/**
+ * Options for UndoManager.group
+ */
+export interface UndoGroupOptions {
+    /** Label for the step, e.g. "Rename column" */
+    label?: string;
+    /** Any application data to keep with the step */
+    meta?: unknown;
+}
+
+/**
+ * A redo alternative at the current history node (tree mode)
+ */
+export interface UndoBranch {
+    /** The branch's first node; pass it to goTo() */
+    id: number;
+    /** True for the branch redo() follows */
+    active: boolean;
 }
 
 /**
@@ -198,6 +507,62 @@ export interface UndoManager {
      */
     readonly canRedo: boolean;
 
+    /**
+     * Id of the history node the watched state currently matches
+     */
+    readonly nodeId: number;
+
+    /**
+     * Tree mode: the branches redo() can follow from the current node,
+     * oldest first
+     * @throws {Error} In linear mode
+     */
+    branches(): UndoBranch[];
+
+    /**
+     * Tree mode: select the branch redo() follows from the current node
+     * (the watched state doesn't change)
+     * @param index - Index into branches()
+     */
+    switchBranch(index: number): void;
+
+    /**
+     * Jump to any history position, however many steps away, with one
+     * emitted batch per direction. Linear mode: `position` is an index
+     * from 0 (oldest retained state) through undoStack.length (current) to
+     * undoStack.length + redoStack.length. Tree mode: a node id; the move
+     * undoes up to the common ancestor and redoes down to the target
+     * @returns False when already there
+     * @throws {TypeError} Linear mode: for an index out of range
+     * @throws {Error} Tree mode: for an unknown node
+     */
+    goTo(position: number): boolean;
+
+    /**
+     * Selective undo: apply one earlier step's inverse only where no later
+     * step changed anything, and record that as a new step
+     * (`meta.source` 'undo'). Paths a later step changed are conflicts:
+     * skipped and reported, or with `onConflict: 'throw'` nothing is
+     * applied
+     * @param stepIndex - Index into undoStack (0 is the oldest)
+     * @throws {TypeError} If the index or option is invalid
+     * @throws {Error} With onConflict 'throw', if later steps conflict
+     */
+    revert(stepIndex: number, options?: { onConflict?: 'skip' | 'throw' }): UndoRevertResult;
+
+    /**
+     * A JSON-safe copy of the whole history (every step, the current
+     * position, the open coalescing step) for the `history` option of
+     * createUndoManager. Pending changes are flushed first
+     */
+    serialize(): SerializedUndoHistory;
+
+    /**
+     * Current history size: the number of retained steps (undo, redo and
+     * other branches) and their estimated size in bytes
+     */
+    stats(): { steps: number; bytes: number };
+
     /**
      * Execute a callback and record every batch it emits as ONE undo
      * step. Pending changes from before the group are flushed first
@@ -207,9 +572,36 @@ export interface UndoManager {
      * step) and the error is rethrown — wrap the body in
      * `LazyWatch.transaction` for atomicity
      * @param callback - Function whose batches form one step
+     * @param options - Label and metadata for the step
      * @returns The callback's return value
      */
-    group<R>(callback: () => R): R;
+    group<R>(callback: () => R, options?: UndoGroupOptions): R;
+
+    /**
+     * Label the current step (the one undo() reverts next, after flushing
+     * pending changes into it); inside group(), the group's step
+     * @throws {Error} When there is no step to label
+     */
+    label(text: string): void;
+
+    /**
+     * Read-only view of the undo stack, oldest first: the last entry is
+     * the step undo() reverts next
+     */
+    readonly undoStack: ReadonlyArray<UndoStepInfo>;
+
+    /**
+     * Read-only view of the redo stack: the last entry is the step redo()
+     * re-applies next
+     */
+    readonly redoStack: ReadonlyArray<UndoStepInfo>;
+
+    /**
+     * Listen for history changes: 'change' fires whenever either stack
+     * changes
+     * @returns An idempotent unsubscribe function
+     */
+    on(event: 'change', listener: () => void): Unsubscribe;
 
     /**
      * End the current coalescing window: the next batch starts a new undo
@@ -230,6 +622,197 @@ export interface UndoManager {
     dispose(): void;
 }
 
+/**
+ * One recorded batch in a history log
+ */
+export interface HistoryEntry {
+    /** Consecutive per log, starting after the base's id */
+    id: number;
+    diff: ChangeSet;
+    inverse: ChangeSet;
+    meta: BatchMeta;
+}
+
+/**
+ * Where a history log keeps its base snapshot and entries. All methods
+ * are synchronous
+ */
+export interface HistoryStore {
+    /** Persist an entry after the last one */
+    append(entry: HistoryEntry): void;
+    /** Every entry after the base, oldest first */
+    entries(): HistoryEntry[];
+    /** The base snapshot, or null for a new store */
+    getBase(): { id: number; state: any } | null;
+    /** Replace the base and drop the entries with `id <= base.id` */
+    setBase(base: { id: number; state: any }): void;
+}
+
+/**
+ * Options for LazyWatch.createHistoryLog
+ */
+export interface HistoryLogOptions {
+    /**
+     * Where entries are kept. A store that already holds a log is
+     * continued; the watched state is assumed to match its head
+     * @default an in-memory store
+     */
+    store?: HistoryStore;
+}
+
+/**
+ * Append-only batch log created by LazyWatch.createHistoryLog
+ */
+export interface HistoryLog<T extends object = any> {
+    /** Id of the base snapshot: the oldest state at() and replay() reach */
+    readonly baseId: number;
+    /** Id of the newest entry (the base's id while there is none) */
+    readonly headId: number;
+    /** Id of the entry the watched state currently matches */
+    readonly position: number;
+
+    /** The recorded entries after the base, oldest first */
+    entries(): HistoryEntry[];
+
+    /**
+     * The state right after entry `id`, as a new copy
+     * @throws {Error} If `id` is outside baseId..headId
+     */
+    at(id: number): T;
+
+    /**
+     * Move the watched object to the state right after entry `toId`,
+     * emitted as one ordinary batch. Editing the replayed state continues
+     * the log from there
+     */
+    replay(toId: number): void;
+
+    /**
+     * Fold the entries up to `uptoId` (at most `position`) into the base
+     * snapshot, composing them where possible
+     */
+    compact(uptoId: number): void;
+
+    /** Stop recording; the store keeps its contents. Idempotent */
+    dispose(): void;
+}
+
+/**
+ * A synchronous key/value storage for LazyWatch.persist: Web Storage
+ * (localStorage, sessionStorage) or anything Map-like (a Map, a file
+ * adapter)
+ */
+export type PersistStorage =
+    | { getItem(key: string): string | null; setItem(key: string, value: string): void }
+    | { get(key: string): unknown; set(key: string, value: string): unknown };
+
+/**
+ * Options for LazyWatch.persist
+ */
+export interface PersistOptions<T extends object = any> {
+    /** Where the record is kept */
+    storage: PersistStorage;
+    /** Key the record is stored under */
+    key: string;
+    /**
+     * Milliseconds without new batches before saving
+     * @default 0 (save every batch)
+     */
+    debounce?: number;
+    /** Version saved with the state; a stored record with another version is migrated */
+    version?: unknown;
+    /**
+     * Convert a state saved under another version. Without it, such a
+     * record is reported and ignored
+     */
+    migrate?: (oldState: any, oldVersion: unknown) => T;
+}
+
+/**
+ * Handle returned by LazyWatch.persist
+ */
+export interface Persistence {
+    /** True when a stored state was restored on creation */
+    readonly restored: boolean;
+    /** Save now, cancelling a pending debounced save (e.g. on beforeunload) */
+    save(): void;
+    /** Stop saving; a pending debounced save is written first. Idempotent */
+    dispose(): void;
+}
+
+/**
+ * Options for LazyWatch.computed
+ */
+export interface ComputedOptions {
+    /** Property of the watched object to store the value in */
+    key?: string;
+    /**
+     * With `key`: write the value without recording or emitting it
+     * (false records the write and emits it as its own batch)
+     * @default true
+     */
+    silent?: boolean;
+}
+
+/**
+ * Handle returned by LazyWatch.computed
+ */
+export interface Computed<V> {
+    /** The latest result: a copy, replaced only when it changes */
+    readonly value: V;
+    /** True once disposed */
+    readonly disposed: boolean;
+    /** Stop recomputing; the value and anything written stay. Idempotent */
+    dispose(): void;
+}
+
+/**
+ * A message exchanged by a sync source and its replicas. `seq` numbers
+ * diffs consecutively; a snapshot's `seq` is the last diff it includes.
+ * `session` identifies one source's sequence
+ */
+export type SyncMessage =
+    | { type: 'snapshot'; session: string; seq: number; data: any }
+    | { type: 'diff'; session: string; seq: number; data: ChangeSet }
+    | { type: 'resync-request' };
+
+/**
+ * A user-supplied message channel for createSyncSource/createSyncReplica.
+ * Messages are plain objects; serialize them in `send` if needed
+ */
+export interface SyncChannel {
+    /** Deliver a message to the other side */
+    send(message: SyncMessage): void;
+    /** Register the handler for messages from the other side; may return an unsubscribe function */
+    onMessage(handler: (message: SyncMessage) => void): void | (() => void);
+}
+
+/**
+ * Publisher created by LazyWatch.createSyncSource
+ */
+export interface SyncSource {
+    /** Sequence number of the last diff sent */
+    readonly seq: number;
+    /** Flush pending changes and send a fresh snapshot */
+    resync(): void;
+    /** Stop publishing and stop handling messages */
+    dispose(): void;
+}
+
+/**
+ * Mirror follower created by LazyWatch.createSyncReplica
+ */
+export interface SyncReplica {
+    /** Sequence number of the last applied message; null before the first snapshot */
+    readonly seq: number | null;
+    /** True once a snapshot has been applied and no gap is pending */
+    readonly synced: boolean;
+    /** Send a resync-request; diffs are dropped until the snapshot arrives */
+    resync(): void;
+    /** Stop handling messages; the mirror keeps its state */
+    dispose(): void;
+}
+
 /**
  * Configuration options for LazyWatch
  */
@@ -272,6 +855,35 @@ export interface LazyWatchConstructorOptions {
      * @default false
      */
     inverse?: boolean;
+
+    /**
+     * Wire format of emitted diffs. 'merge-patch' makes every emitted
+     * diff (and inverse) a strict RFC 7396 JSON Merge Patch: arrays a
+     * batch touches are sent as their full value instead of index-keyed
+     * fragments. `onPath` and undo managers are unaffected
+     * @default 'diff'
+     */
+    wire?: 'diff' | 'merge-patch';
+
+    /**
+     * Allow Map and Set values and track their `set`/`add`, `delete` and
+     * `clear` calls: diffs carry entry-level {@link MapDiff}/{@link SetDiff}
+     * ops, and snapshots and inverses encode collections the same way.
+     * Map keys and Set members must be strings, finite numbers or
+     * booleans; Map values are read-only views (write entries back with
+     * `map.set`). Not combinable with `wire: 'merge-patch'`
+     * @default false
+     */
+    collections?: boolean;
+    /**
+     * Read Date leaves through wrappers whose mutating setters (setHours,
+     * setTime, ...) record a replacement of the property, so in-place
+     * changes are tracked. Reads behave like the Date the wrapper was read
+     * as; structuredClone and Date.prototype methods called on a wrapper
+     * need `LazyWatch.resolveIfProxy(wrapper)`
+     * @default false
+     */
+    trackDates?: boolean;
 }
 
 /**
@@ -308,12 +920,14 @@ export interface LazyWatchStatic {
      * and the new leaf value when the subtree is replaced wholesale
      * @param watched - The LazyWatch proxy (or a nested proxy within it)
      * @param listener - Callback function that receives changes
-     * @param options - Listener options (once, AbortSignal)
+     * @param options - Listener options (once, AbortSignal, changes: 'flat'
+     * for a list of change records instead of the nested diff)
      * @returns An idempotent unsubscribe function that removes exactly this registration
-     * @throws {TypeError} If listener is not a function
+     * @throws {TypeError} If listener is not a function or the changes option is invalid
      * @throws {Error} If the proxy is not a LazyWatch instance or has been disposed
      */
-    on<T extends object>(watched: T, listener: ChangeListener<T>, options?: ListenerOptions): Unsubscribe;
+    on<T extends object>(watched: T, listener: FlatChangeListener, options: FlatListenerOptions): Unsubscribe;
+    on<T extends object>(watched: T, listener: ChangeListener<T>, options?: ListenerOptions & { changes?: 'diff' }): Unsubscribe;
 
     /**
      * Add a change listener that is removed after its first invocation
@@ -324,7 +938,32 @@ export interface LazyWatchStatic {
      * @throws {TypeError} If listener is not a function
      * @throws {Error} If the proxy is not a LazyWatch instance or has been disposed
      */
-    once<T extends object>(watched: T, listener: ChangeListener<T>, options?: Omit<ListenerOptions, 'once'>): Unsubscribe;
+    once<T extends object>(watched: T, listener: FlatChangeListener, options: Omit<FlatListenerOptions, 'once'>): Unsubscribe;
+    once<T extends object>(watched: T, listener: ChangeListener<T>, options?: Omit<ListenerOptions, 'once'> & { changes?: 'diff' }): Unsubscribe;
+
+    /**
+     * Add a listener for every concrete path matching a glob pattern:
+     * `*` matches exactly one segment, `**` zero or more. Called once per
+     * batch that touches a match, with the list of matches — each with its
+     * new value and, when the instance records inverse diffs, its old
+     * value. Patterns are relative to the proxy passed in. Without inverse
+     * recording, wildcards cannot enumerate keys a batch removed below a
+     * deleted container or by array truncation
+     * @param watched - The LazyWatch proxy (or a nested proxy within it)
+     * @param pattern - Dot-separated pattern ('todos.*.done'), or an array
+     * of segments for keys containing dots
+     * @param listener - Receives the batch's matches
+     * @param options - Listener options (once, AbortSignal)
+     * @returns An idempotent unsubscribe function (`off` does not apply)
+     * @throws {TypeError} If the pattern is invalid or listener is not a function
+     * @throws {Error} If the proxy is not a LazyWatch instance or has been disposed
+     *
+     * @example
+     * LazyWatch.onPath(app, 'todos.*.done', matches => {
+     *   for (const { path, value } of matches) console.log(path[1], value);
+     * });
+     */
+    onPath(watched: object, pattern: string | string[], listener: PathListener, options?: ListenerOptions): Unsubscribe;
 
     /**
      * Remove a change listener from a LazyWatch proxy
@@ -353,6 +992,7 @@ export interface LazyWatchStatic {
      * were deleted while disconnected
      * @param target - A LazyWatch proxy (root or nested) or a normal object/array
      * @param source - The authoritative state to match
+     * @param options - `origin` tag for the applied changes (see `patch`)
      * @throws {TypeError} If source is not an object, or a non-proxy
      * target is not a plain object/array
      * @throws {Error} If a proxy target's instance has been disposed
@@ -367,7 +1007,7 @@ export interface LazyWatchStatic {
      * LazyWatch.overwrite(mirror, { a: 10, c: { d: 30 } });
      * // mirror is now { a: 10, c: { d: 30 } } — b and c.e are deleted, untracked
      */
-    overwrite<T extends object>(target: T, source: Patch<T> | ChangeSet): void;
+    overwrite<T extends object>(target: T, source: Patch<T> | ChangeSet, options?: ApplyOptions): void;
 
     /**
      * Patch (merge) new values without deleting missing properties.
@@ -376,12 +1016,19 @@ export interface LazyWatchStatic {
      * recorded and emitted at the subtree's path) — or a normal
      * object/array, mutated in place with the same merge semantics but no
      * change tracking (e.g. applying received diffs to a plain mirror
-     * such as a Vue `reactive` object)
+     * such as a Vue `reactive` object).
+     *
+     * `options.origin` tags the batch the changes land in (listeners see
+     * `meta.origin`; `ignoreOrigin` skips it). Batches never mix origins:
+     * differently tagged pending changes, and later local writes, get
+     * batches of their own
      * @param target - A LazyWatch proxy (root or nested) or a normal object/array
      * @param source - The values to merge (may be a diff received from a listener)
+     * @param options - `origin` tag for the applied changes
      * @throws {TypeError} If source is not an object, or a non-proxy
      * target is not a plain object/array
-     * @throws {Error} If a proxy target's instance has been disposed
+     * @throws {Error} If a proxy target's instance has been disposed, or an
+     * origin is given inside a transaction
      *
      * @example
      * const watched = new LazyWatch({ a: 1, b: 2, c: 3 });
@@ -394,7 +1041,7 @@ export interface LazyWatchStatic {
      * LazyWatch.patch(obj, { b: null, c: 30 });
      * // obj is now { a: 1, c: 30 }
      */
-    patch<T extends object>(target: T, source: Patch<T> | ChangeSet): void;
+    patch<T extends object>(target: T, source: Patch<T> | ChangeSet, options?: ApplyOptions): void;
 
     /**
      * Alias of {@link patch}, kept for backward compatibility
@@ -432,6 +1079,77 @@ export interface LazyWatchStatic {
      */
     composeDiffs(older: ChangeSet, newer: ChangeSet): ChangeSet;
 
+    /**
+     * Convert a diff into RFC 6902 JSON Patch operations.
+     *
+     * With `baseSnapshot` (the state the diff applies to) the conversion
+     * is exact: `add` vs `replace` and array indices are computed against
+     * the state the consumer holds at each operation, `$splice` ops become
+     * `remove`/`add` runs and truncation `remove`s from the end. Without
+     * it, objects the diff descends into are assumed to exist and array
+     * index writes throw
+     * @param diff - The diff to convert
+     * @param baseSnapshot - The pre-diff state; not mutated
+     * @returns The operations, paths as JSON Pointers
+     * @throws {TypeError} If the diff is not a diff object, writes array
+     * indices without `baseSnapshot`, or leaves array holes
+     *
+     * @example
+     * LazyWatch.toJSONPatch({ user: { name: 'b' } }, { user: { name: 'a' } });
+     * // [{ op: 'replace', path: '/user/name', value: 'b' }]
+     */
+    toJSONPatch(diff: ChangeSet, baseSnapshot?: object): JSONPatchOperation[];
+
+    /**
+     * Convert a diff into an RFC 7396 JSON Merge Patch: every array the
+     * diff touches is replaced by its full value from `snapshot`, the
+     * state the diff produced (a proxy works). What `{ wire: 'merge-patch' }`
+     * instances emit
+     * @param diff - The diff to convert
+     * @param snapshot - The post-diff state
+     * @returns A new merge patch
+     * @throws {TypeError} If the diff is not a diff object or the snapshot
+     * not an object/array
+     */
+    toMergePatch(diff: ChangeSet, snapshot: object): ChangeSet;
+
+    /**
+     * Apply RFC 6902 JSON Patch operations to a proxy (tracked, emitted as
+     * one batch) or a normal object/array. The list is atomic: a failing
+     * operation — a `test` that doesn't match, a missing path — rolls back
+     * every earlier one as in `transaction`, and the error is rethrown.
+     * JSON `null` values mean delete, as everywhere in LazyWatch
+     * @param target - A LazyWatch proxy (root or nested) or a normal object/array
+     * @param operations - The JSON Patch document
+     * @throws {TypeError} If an operation is malformed
+     * @throws {Error} If a path doesn't exist or a `test` fails
+     */
+    applyJSONPatch(target: object, operations: JSONPatchOperation[]): void;
+
+    /**
+     * Register a codec for a custom leaf type, for every instance. Its
+     * values pass validation as leaves and travel as `{ $type, v }` tags,
+     * which every applier revives
+     * @returns A function unregistering the codec
+     * @throws {TypeError} If the codec is malformed
+     * @throws {Error} If a codec with the same name is registered
+     */
+    registerCodec<T, E>(codec: Codec<T, E>): Unsubscribe;
+
+    /**
+     * Replace every codec value in a diff, inverse or snapshot with its
+     * `{ $type, v }` tag, ready for JSON. Pure
+     * @throws {TypeError} If the diff is not an object
+     */
+    encodeDiff<D extends object>(diff: D): ChangeSet;
+
+    /**
+     * Revive every `{ $type, v }` tag in an encoded diff or snapshot. Pure
+     * @throws {TypeError} If the diff is not an object, or a tag names no
+     *   registered codec
+     */
+    decodeDiff(diff: object): ChangeSet;
+
     /**
      * Resolve a proxy to its original target
      * @param obj - Potentially a proxy object
@@ -463,7 +1181,8 @@ export interface LazyWatchStatic {
 
     /**
      * Get a copy of the current pending diff without consuming it
-     * Returns a snapshot of pending changes that haven't been emitted yet
+     * Returns a snapshot of pending changes that haven't been emitted yet,
+     * every pending batch composed into one diff
      * @param watched - The LazyWatch proxy
      * @returns A copy of the pending changes
      * @throws {Error} If the proxy is not a LazyWatch instance or has been disposed
@@ -528,12 +1247,18 @@ export interface LazyWatchStatic {
      * return value is returned.
      * Pending changes from before the transaction are flushed first. Works
      * whether or not the instance was created with `{ inverse: true }`.
-     * The callback must be synchronous; transactions cannot be nested
-     * @param watched - The LazyWatch proxy
-     * @param callback - Function whose changes are applied atomically
+     * The callback must be synchronous. A transaction inside another acts
+     * as a savepoint: if it throws, only its own changes are rolled back
+     * and the outer callback may catch the error and continue. `tx` takes
+     * explicit savepoints. Given an array of proxies from distinct
+     * instances, the transaction spans all of them and, on success, emits
+     * each instance's batch synchronously in array order
+     * @param watched - The LazyWatch proxy, or an array of them
+     * @param callback - `tx => ...`, whose changes are applied atomically
      * @returns The callback's return value
-     * @throws {Error} If the instance has been disposed or a transaction is
-     * already active; rethrows whatever the callback throws (after rollback)
+     * @throws {TypeError} If the array is empty or lists an instance twice
+     * @throws {Error} If an instance has been disposed; rethrows whatever
+     * the callback throws (after rollback)
      *
      * @example
      * LazyWatch.transaction(watched, () => {
@@ -541,7 +1266,58 @@ export interface LazyWatchStatic {
      *   applyFees(watched); // if this throws, balance is restored
      * });
      */
-    transaction<R>(watched: object, callback: () => R): R;
+    transaction<R>(watched: object | readonly object[], callback: (tx: Transaction) => R): R;
+
+    /**
+     * Run an async callback as a transaction: if its promise rejects, the
+     * changes it made are rolled back; otherwise they stay and its value is
+     * returned. The transaction owns the writes its callback makes before
+     * the first `await` plus those run through `tx.run(fn)`; other code's
+     * writes in between are kept, and where they overlap the transaction's
+     * changes those paths are left alone and reported to `onConflict`.
+     * Changes emit as usual (or are held with `{ hold: true }`); a rollback
+     * emits as one `'rollback'` batch, or nothing when held and nothing
+     * interleaved
+     * @param watched - The LazyWatch proxy
+     * @param callback - `async tx => ...`
+     * @param options - `hold` and `onConflict`
+     * @returns The callback's resolved value
+     * @throws {TypeError} If the callback or onConflict isn't a function
+     * @throws {Error} If the instance has been disposed or a synchronous
+     * transaction is running; rejects with the callback's rejection (after
+     * rollback)
+     *
+     * @example
+     * await LazyWatch.transactionAsync(cart, async tx => {
+     *   cart.status = 'saving';
+     *   const order = await api.placeOrder(cart.items);
+     *   tx.run(() => { cart.orderId = order.id; });
+     * });
+     */
+    transactionAsync<R>(
+        watched: object,
+        callback: (tx: AsyncTransaction) => R | Promise<R>,
+        options?: AsyncTransactionOptions
+    ): Promise<R>;
+
+    /**
+     * Apply changes now, emit them immediately, and keep a handle to revert
+     * them later, e.g. an edit shown before the server acknowledges it. The
+     * callback runs atomically, like `transaction`, and its changes are
+     * flushed as one `'local'` batch before this returns. Until settled,
+     * the handle records the paths of every later batch
+     * @param watched - The LazyWatch proxy
+     * @param callback - Function making the changes
+     * @returns The operation handle
+     * @throws {TypeError} If the callback isn't a function
+     * @throws {Error} If the instance has been disposed or a transaction is
+     * running; rethrows whatever the callback throws (after rollback)
+     *
+     * @example
+     * const op = LazyWatch.optimistic(todos, () => { todos.items[3].done = true; });
+     * api.save(todos.items[3]).then(() => op.confirm(), () => op.revert());
+     */
+    optimistic(watched: object, callback: () => void): OptimisticOperation;
 
     /**
      * Create an undo/redo manager for a watched instance.
@@ -551,14 +1327,15 @@ export interface LazyWatchStatic {
      * Works on any instance: inverse recording is enabled for the manager's
      * lifetime (with its usual costs — extra clones, compact $splice
      * recording disabled, listeners receive inverse diffs) and restored on
-     * manager.dispose(). One manager per instance; disposing the instance
-     * disposes its manager. Changes made inside LazyWatch.silent bypass
-     * emission and are not recorded
-     * @param watched - The LazyWatch root proxy (nested proxies throw)
+     * manager.dispose(). On a nested proxy the manager records and undoes
+     * only that subtree; managers' scopes must not overlap. Disposing the
+     * instance disposes its managers. Changes made inside LazyWatch.silent
+     * bypass emission and are not recorded
+     * @param watched - The LazyWatch proxy (root or nested)
      * @param options - Manager options (limit)
      * @returns The undo manager
-     * @throws {Error} If the instance has been disposed, already has an
-     * undo manager, or a nested proxy is passed
+     * @throws {Error} If the instance has been disposed or an active undo
+     * manager's scope overlaps this one
      *
      * @example
      * const manager = LazyWatch.createUndoManager(watched, { limit: 100 });
@@ -568,6 +1345,86 @@ export interface LazyWatchStatic {
      */
     createUndoManager(watched: object, options?: UndoManagerOptions): UndoManager;
 
+    /**
+     * Record every emitted batch in an append-only log: `at(id)`
+     * materializes the state after any entry, `replay(id)` moves the
+     * watched object there, `compact(id)` folds a prefix into the base
+     * snapshot. Inverse recording is enabled for the log's lifetime;
+     * pending changes are flushed first. Disposing the instance disposes
+     * its logs
+     * @param watched - The LazyWatch root proxy (nested proxies throw)
+     * @param options - `store` (in memory by default)
+     * @returns The history log
+     * @throws {TypeError} If the store is missing a method
+     * @throws {Error} If the instance has been disposed or a nested proxy
+     * is passed
+     *
+     * @example
+     * const log = LazyWatch.createHistoryLog(watched);
+     * watched.count = 1;
+     * LazyWatch.flush(watched);
+     * log.at(0);     // the state before the change
+     * log.replay(0); // watched is back there
+     */
+    createHistoryLog<T extends object>(watched: T, options?: HistoryLogOptions): HistoryLog<T>;
+
+    /**
+     * Keep a watched object saved in a storage. The stored record is
+     * restored right away (silently, with `overwrite`), migrated when its
+     * version differs; every emitted batch then saves
+     * `JSON.stringify({ version, state })`, debounced if requested.
+     * Disposing the instance disposes the handle
+     * @param watched - The LazyWatch proxy (root or nested)
+     * @param options - `storage`, `key`, `debounce`, `version`, `migrate`
+     * @returns The persistence handle
+     * @throws {TypeError} If an option is invalid
+     *
+     * @example
+     * LazyWatch.persist(settings, { storage: localStorage, key: 'settings', debounce: 200 });
+     */
+    persist<T extends object>(watched: T, options: PersistOptions<T>): Persistence;
+
+    /**
+     * Derive a value from a watched object. `fn` runs right away with the
+     * paths it reads through the proxy recorded, and reruns after an
+     * emitted batch only when that batch changed one of them. With `key`
+     * the value is also stored in the watched object — silently unless
+     * `silent: false`. Disposing the instance disposes the handle
+     * @param watched - The LazyWatch proxy (root or nested)
+     * @param fn - Reads the watched object and returns the value
+     * @param options - `key`, `silent`
+     * @returns The computed handle
+     * @throws {TypeError} If fn is not a function or key is invalid
+     *
+     * @example
+     * const open = LazyWatch.computed(app, s => s.todos.filter(t => !t.done).length, { key: 'openCount' });
+     */
+    computed<T extends object, V>(watched: T, fn: (watched: T) => V, options?: ComputedOptions): Computed<V>;
+
+    /**
+     * Publish a watched object over a message channel: a snapshot on
+     * creation and for every resync-request, then each emitted batch as a
+     * numbered diff. Pending changes are flushed before every snapshot
+     * @param watched - The LazyWatch proxy (root or nested)
+     * @param channel - `send` and `onMessage` functions
+     * @returns The source
+     * @throws {TypeError} If `send` or `onMessage` is missing
+     * @throws {Error} If the instance has been disposed
+     */
+    createSyncSource(watched: object, channel: SyncChannel): SyncSource;
+
+    /**
+     * Keep a mirror in step with a sync source: snapshots are applied with
+     * overwrite, diffs with patch, exactly once and in order. Duplicates
+     * are discarded; a gap sends a resync-request
+     * @param mirror - A LazyWatch proxy or a normal object/array
+     * @param channel - `send` and `onMessage` functions
+     * @returns The replica
+     * @throws {TypeError} If the channel is incomplete or the mirror is
+     * not an object/array
+     */
+    createSyncReplica(mirror: object, channel: SyncChannel): SyncReplica;
+
     /**
      * Clean up resources and remove all listeners
      * After disposal, static methods on the proxy throw errors
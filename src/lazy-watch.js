@@ -4,7 +4,17 @@ import {EventEmitter} from "./event-emitter.js";
 import {DiffTracker} from "./diff-tracker.js";
 import {ProxyHandler, LAZYWATCH_INSTANCE, PROXY_TARGET} from "./proxy-handler.js";
 import {UndoManager} from "./undo-manager.js";
+import {touchedPaths, pruneInverse} from "./diff-flatten.js";
 import {composeFragments} from "./diff-compose.js";
+import {applyCollectionOps, collectionKind, decodeCollections, encodeCollections, encodingKind, opsOf} from "./collections.js";
+import {registerCodec, encodeCodecValues, decodeCodecValues, reviveCodecTag} from "./codecs.js";
+import {parsePathPattern, matchPathPattern, readPath, valueBefore} from "./path-pattern.js";
+import {toOperations, applyOperation} from "./json-patch.js";
+import {toMergePatch, inverseToMergePatch} from "./merge-patch.js";
+import {SyncSource, SyncReplica} from "./sync-session.js";
+import {HistoryLog} from "./history-log.js";
+import {Persistence} from "./persistence.js";
+import {Computed} from "./computed.js";
 
 /**
  * LazyWatch - A reactive proxy-based object change tracker
@@ -30,12 +40,26 @@ export class LazyWatch {
   #proxyHandler;
   #proxy;
   #disposed = false;
-  #inTransaction = false;
+  // Sync transactions running: 1 for a transaction, more while nested
+  // ones (savepoints) run inside it
+  #transactionDepth = 0;
+  // Parties that need inverse diffs recorded — the `inverse` option, undo
+  // managers, history logs, running transactions. Recording is on while
+  // any of them is
+  #inverseUsers = 0;
+  // Active history logs and persistence handles, disposed with the instance
+  #attachments = new Set();
+  // Async transactions currently holding emissions, and whether they
+  // paused the emitter (an explicit LazyWatch.pause is left alone)
+  #holds = 0;
+  #heldPause = false;
+  // Active undo managers and the path each is scoped to; scopes never
+  // overlap. Entries are removed on manager disposal
+  #undoManagers = new Map();
+  // Set under { wire: 'merge-patch' }: pending diffs are reported encoded
+  #encodeMergePatch = null;
 
   static #instances = new WeakMap();
-  // One active undo manager per instance; entries are removed on
-  // manager disposal so a new one can be created afterwards
-  static #undoManagers = new WeakMap();
 
   /**
    * Create a new LazyWatch instance
@@ -55,15 +79,49 @@ export class LazyWatch {
    *   with LazyWatch.patch restores the pre-batch state (undo). Costs extra
    *   clones on the write path and disables compact $splice recording
    *   (structural array ops fall back to per-index diffs — still correct)
+   * @param {string} [options.wire='diff'] - 'merge-patch' makes emitted
+   *   diffs (and inverses) strict RFC 7396 JSON Merge Patches: every array
+   *   a batch touches is sent as its full value instead of an index-keyed
+   *   fragment
+   * @param {boolean} [options.collections=false] - Allow Map and Set values
+   *   and track their set/add/delete/clear calls: diffs carry entry-level
+   *   `{ $map }`/`{ $set }` ops, snapshots and inverses encode them the
+   *   same way, and encoded collections in `original` are decoded in
+   *   place. Not combinable with `wire: 'merge-patch'`
+   * @param {boolean} [options.trackDates=false] - Read Date leaves through
+   *   wrappers whose mutating setters (setHours, setTime, ...) record a
+   *   replacement of the property instead of changing it untracked. A
+   *   wrapper is bound to the Date it was read as; brand-checking APIs
+   *   (structuredClone, Date.prototype methods called on it) need
+   *   `resolveIfProxy(wrapper)`
    * @returns {Object} A proxy that tracks changes
-   * @throws {TypeError} If original is not an object or array
+   * @throws {TypeError} If original is not an object or array, or an
+   *   option is invalid
    */
   constructor(original, options = {}) {
+    const wire = options.wire ?? 'diff';
+    if (wire !== 'diff' && wire !== 'merge-patch') {
+      throw new TypeError(`LazyWatch wire option must be 'diff' or 'merge-patch', got ${JSON.stringify(wire)}`);
+    }
+    if (options.collections && wire === 'merge-patch') {
+      throw new TypeError("LazyWatch collections option cannot be combined with wire: 'merge-patch' (JSON Merge Patch has no collection operations)");
+    }
     this.#diffTracker = new DiffTracker();
-    this.#diffTracker.inverseEnabled = !!options.inverse;
+    this.#diffTracker.collections = !!options.collections;
+    if (options.inverse) this.#retainInverse();
     this.#eventEmitter = new EventEmitter(this.#diffTracker, options);
-    this.#proxyHandler = new ProxyHandler(original, this.#diffTracker, this.#eventEmitter);
+    this.#proxyHandler = new ProxyHandler(original, this.#diffTracker, this.#eventEmitter,
+      { collections: options.collections, trackDates: options.trackDates });
     this.#proxy = this.#proxyHandler.createRootProxy(this);
+    if (wire === 'merge-patch') {
+      const root = LazyWatch.resolveIfProxy(this.#proxy);
+      this.#encodeMergePatch = diff => toMergePatch(diff, root);
+      this.#eventEmitter.setEncoder((diff, inverse) => ({
+        diff: toMergePatch(diff, root),
+        inverse: inverse === undefined ? undefined : inverseToMergePatch(inverse, root,
+          (target, fragment) => LazyWatch.#patchObjectInto(target, fragment))
+      }));
+    }
 
     // Store the instance reference so we can access it from the proxy
     LazyWatch.#instances.set(this.#proxy, this);
@@ -108,11 +166,16 @@ export class LazyWatch {
    * `null` when their subtree (or an ancestor) is deleted, and the new leaf
    * value when the subtree is replaced wholesale.
    * @param {Object} watched - The LazyWatch proxy
-   * @param {Function} listener - Callback function that receives changes
+   * @param {Function} listener - Callback `(diff, inverse, meta)`; `meta`
+   *   is `{ source, timestamp, batchId, origin }`, where `source` is
+   *   'local', 'patch', 'overwrite', 'undo', 'redo', 'transaction' or 'rollback'
    * @param {Object} [options] - Listener options
    * @param {boolean} [options.once=false] - Remove the listener after its first invocation
    * @param {AbortSignal} [options.signal] - Removes the listener when aborted;
    *   an already-aborted signal never adds the listener
+   * @param {string} [options.changes='diff'] - 'flat' delivers the batch as
+   *   a list of `{ path, op, value, oldValue }` change records (paths
+   *   relative to `watched`) instead of the nested diff
    * @returns {Function} An idempotent unsubscribe function that removes
    *   exactly this registration
    * @example
@@ -141,6 +204,64 @@ export class LazyWatch {
     return LazyWatch.on(watched, listener, { ...options, once: true });
   }
 
+  /**
+   * Add a listener for every concrete path matching a glob pattern.
+   *
+   * `*` matches exactly one path segment and `**` zero or more, so
+   * `'todos.*.done'` watches every todo's `done` flag however many todos
+   * there are. The listener is called once per batch that touches at least
+   * one match, with the list of matches: `{ path, value }` — the concrete
+   * path (segments, relative to `watched`) and its value after the batch —
+   * plus `oldValue`, its value before the batch, when the instance records
+   * inverse diffs. Values are fresh copies; `undefined` means absent.
+   *
+   * Patterns are relative to the proxy passed in, so nested proxies work
+   * like they do for `on`. Without inverse recording, wildcards cannot
+   * enumerate what a batch removed below a deleted container or by array
+   * truncation (`pop`, shrinking `length`) — the diff doesn't name those
+   * keys; literal segments below a deleted ancestor still match.
+   * @param {Object} watched - The LazyWatch proxy (root or nested)
+   * @param {string|Array<string>} pattern - Dot-separated pattern, or an
+   *   array of segments for keys containing dots
+   * @param {Function} listener - Receives the batch's array of matches
+   * @param {Object} [options] - Listener options
+   * @param {boolean} [options.once=false] - Remove the listener after the
+   *   first batch with a match
+   * @param {AbortSignal} [options.signal] - Removes the listener when aborted
+   * @returns {Function} An idempotent unsubscribe function (`off` does not
+   *   apply to pattern listeners)
+   * @throws {TypeError} If the pattern is invalid or listener is not a function
+   * @example
+   * LazyWatch.onPath(app, 'todos.*.done', matches => {
+   *   for (const { path, value } of matches) console.log(path[1], value);
+   * });
+   */
+  static onPath(watched, pattern, listener, options = {}) {
+    const instance = LazyWatch.#getInstance(watched);
+    instance.#checkDisposed();
+    if (typeof listener !== 'function') {
+      throw new TypeError('Listener must be a function');
+    }
+    const base = instance.#proxyHandler.getProxyPath(watched);
+    const segments = [...base, ...parsePathPattern(pattern)];
+    const root = LazyWatch.resolveIfProxy(instance.#proxy);
+
+    const stop = instance.#eventEmitter.on((diff, inverse) => {
+      const paths = matchPathPattern(segments, diff, inverse, root);
+      if (paths.length === 0) return;
+      if (options.once) stop();
+      listener(paths.map(path => {
+        const match = { path: path.slice(base.length), value: Utils.deepClone(readPath(root, path)) };
+        if (inverse !== undefined) {
+          match.oldValue = valueBefore(root, inverse, path,
+            (target, fragment) => LazyWatch.#patchObjectInto(target, fragment));
+        }
+        return match;
+      }));
+    }, [], { signal: options.signal, ignoreOrigin: options.ignoreOrigin, raw: true });
+    return stop;
+  }
+
   /**
    * Remove a change listener
    *
@@ -174,13 +295,16 @@ export class LazyWatch {
    * @param {Object} target - A LazyWatch proxy (root or nested) or a
    *   normal object/array
    * @param {Object} source - The authoritative state to match
+   * @param {Object} [options]
+   * @param {*} [options.origin] - Tag the applied changes' batch with this
+   *   origin (see LazyWatch.patch); ignored for normal objects
    */
-  static overwrite(target, source) {
+  static overwrite(target, source, options = {}) {
     const instance = LazyWatch.#tryGetInstance(target);
     if (instance) {
       instance.#checkDisposed();
-      instance.#proxyHandler.overwrite(
-        target, source, instance.#proxyHandler.getProxyPath(target));
+      instance.#applyAs('overwrite', options.origin, () => instance.#proxyHandler.overwrite(
+        target, source, instance.#proxyHandler.getProxyPath(target)));
       return;
     }
     LazyWatch.#assertPlainTarget(target, 'overwrite');
@@ -197,16 +321,32 @@ export class LazyWatch {
    * object/array, which is mutated in place with the same merge
    * semantics but no change tracking (e.g. applying received diffs to a
    * plain mirror such as a Vue `reactive` object).
+   *
+   * `options.origin` tags the batch the applied changes land in: listeners
+   * receive it as `meta.origin` (third argument), and `on(..., {
+   * ignoreOrigin })` skips such batches — built-in echo suppression for
+   * bidirectional sync. Batches never mix origins: pending changes of a
+   * different origin are sealed into their own batch first, and local
+   * writes made afterwards start a new one (all still emitted in order,
+   * on the usual schedule).
    * @param {Object} target - A LazyWatch proxy (root or nested) or a
    *   normal object/array
    * @param {Object} source - The values to merge
+   * @param {Object} [options]
+   * @param {*} [options.origin] - Origin tag for the applied changes'
+   *   batch, e.g. a peer id; ignored for normal objects
+   * @throws {Error} If an origin is given inside LazyWatch.transaction
+   *   (a transaction commits as one batch)
+   * @example
+   * LazyWatch.on(mirror, diff => socket.send(diff), { ignoreOrigin: 'remote' });
+   * socket.onmessage = e => LazyWatch.patch(mirror, JSON.parse(e.data), { origin: 'remote' });
    */
-  static patch(target, source) {
+  static patch(target, source, options = {}) {
     const instance = LazyWatch.#tryGetInstance(target);
     if (instance) {
       instance.#checkDisposed();
-      instance.#proxyHandler.patch(
-        target, source, instance.#proxyHandler.getProxyPath(target));
+      instance.#applyAs('patch', options.origin, () => instance.#proxyHandler.patch(
+        target, source, instance.#proxyHandler.getProxyPath(target)));
       return;
     }
     LazyWatch.#assertPlainTarget(target, 'patch');
@@ -231,6 +371,30 @@ export class LazyWatch {
     LazyWatch.overwrite(target, source);
   }
 
+  /**
+   * Apply changes with the tracker attributing them to `source` and
+   * `origin`. Inside a transaction everything belongs to the transaction's
+   * single batch
+   * @returns {*} Whatever `apply` returns
+   */
+  #applyAs(source, origin, apply) {
+    if (this.#transactionDepth > 0) {
+      if (origin !== undefined) {
+        throw new Error('LazyWatch.patch/overwrite cannot apply an origin-tagged change inside a transaction');
+      }
+      return apply();
+    }
+    const tracker = this.#diffTracker;
+    const previous = [tracker.writeSource, tracker.writeOrigin];
+    tracker.writeSource = source;
+    tracker.writeOrigin = origin;
+    try {
+      return apply();
+    } finally {
+      [tracker.writeSource, tracker.writeOrigin] = previous;
+    }
+  }
+
   /**
    * A non-proxy target must be a plain container; failing loudly here
    * beats the confusing native errors mutating a primitive or Date would
@@ -272,27 +436,35 @@ export class LazyWatch {
       // reserved names are never applied — writing them would mutate
       // prototypes instead of data
       if (prop === '$splice' || Utils.isUnsafeKey(prop)) continue;
-      if (resolvedSource[prop] === null || resolvedSource[prop] === undefined) {
+      // Codec tags arrive revived, as leaves, and proxies (Date wrappers
+      // included) as their targets
+      const value = reviveCodecTag(LazyWatch.resolveIfProxy(resolvedSource[prop]));
+      const kind = encodingKind(value);
+      if (value === null || value === undefined) {
         delete target[prop];
-      } else if (Utils.isObjectOrArray(target[prop]) && Utils.isObjectOrArray(resolvedSource[prop]) &&
-        !Array.isArray(resolvedSource[prop]) && !Array.isArray(resolvedSource)) {
+      } else if (kind && collectionKind(target[prop]) === kind) {
+        // Collection ops merge into the same kind of collection
+        applyCollectionOps(target[prop], kind, opsOf(value, kind));
+      } else if (!kind && Utils.isObjectOrArray(target[prop]) && Utils.isObjectOrArray(value) &&
+        !Array.isArray(value) && !Array.isArray(resolvedSource)) {
         // Recursively patch nested objects. Real arrays are excluded: they
         // are wholesale values (fragments are the merge form), and inside
         // one every entry is a full value too — both replace below, like
         // the proxy appliers.
-        LazyWatch.#patchObjectInto(target[prop], resolvedSource[prop], deleteMissing);
+        LazyWatch.#patchObjectInto(target[prop], value, deleteMissing);
       } else {
         // No container to merge into (or the value is a wholesale
         // replacement): revive index-keyed array diffs so they become real
         // arrays instead of being stored as plain objects, and drop null
         // markers — null means delete, and the replacement discards the
         // old container anyway. Cloned, so the caller's source is never
-        // mutated or aliased.
-        const sourceValue = Utils.reviveArrayDiffs(resolvedSource[prop]);
+        // mutated or aliased. Encoded collections become real ones, nested
+        // codec tags revived.
+        const sourceValue = Utils.reviveArrayDiffs(value);
         const clonedValue = Utils.isObjectOrArray(sourceValue)
-          ? Utils.cloneWithoutNulls(sourceValue)
+          ? decodeCodecValues(Utils.cloneWithoutNulls(sourceValue))
           : sourceValue;
-        target[prop] = clonedValue;
+        target[prop] = decodeCollections(clonedValue);
       }
     }
 
@@ -358,6 +530,193 @@ export class LazyWatch {
       (target, fragment) => LazyWatch.#patchObjectInto(target, fragment));
   }
 
+  /**
+   * Convert a diff into RFC 6902 JSON Patch operations, for consumers
+   * that speak JSON Patch rather than LazyWatch diffs.
+   *
+   * Pass `baseSnapshot` — the state the diff applies to, e.g. a
+   * `snapshot` taken at the previous batch — for an exact conversion:
+   * `add` vs `replace` and every array index are computed against the
+   * state the consumer holds when it reaches that operation. `$splice`
+   * ops become runs of `remove`/`add`, and array truncation `remove`s from
+   * the end. Without it, every object the diff descends into is assumed to
+   * exist on the consumer (a newly created object would become `add`s
+   * into a missing parent), values are written with `add` (which creates
+   * or replaces an object member), and array index writes cannot be
+   * converted.
+   * @param {Object} diff - The diff to convert
+   * @param {Object|Array} [baseSnapshot] - The pre-diff state; not mutated
+   * @returns {Array<Object>} The operations, paths as JSON Pointers
+   * @throws {TypeError} If the diff is not a diff object, writes array
+   *   indices without `baseSnapshot`, or leaves array holes (JSON has no
+   *   representation for them)
+   * @example
+   * let base = LazyWatch.snapshot(watched);
+   * LazyWatch.on(watched, diff => {
+   *   socket.send(JSON.stringify(LazyWatch.toJSONPatch(diff, base)));
+   *   base = LazyWatch.snapshot(watched);
+   * });
+   */
+  static toJSONPatch(diff, baseSnapshot) {
+    const resolved = LazyWatch.resolveIfProxy(diff);
+    if (!resolved || typeof resolved !== 'object' || Array.isArray(resolved)) {
+      throw new TypeError('LazyWatch.toJSONPatch requires a diff object');
+    }
+    Utils.assertSupported(resolved);
+    return toOperations(resolved, LazyWatch.resolveIfProxy(baseSnapshot),
+      (target, fragment) => LazyWatch.#patchObjectInto(target, fragment));
+  }
+
+  /**
+   * Convert a diff into an RFC 7396 JSON Merge Patch.
+   *
+   * Diffs differ from merge patches only on arrays: merge-patch consumers
+   * replace arrays wholesale and would store an index-keyed fragment as a
+   * plain object. Every array the diff touches is therefore emitted as
+   * its full value, read from `snapshot` — the state the diff produced,
+   * e.g. `LazyWatch.snapshot(watched)` taken in the listener. Objects,
+   * `null` deletions and leaves pass through unchanged. This is what
+   * instances created with `{ wire: 'merge-patch' }` emit.
+   * @param {Object} diff - The diff to convert
+   * @param {Object|Array} snapshot - The post-diff state (a proxy works)
+   * @returns {Object} A new merge patch
+   * @throws {TypeError} If the diff is not a diff object or the snapshot
+   *   not an object/array
+   * @example
+   * LazyWatch.on(watched, diff => {
+   *   fetch('/state', {
+   *     method: 'PATCH',
+   *     headers: { 'Content-Type': 'application/merge-patch+json' },
+   *     body: JSON.stringify(LazyWatch.toMergePatch(diff, watched))
+   *   });
+   * });
+   */
+  static toMergePatch(diff, snapshot) {
+    const resolved = LazyWatch.resolveIfProxy(diff);
+    if (!resolved || typeof resolved !== 'object' || Array.isArray(resolved)) {
+      throw new TypeError('LazyWatch.toMergePatch requires a diff object');
+    }
+    const state = LazyWatch.resolveIfProxy(snapshot);
+    if (!Utils.isObjectOrArray(state)) {
+      throw new TypeError('LazyWatch.toMergePatch requires the post-diff state as an object or array');
+    }
+    return toMergePatch(resolved, state);
+  }
+
+  /**
+   * Apply RFC 6902 JSON Patch operations (`add`, `remove`, `replace`,
+   * `move`, `copy`, `test`) to a proxy or a normal object/array. Paths
+   * are JSON Pointers relative to the target.
+   *
+   * On a proxy, every operation goes through the same tracked path as
+   * `patch`, so the result is recorded and emitted as one ordinary batch.
+   * The list is atomic: if any operation fails — a `test` that doesn't
+   * match, a path that doesn't exist — the state is rolled back as in
+   * `LazyWatch.transaction` (pending changes are flushed first), nothing
+   * is emitted, and the error is rethrown. A normal object is left
+   * untouched the same way (the operations are checked against a copy
+   * first).
+   *
+   * JSON `null` values follow LazyWatch's null-means-delete convention:
+   * `{ op: 'replace', path: '/a', value: null }` deletes `a`.
+   * @param {Object} target - A LazyWatch proxy (root or nested) or a
+   *   normal object/array
+   * @param {Array<Object>} operations - The JSON Patch document
+   * @throws {TypeError} If an operation is malformed
+   * @throws {Error} If a path doesn't exist or a `test` fails
+   * @example
+   * LazyWatch.applyJSONPatch(watched, [
+   *   { op: 'test', path: '/version', value: 3 },
+   *   { op: 'replace', path: '/title', value: 'Draft' },
+   *   { op: 'add', path: '/tags/-', value: 'new' }
+   * ]);
+   */
+  static applyJSONPatch(target, operations) {
+    if (!Array.isArray(operations)) {
+      throw new TypeError('LazyWatch.applyJSONPatch requires an array of operations');
+    }
+    const apply = (root, patch) => {
+      for (const op of operations) applyOperation(root, op, patch);
+    };
+    if (LazyWatch.#tryGetInstance(target)) {
+      // Atomic like a transaction, but listeners see an ordinary patch
+      LazyWatch.#transact(target, () => apply(
+        LazyWatch.resolveIfProxy(target), fragment => LazyWatch.patch(target, fragment)), 'patch');
+      return;
+    }
+    LazyWatch.#assertPlainTarget(target, 'applyJSONPatch');
+    const copy = Utils.deepClone(target);
+    apply(copy, fragment => LazyWatch.#patchObjectInto(copy, fragment));
+    apply(target, fragment => LazyWatch.#patchObjectInto(target, fragment));
+  }
+
+  /**
+   * Register a codec for a custom leaf type, for every instance.
+   *
+   * Values `test` accepts pass validation as leaves — like Date and
+   * RegExp, they are replaced wholesale and never proxied — and are cloned
+   * and compared through `encode`. On the wire they travel as
+   * `{ $type: name, v: encode(value) }` tags: `encodeDiff` produces them,
+   * and every applier (`patch`, `overwrite`, sync replicas, persistence
+   * restores) revives tags of registered codecs with `decode`. Sync sources
+   * and persistence encode automatically.
+   * @param {Object} codec
+   * @param {string} codec.name - The `$type` tag, unique
+   * @param {Function} codec.test - (value) => boolean; must only accept
+   *   the custom type
+   * @param {Function} codec.encode - (value) => JSON-safe data
+   * @param {Function} codec.decode - (data) => value
+   * @returns {Function} Unregisters the codec
+   * @throws {TypeError} If the codec is malformed
+   * @throws {Error} If a codec with the same name is registered
+   * @example
+   * LazyWatch.registerCodec({
+   *   name: 'Date',
+   *   test: value => value instanceof Date,
+   *   encode: date => date.toISOString(),
+   *   decode: iso => new Date(iso)
+   * });
+   */
+  static registerCodec(codec) {
+    return registerCodec(codec);
+  }
+
+  /**
+   * Replace every codec value in a diff (or snapshot, or inverse) with its
+   * `{ $type, v }` tag, ready for JSON. Pure: containers are copied only
+   * where a tag goes, so a diff without codec values comes back as-is.
+   * @param {Object} diff - The diff to encode
+   * @returns {Object} The encoded diff
+   * @throws {TypeError} If the diff is not an object
+   * @example
+   * LazyWatch.on(watched, diff => socket.send(JSON.stringify(LazyWatch.encodeDiff(diff))));
+   */
+  static encodeDiff(diff) {
+    if (!diff || typeof diff !== 'object') {
+      throw new TypeError('LazyWatch.encodeDiff requires a diff object');
+    }
+    return encodeCodecValues(diff);
+  }
+
+  /**
+   * Revive every `{ $type, v }` tag in an encoded diff (or snapshot) with
+   * its codec's `decode` — the inverse of `encodeDiff`. The appliers do
+   * this on their own; use it to read a received diff, or to rebuild
+   * state for `new LazyWatch`. Pure like `encodeDiff`.
+   * @param {Object} diff - The encoded diff
+   * @returns {Object} The decoded diff
+   * @throws {TypeError} If the diff is not an object, or a tag names no
+   *   registered codec
+   * @example
+   * const state = new LazyWatch(LazyWatch.decodeDiff(JSON.parse(saved)));
+   */
+  static decodeDiff(diff) {
+    if (!diff || typeof diff !== 'object') {
+      throw new TypeError('LazyWatch.decodeDiff requires a diff object');
+    }
+    return decodeCodecValues(diff, true);
+  }
+
   /**
    * Resolve a proxy to its original target
    * @param {*} obj - Potentially a proxy object
@@ -392,18 +751,53 @@ export class LazyWatch {
   static snapshot(watched) {
     const instance = LazyWatch.#getInstance(watched);
     instance.#checkDisposed();
-    return Utils.deepClone(LazyWatch.resolveIfProxy(watched));
+    const state = LazyWatch.resolveIfProxy(watched);
+    return instance.#diffTracker.collections ? encodeCollections(state) : Utils.deepClone(state);
   }
 
   /**
-   * Get a copy of the current pending diff without consuming it
+   * Get a copy of the current pending diff without consuming it: every
+   * batch awaiting emission (split by source or origin) composed into one
+   * diff, merge-patch encoded under `{ wire: 'merge-patch' }`
    * @param {Object} watched - The LazyWatch proxy
    * @returns {Object} A copy of the pending changes
    */
   static getPendingDiff(watched) {
     const instance = LazyWatch.#getInstance(watched);
     instance.#checkDisposed();
-    return instance.#diffTracker.getPendingDiff();
+    const tracker = instance.#diffTracker;
+    const diffs = [...tracker.sealedBatches().map(batch => batch.diff), tracker.getPendingDiff()];
+    const pending = diffs.length === 1 ? diffs[0] : instance.#composePending(diffs);
+    return instance.#encodeMergePatch ? instance.#encodeMergePatch(pending) : pending;
+  }
+
+  /**
+   * Compose pending batch diffs, oldest first. Where a pair has no
+   * single-diff form, each root key they touch is composed on its own, and
+   * a key that still fails carries its current value (null when deleted)
+   * — the batches led to it, so it is what the composed diff must reach
+   */
+  #composePending(diffs) {
+    try {
+      return diffs.reduce((older, newer) => LazyWatch.composeDiffs(older, newer));
+    } catch (e) {
+      // Fall back to the current values below
+    }
+    const state = LazyWatch.resolveIfProxy(this.#proxy);
+    const copy = value => this.#diffTracker.collections ? encodeCollections(value) : Utils.deepClone(value);
+    // An array root's fragments don't split by key; the whole array is
+    // its own full replacement
+    if (Array.isArray(state)) return copy(state);
+    const out = {};
+    for (const key of new Set(diffs.flatMap(diff => Object.keys(diff)))) {
+      const values = diffs.filter(diff => key in diff).map(diff => ({ [key]: diff[key] }));
+      try {
+        out[key] = values.reduce((older, newer) => LazyWatch.composeDiffs(older, newer), {})[key];
+      } catch (e) {
+        out[key] = key in state ? copy(state[key]) : null;
+      }
+    }
+    return out;
   }
 
   /**
@@ -500,9 +894,11 @@ export class LazyWatch {
     instance.#eventEmitter.forceEmit()
 
     let diff = {}
+    instance.#diffTracker.holdBatch = true
     try {
       callback()
     } finally {
+      instance.#diffTracker.holdBatch = false
       diff = instance.#diffTracker.consumeDiff()
       // Keep the inverse in lockstep with the forward diff
       instance.#diffTracker.consumeInverse()
@@ -520,49 +916,417 @@ export class LazyWatch {
    * synchronously) first, so the rollback covers exactly the callback's own
    * changes. Works whether or not the instance was created with
    * `{ inverse: true }` — inverse recording is enabled just for the duration.
-   * The callback must be synchronous; transactions cannot be nested.
+   * The callback must be synchronous.
    *
-   * @param {Object} watched - The LazyWatch proxy
-   * @param {Function} callback - Function whose changes are applied atomically
+   * A transaction started inside another acts as a savepoint: if it throws,
+   * only its own changes are rolled back and the error is rethrown to the
+   * outer callback, which may catch it and carry on. Its changes join the
+   * outer transaction's batch. The callback also receives a handle for
+   * explicit savepoints: `tx.savepoint()` marks the current state and
+   * `tx.rollbackTo(sp)` reverts everything since, keeping the savepoint
+   * for further use. A savepoint belongs to the callback that took it and
+   * is released when that callback's transaction ends.
+   *
+   * Given an array of proxies from different instances, the transaction
+   * spans all of them: each is flushed and records inverses, all are
+   * rolled back if the callback throws, and on success each instance's
+   * batch is emitted synchronously, in array order, as the transaction
+   * commits. Savepoints cover every listed instance. An instance that is
+   * already in a transaction joins as a nested one, committing with its
+   * outer transaction.
+   *
+   * @param {Object|Array<Object>} watched - The LazyWatch proxy, or
+   *   proxies of distinct instances
+   * @param {Function} callback - `tx => ...`, whose changes are applied
+   *   atomically
    * @returns {*} The callback's return value
-   * @throws {Error} If the instance has been disposed or a transaction is
-   *   already active; rethrows whatever the callback throws (after rollback)
+   * @throws {TypeError} If the array is empty or lists an instance twice
+   * @throws {Error} If an instance has been disposed; rethrows whatever
+   *   the callback throws (after rollback)
    * @example
-   * LazyWatch.transaction(watched, () => {
+   * LazyWatch.transaction(watched, tx => {
    *   watched.balance -= 100;
-   *   applyFees(watched); // if this throws, balance is restored
+   *   const beforeFees = tx.savepoint();
+   *   try {
+   *     applyFees(watched);
+   *   } catch {
+   *     tx.rollbackTo(beforeFees); // keep the withdrawal, drop the fees
+   *   }
+   * });
+   *
+   * LazyWatch.transaction([session, document], () => {
+   *   document.owner = session.user.id;
+   *   session.lastEdited = document.id;
    * });
    */
   static transaction(watched, callback) {
-    const instance = LazyWatch.#getInstance(watched);
-    instance.#checkDisposed();
-    if (instance.#inTransaction) {
-      throw new Error('LazyWatch.transaction cannot be nested');
+    return LazyWatch.#transact(watched, callback, 'transaction');
+  }
+
+  /**
+   * Run a transaction, over one proxy or an array of them, whose committed
+   * batches report `source`
+   */
+  static #transact(targets, callback, source) {
+    // A watched array root is one target, not a list of them
+    const many = Array.isArray(targets) && !LazyWatch.#tryGetInstance(targets);
+    const instances = (many ? targets : [targets]).map(target => LazyWatch.#getInstance(target));
+    if (instances.length === 0) {
+      throw new TypeError('LazyWatch.transaction requires at least one watched object');
+    }
+    if (new Set(instances).size < instances.length) {
+      throw new TypeError('LazyWatch.transaction lists the same instance more than once');
+    }
+    for (const instance of instances) instance.#checkDisposed();
+
+    const frames = instances.map(instance => instance.#beginTransaction(source));
+    const { tx, end } = LazyWatch.#transactionHandle(instances);
+    let result;
+    try {
+      result = callback(tx);
+    } catch (error) {
+      for (const frame of [...frames].reverse()) frame.rollback();
+      throw error;
+    } finally {
+      end();
+      for (const frame of frames) frame.end();
+    }
+    if (many) {
+      // Commit order is array order, whatever each instance's schedule
+      frames.forEach((frame, i) => {
+        if (!frame.nested) instances[i].#eventEmitter.forceEmit();
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Enter a transaction on this instance — a savepoint when one is already
+   * running
+   * @returns {{nested: boolean, rollback: Function, end: Function}} How to
+   *   revert the transaction's changes here, and how to leave it
+   */
+  #beginTransaction(source) {
+    const tracker = this.#diffTracker;
+    if (this.#transactionDepth > 0) {
+      // Nested: a savepoint in the outer transaction's batch
+      const start = tracker.savepoint();
+      this.#transactionDepth++;
+      return {
+        nested: true,
+        rollback: () => this.#proxyHandler.rollback(tracker.rollbackToSavepoint(start)),
+        end: () => {
+          this.#transactionDepth--;
+          tracker.releaseSavepoint(start);
+        }
+      };
     }
     // Start from a clean batch boundary so the inverse covers exactly the
     // callback's changes
-    instance.#eventEmitter.forceEmit();
+    this.#eventEmitter.forceEmit();
+
+    this.#retainInverse();
+    tracker.holdBatch = true;
+    // Restored on the way out: a transaction inside transactionAsync's
+    // tx.run must not reset the source its later writes carry
+    const previousSource = tracker.writeSource;
+    tracker.writeSource = source;
+    this.#transactionDepth = 1;
+    return {
+      nested: false,
+      rollback: () => {
+        const inverse = tracker.consumeInverse();
+        tracker.consumeDiff(); // discard the forward diff; nothing may emit
+        this.#proxyHandler.rollback(inverse);
+      },
+      end: () => {
+        tracker.releaseSavepoint();
+        this.#transactionDepth = 0;
+        tracker.holdBatch = false;
+        tracker.writeSource = previousSource;
+        // Without other users this drops the inverse recorded for the
+        // callback (after a rollback it is already empty)
+        this.#releaseInverse();
+      }
+    };
+  }
+
+  /**
+   * The `tx` handle for a transaction callback over `instances` at their
+   * current depths, and the function that retires it. A savepoint holds
+   * one tracker token per instance; a handle only accepts its own, and
+   * only while no nested transaction is running on any of the instances
+   * (rolling back past one's start would strand its changes)
+   */
+  static #transactionHandle(instances) {
+    const depths = instances.map(instance => instance.#transactionDepth);
+    const taken = new Map();
+    let active = true;
+    const check = method => {
+      if (!active) throw new Error(`tx.${method} called after the transaction ended`);
+      if (instances.some((instance, i) => instance.#transactionDepth !== depths[i])) {
+        throw new Error(`tx.${method} cannot be called while a nested transaction is running`);
+      }
+    };
+    const tx = {
+      savepoint: () => {
+        check('savepoint');
+        const savepoint = Object.freeze({});
+        taken.set(savepoint, instances.map(instance => instance.#diffTracker.savepoint()));
+        return savepoint;
+      },
+      rollbackTo: savepoint => {
+        check('rollbackTo');
+        const tokens = taken.get(savepoint);
+        if (!tokens || !instances.every((instance, i) => instance.#diffTracker.hasSavepoint(tokens[i]))) {
+          throw new Error('tx.rollbackTo requires an open savepoint taken by this transaction');
+        }
+        instances.forEach((instance, i) => {
+          instance.#proxyHandler.rollback(instance.#diffTracker.rollbackToSavepoint(tokens[i]));
+        });
+      }
+    };
+    return { tx, end: () => { active = false; } };
+  }
 
+  /**
+   * Run an async callback as a transaction: if its promise rejects, the
+   * changes it made are rolled back; if it resolves, they stay and its
+   * value is returned.
+   *
+   * Unlike {@link LazyWatch.transaction}, other code keeps running while
+   * the callback awaits, and may change the same instance. Those
+   * interleaved writes are kept: the rollback reverts the transaction's
+   * own changes only where nothing later overwrote them, and reports the
+   * rest as conflicts. JavaScript can't tell which code wrote after an
+   * `await`, so the transaction owns the writes made synchronously by the
+   * callback before its first `await`, plus everything run through
+   * `tx.run(fn)`. Writes after an `await` that aren't wrapped in `tx.run`
+   * count as other code's.
+   *
+   * Changes emit as usual while the transaction runs (`meta.source` is
+   * `'transaction'`), and a rollback emits as one batch with source
+   * `'rollback'`. With `{ hold: true }` emissions are paused until the
+   * transaction settles instead; a rejected transaction that nothing
+   * interleaved with then rolls back silently, with nothing emitted.
+   *
+   * @param {Object} watched - The LazyWatch proxy
+   * @param {Function} callback - `async tx => ...`; `tx.run(fn)` runs `fn`
+   *   synchronously as part of the transaction and returns its result
+   * @param {Object} [options]
+   * @param {boolean} [options.hold=false] - Pause emissions until settled
+   * @param {Function} [options.onConflict] - Called before the rejection
+   *   is rethrown with the paths (arrays of keys) whose rollback was
+   *   skipped because other code changed them afterwards
+   * @returns {Promise<*>} The callback's resolved value
+   * @throws {TypeError} If the callback or onConflict isn't a function
+   * @throws {Error} If the instance has been disposed or a synchronous
+   *   transaction is running; rejects with whatever the callback rejects
+   *   with (after rollback)
+   * @example
+   * await LazyWatch.transactionAsync(cart, async tx => {
+   *   cart.status = 'saving';
+   *   const order = await api.placeOrder(cart.items);
+   *   tx.run(() => { cart.orderId = order.id; });
+   * });
+   */
+  static async transactionAsync(watched, callback, options = {}) {
+    const instance = LazyWatch.#getInstance(watched);
+    instance.#checkDisposed();
+    const { hold = false, onConflict } = options;
+    if (typeof callback !== 'function') {
+      throw new TypeError('LazyWatch.transactionAsync callback must be a function');
+    }
+    if (onConflict !== undefined && typeof onConflict !== 'function') {
+      throw new TypeError('LazyWatch.transactionAsync onConflict must be a function');
+    }
+    if (instance.#transactionDepth > 0) {
+      throw new Error('LazyWatch.transactionAsync cannot run inside LazyWatch.transaction');
+    }
     const tracker = instance.#diffTracker;
-    const wasEnabled = tracker.inverseEnabled;
-    tracker.inverseEnabled = true;
-    instance.#inTransaction = true;
+    const emitter = instance.#eventEmitter;
+    // As for transaction: start at a clean batch boundary
+    emitter.forceEmit();
+    instance.#retainInverse();
+
+    // The tracker hands over every batch written under our owner as it
+    // closes; everything else that emits in the meantime is other code's
+    const own = [];
+    const ownIds = new Set();
+    const collect = batch => {
+      own.push(batch);
+      ownIds.add(batch.meta.batchId);
+    };
+    const others = [];
+    let ownEmitted = false;
+    const unsubscribe = emitter.on((diff, inverse, meta) => {
+      if (ownIds.has(meta.batchId)) ownEmitted = true;
+      else others.push({ id: meta.batchId, paths: touchedPaths(diff) });
+    }, [], { raw: true });
+    if (hold && instance.#holds++ === 0 && !emitter.isPaused()) {
+      instance.#heldPause = true;
+      emitter.pause();
+    }
+
+    let settled = false;
+    const run = fn => {
+      if (settled) throw new Error('LazyWatch.transactionAsync: tx.run called after the transaction settled');
+      instance.#checkDisposed();
+      const previous = tracker.writeOwner;
+      tracker.writeOwner = collect;
+      try {
+        return instance.#applyAs('transaction', undefined, fn);
+      } finally {
+        tracker.writeOwner = previous;
+      }
+    };
+
     try {
-      return callback();
+      return await run(() => callback({ run }));
     } catch (error) {
-      const inverse = tracker.consumeInverse();
-      tracker.consumeDiff(); // discard the forward diff; nothing may emit
-      instance.#proxyHandler.rollback(inverse);
+      if (!instance.#disposed) {
+        const { conflicts } = instance.#rollbackOwn(own, ownIds, others, ownEmitted);
+        if (conflicts.length > 0 && onConflict) onConflict(conflicts);
+      }
       throw error;
     } finally {
-      instance.#inTransaction = false;
-      tracker.inverseEnabled = wasEnabled;
-      if (!wasEnabled) {
-        // The instance doesn't track inverses; drop the one recorded for
-        // the callback (after a rollback this is already empty)
-        tracker.consumeInverse();
+      settled = true;
+      if (!instance.#disposed) {
+        unsubscribe();
+        instance.#releaseInverse();
+        if (hold && --instance.#holds === 0 && instance.#heldPause) {
+          instance.#heldPause = false;
+          emitter.resume();
+        }
+      }
+    }
+  }
+
+  /**
+   * Apply changes now, emit them immediately, and keep a handle to revert
+   * them later — e.g. an edit shown before the server acknowledges it.
+   *
+   * The callback runs atomically, like {@link LazyWatch.transaction} (if it
+   * throws, its changes are rolled back and nothing is emitted), and its
+   * changes are flushed to listeners as one `'local'` batch before
+   * `optimistic` returns. The handle settles the operation once:
+   *
+   * - `op.confirm()` keeps the changes and stops tracking
+   * - `op.revert()` undoes only this operation's changes. Changes made
+   *   since are kept: where they touched the same paths, those paths are
+   *   left alone and reported as conflicts. The revert emits as one batch
+   *   with source `'rollback'`
+   *
+   * Until settled, the handle records the paths of every later batch, so
+   * settle operations when the server answers.
+   *
+   * @param {Object} watched - The LazyWatch proxy
+   * @param {Function} callback - Function making the changes
+   * @returns {{confirm: Function, revert: Function}} The operation handle;
+   *   `revert()` returns `{ applied, conflicts }` like UndoManager.revert
+   * @throws {TypeError} If the callback isn't a function
+   * @throws {Error} If the instance has been disposed or a transaction is
+   *   running; rethrows whatever the callback throws (after rollback)
+   * @example
+   * const op = LazyWatch.optimistic(todos, () => { todos.items[3].done = true; });
+   * api.save(todos.items[3]).then(() => op.confirm(), () => op.revert());
+   */
+  static optimistic(watched, callback) {
+    const instance = LazyWatch.#getInstance(watched);
+    instance.#checkDisposed();
+    if (typeof callback !== 'function') {
+      throw new TypeError('LazyWatch.optimistic callback must be a function');
+    }
+    if (instance.#transactionDepth > 0) {
+      throw new Error('LazyWatch.optimistic cannot run inside a transaction');
+    }
+    const tracker = instance.#diffTracker;
+    const emitter = instance.#eventEmitter;
+    const own = [];
+    const ownIds = new Set();
+    instance.#retainInverse();
+    try {
+      const previous = tracker.writeOwner;
+      tracker.writeOwner = batch => {
+        own.push(batch);
+        ownIds.add(batch.meta.batchId);
+      };
+      try {
+        LazyWatch.#transact(watched, callback, 'local');
+      } finally {
+        tracker.writeOwner = previous;
+      }
+      emitter.forceEmit();
+    } finally {
+      instance.#releaseInverse();
+    }
+
+    const others = [];
+    const unsubscribe = emitter.on((diff, inverse, meta) => {
+      others.push({ id: meta.batchId, paths: touchedPaths(diff) });
+    }, [], { raw: true });
+    let settled = null;
+    const settle = (method, outcome) => {
+      if (settled) throw new Error(`LazyWatch.optimistic: cannot ${method}, the operation was already ${settled}`);
+      settled = outcome;
+      if (!instance.#disposed) unsubscribe();
+    };
+    return {
+      confirm: () => settle('confirm', 'confirmed'),
+      revert: () => {
+        instance.#checkDisposed();
+        settle('revert', 'reverted');
+        return instance.#rollbackOwn(own, ownIds, others, true);
       }
+    };
+  }
+
+  /**
+   * Revert an async transaction's or optimistic operation's batches,
+   * newest first. Each inverse is pruned against what other code wrote
+   * after it; when nothing else was written and none of the batches
+   * emitted yet, they are dropped and reverted silently instead
+   * @returns {{applied: boolean, conflicts: Array<Array<string>>}} Whether
+   *   anything was reverted, and the paths left alone as conflicts
+   */
+  #rollbackOwn(own, ownIds, others, ownEmitted) {
+    const tracker = this.#diffTracker;
+    tracker.sealBatch();
+    for (const { diff, meta } of tracker.sealedBatches()) {
+      if (!ownIds.has(meta.batchId)) others.push({ id: meta.batchId, paths: touchedPaths(diff) });
     }
+    const newestFirst = [...own].reverse();
+    if (others.length === 0 && !ownEmitted) {
+      tracker.clear();
+      for (const { inverse } of newestFirst) this.#proxyHandler.rollback(inverse);
+      return { applied: own.length > 0, conflicts: [] };
+    }
+    const conflicts = new Map();
+    const inverses = newestFirst
+      .map(({ inverse, meta }) => pruneInverse(inverse, others
+        .filter(other => other.id > meta.batchId)
+        .flatMap(other => other.paths), conflicts))
+      .filter(inverse => inverse !== undefined);
+    this.#applyAs('rollback', undefined, () => {
+      for (const inverse of inverses) this.#proxyHandler.patch(this.#proxy, inverse, []);
+    });
+    return { applied: inverses.length > 0, conflicts: [...conflicts.values()] };
+  }
+
+  /**
+   * Start or stop needing inverse recording. Once the last user releases,
+   * recording stops and any half-recorded inverse is dropped, so it can't
+   * pair with a later batch
+   */
+  #retainInverse() {
+    this.#inverseUsers++;
+    this.#diffTracker.inverseEnabled = true;
+  }
+
+  #releaseInverse() {
+    if (--this.#inverseUsers > 0) return;
+    this.#diffTracker.inverseEnabled = false;
+    this.#diffTracker.consumeInverse();
   }
 
   /**
@@ -581,21 +1345,40 @@ export class LazyWatch {
    * starts at a clean batch boundary. Changes made inside
    * `LazyWatch.silent` bypass emission and are not recorded.
    *
-   * One manager per instance: creating a second one before disposing the
-   * first throws. Disposing the instance disposes its manager.
+   * On a nested proxy the manager is scoped to that subtree: it records
+   * only the part of each batch under the subtree's path (filtered the way
+   * `on` filters for nested listeners) and its undo/redo write only there,
+   * so independent parts of one state tree — e.g. each open document — can
+   * keep separate histories. Scopes must not overlap: creating a manager
+   * on, above or below the scope of an active one throws. Disposing the
+   * instance disposes its managers.
    *
-   * @param {Object} watched - The LazyWatch root proxy
+   * @param {Object} watched - The LazyWatch proxy (root or nested)
    * @param {Object} [options] - Manager options
    * @param {number} [options.limit=Infinity] - Maximum undo depth; the
    *   oldest step is dropped when exceeded
+   * @param {number} [options.maxBytes=Infinity] - Memory budget: each
+   *   step's size is estimated (its JSON length) when recorded, and the
+   *   oldest steps are dropped while the total exceeds the budget
    * @param {number} [options.coalesce=0] - Milliseconds: batches arriving
    *   within this window of the previous one merge into the same undo
    *   step (sliding window; 0 disables). `manager.checkpoint()` ends the
    *   current window early
+   * @param {string} [options.mode='linear'] - 'tree' keeps undone steps:
+   *   a change after undo() starts a sibling branch instead of clearing
+   *   the redo stack, navigable with `branches()`, `switchBranch()` and
+   *   `goTo()`; in linear mode goTo() takes a history index
+   * @param {Object} [options.history] - A `manager.serialize()` result to
+   *   continue, e.g. after a reload; its mode is the default mode
    * @returns {UndoManager} The manager: `undo()`, `redo()`, `canUndo`,
-   *   `canRedo`, `group()`, `checkpoint()`, `clear()`, `dispose()`
-   * @throws {Error} If the instance has been disposed, already has an
-   *   undo manager, or a nested proxy is passed
+   *   `canRedo`, `nodeId`, `group()`, `label()`, `undoStack`, `redoStack`,
+   *   `on('change')`, `checkpoint()`, `goTo()`, `revert()`, `branches()`,
+   *   `switchBranch()`, `serialize()`, `stats()`, `clear()`, `dispose()`
+   * @throws {TypeError} If an option is invalid, including a malformed
+   *   history
+   * @throws {Error} If the instance has been disposed, an active undo
+   *   manager's scope overlaps this one, or the history was serialized
+   *   from a different state
    * @example
    * const manager = LazyWatch.createUndoManager(watched, { limit: 100 });
    * watched.count = 1;
@@ -605,48 +1388,318 @@ export class LazyWatch {
   static createUndoManager(watched, options = {}) {
     const instance = LazyWatch.#getInstance(watched);
     instance.#checkDisposed();
-    if (LazyWatch.#undoManagers.has(instance)) {
-      throw new Error('This LazyWatch instance already has an undo manager (dispose it first)');
-    }
-    if (instance.#proxyHandler.getProxyPath(watched).length > 0) {
-      throw new Error('LazyWatch.createUndoManager requires the root proxy, not a nested one');
+    const path = instance.#proxyHandler.getProxyPath(watched);
+    for (const scope of instance.#undoManagers.values()) {
+      // Overlapping when one path is a prefix of the other
+      if (path.every((segment, i) => i >= scope.length || String(segment) === String(scope[i]))) {
+        const describe = segments => segments.length ? `"${segments.join('.')}"` : 'the root';
+        throw new Error(`This LazyWatch instance already has an undo manager at ${describe(scope)}, ` +
+          `which overlaps ${describe(path)} (dispose it first)`);
+      }
     }
 
     // Start history at a clean batch boundary, then enable inverse
     // recording for the manager's lifetime
     instance.#eventEmitter.forceEmit();
     const tracker = instance.#diffTracker;
-    const wasEnabled = tracker.inverseEnabled;
-    tracker.inverseEnabled = true;
+    instance.#retainInverse();
 
     let manager;
     try {
       manager = new UndoManager({
         limit: options.limit,
+        maxBytes: options.maxBytes,
         coalesce: options.coalesce,
+        mode: options.mode,
+        history: options.history,
+        // Read through the path, not the nested proxy: the subtree may
+        // since have been replaced
+        state: () => readPath(LazyWatch.resolveIfProxy(instance.#proxy), path),
         compose: (older, newer) => LazyWatch.composeDiffs(older, newer),
-        subscribe: listener => instance.#eventEmitter.on(listener, []),
+        subscribe: listener => instance.#eventEmitter.on(listener, path, { raw: true }),
         flush: () => instance.#eventEmitter.forceEmit(),
-        patch: diff => instance.#proxyHandler.patch(instance.#proxy, diff),
-        hasPending: () => tracker.hasPendingChanges(),
+        // Scoped steps are wrapped back into their path and applied at the
+        // root, which also recreates a subtree deleted since
+        patch: (diff, source) => instance.#applyAs(source, undefined, () => instance.#proxyHandler.patch(
+          instance.#proxy, path.reduceRight((inner, segment) => ({ [segment]: inner }), diff))),
+        hasPending: () => tracker.hasPendingChanges(path),
         onDispose: () => {
-          tracker.inverseEnabled = wasEnabled;
-          // The instance doesn't track inverses itself; drop any
-          // half-recorded one so it can't pair with a later batch
-          if (!wasEnabled) tracker.consumeInverse();
-          LazyWatch.#undoManagers.delete(instance);
+          instance.#releaseInverse();
+          instance.#undoManagers.delete(manager);
         }
       });
     } catch (error) {
       // A rejected option must not leave inverse recording enabled on a
       // manager-less instance
-      tracker.inverseEnabled = wasEnabled;
+      instance.#releaseInverse();
       throw error;
     }
-    LazyWatch.#undoManagers.set(instance, manager);
+    instance.#undoManagers.set(manager, path);
     return manager;
   }
 
+  /**
+   * Record every emitted batch in an append-only log, for event sourcing
+   * and time travel.
+   *
+   * Each batch is appended to `options.store` as `{ id, diff, inverse,
+   * meta }` with consecutive ids; an empty store first gets the current
+   * state as its base snapshot (id 0). `log.at(id)` materializes the state
+   * after any entry, `log.replay(id)` moves the watched object there (one
+   * ordinary batch; editing the replayed state continues the log from
+   * there), and `log.compact(id)` folds the entries up to `id` into the
+   * base using composeDiffs.
+   *
+   * Stores are synchronous `{ append(entry), entries(), getBase(),
+   * setBase(base) }` objects — the default keeps everything in memory.
+   * Given a store that already holds a log, numbering continues after its
+   * last entry and the watched state is assumed to match it. Inverse
+   * recording is enabled for the log's lifetime (see createUndoManager for
+   * its costs); pending changes are flushed first, so the log starts at a
+   * clean batch boundary. Disposing the instance disposes its logs.
+   *
+   * @param {Object} watched - The LazyWatch root proxy
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Where entries are kept (in memory by
+   *   default)
+   * @returns {HistoryLog} The log: `at()`, `replay()`, `compact()`,
+   *   `entries()`, `baseId`, `headId`, `position`, `dispose()`
+   * @throws {TypeError} If the store is missing a method
+   * @throws {Error} If the instance has been disposed or a nested proxy
+   *   is passed
+   * @example
+   * const log = LazyWatch.createHistoryLog(watched);
+   * watched.count = 1;
+   * LazyWatch.flush(watched);
+   * log.at(0);     // { count: 0 }
+   * log.replay(0); // watched.count is 0 again
+   */
+  static createHistoryLog(watched, options = {}) {
+    const instance = LazyWatch.#getInstance(watched);
+    instance.#checkDisposed();
+    if (instance.#proxyHandler.getProxyPath(watched).length > 0) {
+      throw new Error('LazyWatch.createHistoryLog requires the root proxy, not a nested one');
+    }
+
+    instance.#eventEmitter.forceEmit();
+    instance.#retainInverse();
+    let log;
+    try {
+      log = new HistoryLog({
+        store: options.store,
+        subscribe: listener => instance.#eventEmitter.on(listener, [], { raw: true }),
+        flush: () => instance.#eventEmitter.forceEmit(),
+        patch: diff => LazyWatch.patch(instance.#proxy, diff),
+        snapshot: () => LazyWatch.snapshot(instance.#proxy),
+        compose: (older, newer) => LazyWatch.composeDiffs(older, newer),
+        applyFragment: (target, fragment) => LazyWatch.#patchObjectInto(target, fragment),
+        // Snapshots store collections encoded; ops only merge into real ones
+        decode: state => instance.#diffTracker.collections ? decodeCollections(state) : state,
+        encode: state => instance.#diffTracker.collections ? encodeCollections(state) : state,
+        onDispose: () => {
+          instance.#releaseInverse();
+          instance.#attachments.delete(log);
+        }
+      });
+    } catch (error) {
+      instance.#releaseInverse();
+      throw error;
+    }
+    instance.#attachments.add(log);
+    return log;
+  }
+
+  /**
+   * Keep a watched object saved in a storage, restoring it first.
+   *
+   * The stored record under `key` is applied right away — with
+   * `overwrite`, inside `silent`, so listeners never see the restore as a
+   * change and edits made afterwards can't race it. When its version
+   * differs from `options.version`, `migrate(oldState, oldVersion)`
+   * converts it first; without `migrate` (or when the record can't be
+   * read) it is reported with console.error and ignored. Every emitted
+   * batch then saves `JSON.stringify({ version, state })`, or the last
+   * batch of a burst with `debounce`. Codec values are stored as tags
+   * (see `registerCodec`), so `migrate` sees them encoded.
+   *
+   * Works on nested proxies (persisting that subtree). Disposing the
+   * instance disposes its persistence handles.
+   * @param {Object} watched - The LazyWatch proxy to persist
+   * @param {Object} options
+   * @param {Object} options.storage - `getItem`/`setItem` (localStorage,
+   *   sessionStorage) or `get`/`set` (a Map, a file adapter), synchronous
+   * @param {string} options.key - Key the record is stored under
+   * @param {number} [options.debounce=0] - Milliseconds without new
+   *   batches before saving (0 saves every batch)
+   * @param {*} [options.version] - Version saved with the state
+   * @param {Function} [options.migrate] - (oldState, oldVersion) => state
+   *   for records saved under another version
+   * @returns {Persistence} The handle: `restored`, `save()`, `dispose()`
+   * @throws {TypeError} If an option is invalid
+   * @example
+   * const settings = new LazyWatch({ theme: 'light' });
+   * LazyWatch.persist(settings, { storage: localStorage, key: 'settings', debounce: 200 });
+   */
+  static persist(watched, options = {}) {
+    const instance = LazyWatch.#getInstance(watched);
+    instance.#checkDisposed();
+    const handle = new Persistence({
+      storage: options.storage,
+      key: options.key,
+      debounce: options.debounce,
+      version: options.version,
+      migrate: options.migrate,
+      restore: state => {
+        if (!Utils.isObjectOrArray(state) ||
+            Array.isArray(state) !== Array.isArray(LazyWatch.resolveIfProxy(watched))) {
+          throw new TypeError('LazyWatch.persist: the stored state is not the same kind of container as the watched object');
+        }
+        LazyWatch.silent(watched, () => LazyWatch.overwrite(watched, state));
+      },
+      snapshot: () => encodeCodecValues(LazyWatch.snapshot(watched)),
+      subscribe: listener => instance.#eventEmitter.on(listener,
+        instance.#proxyHandler.getProxyPath(watched), { raw: true }),
+      onDispose: () => instance.#attachments.delete(handle)
+    });
+    instance.#attachments.add(handle);
+    return handle;
+  }
+
+  /**
+   * Derive a value from a watched object, kept up to date as it changes.
+   *
+   * `fn(watched)` runs right away, and every path it reads through the
+   * proxy — property reads, `in` checks, key enumeration, tracked Map/Set
+   * use — is recorded. It reruns after an emitted batch only when that
+   * batch changed one of those paths (editing a todo's text never reruns
+   * a function that only read `done` flags), recording its reads again.
+   * A result deep-equal to the previous one is dropped.
+   *
+   * The handle's `value` holds a copy of the result. With `key`, the
+   * value is also stored as `watched[key]` — silently by default, so the
+   * write is never recorded, emitted or undoable, and every batch that
+   * triggers a recompute stays a single batch; a write by anyone else to
+   * that key is put back after its batch. With `silent: false` the write
+   * is tracked and emitted as its own follow-up batch (what replicas need
+   * to receive it). `fn` must not read `key` itself.
+   *
+   * Only changes that emit can trigger a recompute: writes inside
+   * `LazyWatch.silent`, and reads of other instances, are not seen.
+   * Disposing the instance disposes its computed handles.
+   * @param {Object} watched - The LazyWatch proxy (root or nested) to read
+   * @param {Function} fn - (watched) => value; should only read
+   * @param {Object} [options]
+   * @param {string} [options.key] - Property of `watched` to store the
+   *   value in
+   * @param {boolean} [options.silent=true] - With `key`: write without
+   *   recording (false records and emits the write)
+   * @returns {Computed} The handle: `value`, `disposed`, `dispose()`
+   * @throws {TypeError} If fn is not a function or key is invalid
+   * @example
+   * const app = new LazyWatch({ todos: [{ text: 'a', done: false }] });
+   * const open = LazyWatch.computed(app, s => s.todos.filter(t => !t.done).length,
+   *   { key: 'openCount' });
+   * app.todos[0].done = true; // after the batch: open.value === 0, app.openCount === 0
+   */
+  static computed(watched, fn, options = {}) {
+    const instance = LazyWatch.#getInstance(watched);
+    instance.#checkDisposed();
+    if (typeof fn !== 'function') {
+      throw new TypeError('LazyWatch.computed requires a function (watched) => value');
+    }
+    const { key, silent = true } = options;
+    if (key !== undefined && (typeof key !== 'string' || key === '' || Utils.isUnsafeKey(key))) {
+      throw new TypeError('LazyWatch.computed key must be a non-empty string naming a regular property');
+    }
+    const handler = instance.#proxyHandler;
+    const assign = value => {
+      watched[key] = Utils.deepClone(value);
+    };
+    const handle = new Computed({
+      evaluate: () => handler.trackReads(() => fn(watched)),
+      subscribe: listener => instance.#eventEmitter.on(listener, [], { raw: true }),
+      write: key === undefined ? undefined
+        : value => (silent ? handler.suppressed(() => assign(value)) : assign(value)),
+      keyPath: key === undefined ? undefined : [...handler.getProxyPath(watched), key],
+      onDispose: () => instance.#attachments.delete(handle)
+    });
+    instance.#attachments.add(handle);
+    return handle;
+  }
+
+  /**
+   * Publish a watched object to replicas over any message channel.
+   *
+   * The source sends `{ type: 'snapshot', session, seq, data }` on
+   * creation and for every `{ type: 'resync-request' }` it receives, and
+   * each emitted batch as `{ type: 'diff', session, seq, data }` with
+   * consecutive sequence numbers. Pending changes are flushed before a
+   * snapshot, so the diffs that follow are deltas against exactly it.
+   * Messages are plain objects, codec values tagged (see `registerCodec`);
+   * serialize them in `send` if the transport needs it. Works on nested
+   * proxies (publishing that subtree).
+   * @param {Object} watched - The LazyWatch proxy to publish
+   * @param {Object} channel
+   * @param {Function} channel.send - (message) => void
+   * @param {Function} channel.onMessage - (handler) => void | unsubscribe;
+   *   registers the handler for messages from replicas
+   * @returns {SyncSource} The source: `seq`, `resync()`, `dispose()`
+   * @example
+   * wss.on('connection', ws => {
+   *   const source = LazyWatch.createSyncSource(state, {
+   *     send: message => ws.send(JSON.stringify(message)),
+   *     onMessage: handler => ws.on('message', raw => handler(JSON.parse(raw)))
+   *   });
+   *   ws.on('close', () => source.dispose());
+   * });
+   */
+  static createSyncSource(watched, channel = {}) {
+    const instance = LazyWatch.#getInstance(watched);
+    instance.#checkDisposed();
+    return new SyncSource({
+      subscribe: listener => LazyWatch.on(watched, diff => listener(encodeCodecValues(diff))),
+      flush: () => LazyWatch.flush(watched),
+      snapshot: () => encodeCodecValues(LazyWatch.snapshot(watched)),
+      send: channel.send,
+      onMessage: channel.onMessage
+    });
+  }
+
+  /**
+   * Keep a mirror in step with a sync source's message stream.
+   *
+   * Snapshots are applied with `overwrite` and diffs with `patch`, each
+   * exactly once and in order: duplicate diffs are discarded, and a gap —
+   * a missing sequence number, a diff from an unknown session or before
+   * any snapshot — sends `{ type: 'resync-request' }` and drops diffs
+   * until the snapshot arrives. The mirror may be a LazyWatch proxy (its
+   * listeners see applied changes as normal batches) or a normal object.
+   * @param {Object} mirror - A LazyWatch proxy or a normal object/array
+   * @param {Object} channel
+   * @param {Function} channel.send - (message) => void
+   * @param {Function} channel.onMessage - (handler) => void | unsubscribe;
+   *   registers the handler for messages from the source
+   * @returns {SyncReplica} The replica: `seq`, `synced`, `resync()`,
+   *   `dispose()`
+   * @example
+   * const ws = new WebSocket(url);
+   * LazyWatch.createSyncReplica(mirror, {
+   *   send: message => ws.send(JSON.stringify(message)),
+   *   onMessage: handler => { ws.onmessage = event => handler(JSON.parse(event.data)); }
+   * });
+   */
+  static createSyncReplica(mirror, channel = {}) {
+    const instance = LazyWatch.#tryGetInstance(mirror);
+    if (instance) instance.#checkDisposed();
+    else LazyWatch.#assertPlainTarget(mirror, 'createSyncReplica');
+    return new SyncReplica({
+      patch: diff => LazyWatch.patch(mirror, diff),
+      overwrite: state => LazyWatch.overwrite(mirror, state),
+      send: channel.send,
+      onMessage: channel.onMessage
+    });
+  }
+
   /**
    * Clean up resources and remove all listeners
    * @param {Object} watched - The LazyWatch proxy
@@ -655,10 +1708,10 @@ export class LazyWatch {
     const instance = LazyWatch.#getInstance(watched);
     if (instance.#disposed) return;
 
-    // Detach an active undo manager first, while the emitter and tracker
-    // are still alive for its cleanup
-    const undoManager = LazyWatch.#undoManagers.get(instance);
-    if (undoManager) undoManager.dispose();
+    // Detach active undo managers, history logs and persistence first,
+    // while the emitter and tracker are still alive for their cleanup
+    for (const undoManager of [...instance.#undoManagers.keys()]) undoManager.dispose();
+    for (const attachment of [...instance.#attachments]) attachment.dispose();
 
     instance.#disposed = true;
     instance.#eventEmitter.dispose();
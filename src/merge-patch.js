@@ -0,0 +1,65 @@
+// merge-patch.js - RFC 7396 JSON Merge Patch encoding of LazyWatch diffs
+import {Utils} from "./utils.js";
+import {readPath, valueBefore} from "./path-pattern.js";
+
+/**
+ * Convert a diff into an RFC 7396 merge patch.
+ *
+ * Diffs already are merge patches everywhere except arrays: `null`
+ * deletes and objects merge, but arrays travel as index-keyed fragments
+ * with `$splice` ops, which merge-patch consumers would store as plain
+ * objects. Every array the diff touches — directly or anywhere inside
+ * one of its elements — is therefore replaced by its full value, read
+ * from `state`. Objects, nulls and leaves pass through.
+ *
+ * @param {Object} diff - The diff to convert
+ * @param {Object|Array} state - The state the diff produced (post-batch)
+ * @returns {Object|Array} A new merge patch; shares no references with
+ *   `diff` or `state` (an array root yields its full array)
+ */
+export function toMergePatch(diff, state) {
+  return convert(diff, [], (path) => {
+    const value = readPath(state, path);
+    return Array.isArray(value) ? Utils.deepClone(value) : undefined;
+  });
+}
+
+/**
+ * Convert a batch's inverse the same way, with every touched array
+ * replaced by its full pre-batch value — so applying the result to a
+ * merge-patch consumer still undoes the batch
+ * @param {Object} inverse - The batch's inverse diff
+ * @param {Object|Array} state - The post-batch state
+ * @param {Function} applyFragment - (container, fragment) => void with
+ *   receiver patch semantics
+ * @returns {Object|Array} A new merge patch
+ */
+export function inverseToMergePatch(inverse, state, applyFragment) {
+  return convert(inverse, [], (path, node) => {
+    // Only nodes that can describe an array are materialized; anything
+    // else would clone subtrees just to find out they are objects
+    if (!Array.isArray(readPath(state, path)) && !Utils.isArrayDiff(node)) return undefined;
+    const before = valueBefore(state, inverse, path, applyFragment);
+    return Array.isArray(before) ? before : undefined;
+  });
+}
+
+/**
+ * @param {*} node - Diff node at `path`
+ * @param {Array<string>} path - Absolute path of the node
+ * @param {Function} fullArray - (path, node) => the full array value at
+ *   `path`, or undefined when the node doesn't describe an array
+ */
+function convert(node, path, fullArray) {
+  if (!Utils.isObjectOrArray(node) || Array.isArray(node)) {
+    return Utils.isObjectOrArray(node) ? Utils.deepClone(node) : node;
+  }
+  const full = fullArray(path, node);
+  if (full !== undefined) return full;
+  const out = {};
+  for (const key of Object.keys(node)) {
+    if (key === '$splice' || Utils.isUnsafeKey(key)) continue;
+    out[key] = convert(node[key], [...path, key], fullArray);
+  }
+  return out;
+}
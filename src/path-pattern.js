@@ -0,0 +1,194 @@
+// path-pattern.js - Glob-style path patterns matched against emitted batches
+import {Utils} from "./utils.js";
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+/**
+ * Parse a path pattern into segments. Accepts a dot-separated string
+ * ('todos.*.done') or an array of segments (for keys that contain dots).
+ * `*` matches exactly one segment and `**` zero or more; wildcards must
+ * be whole segments, so 'item*' is rejected rather than half-supported.
+ * @param {string|Array} pattern
+ * @returns {Array<string>} The pattern's segments
+ * @throws {TypeError} If the pattern is empty or has an invalid segment
+ */
+export function parsePathPattern(pattern) {
+  const segments = typeof pattern === 'string'
+    ? pattern.split('.')
+    : Array.isArray(pattern) ? pattern.map(String) : null;
+  if (!segments || pattern.length === 0) {
+    throw new TypeError('LazyWatch.onPath pattern must be a non-empty dot-separated string or array of segments');
+  }
+  for (const segment of segments) {
+    if (segment === '' || (segment !== '*' && segment !== '**' && segment.includes('*'))) {
+      throw new TypeError(
+        `LazyWatch.onPath pattern has an invalid segment "${segment}": segments must be non-empty, and wildcards (* or **) must be whole segments`
+      );
+    }
+  }
+  return segments;
+}
+
+/**
+ * Find every concrete path matching `segments` that a batch touched.
+ *
+ * The walk follows the diff and, when recorded, the inverse side by side:
+ * a path is touched when either records something at or above it. The
+ * inverse matters for removals — keys of a deleted container, and array
+ * elements dropped by truncation (the diff carries only the new
+ * `length`), exist only there. Without it, wildcards cannot enumerate
+ * removed keys; literal segments below a deleted or leaf-replaced
+ * ancestor still match (as gone), like nested listeners receiving null —
+ * except after a `**`, which could otherwise "match" any depth below a
+ * leaf.
+ *
+ * Compact `$splice` ops (only recorded without inverse) shift elements,
+ * so every index from the earliest op's start to the longer of the pre-
+ * and post-op lengths counts as touched; elements are read from `root`.
+ *
+ * @param {Array<string>} segments - Parsed pattern, from the root
+ * @param {Object} diff - The batch's forward diff
+ * @param {Object} [inverse] - The batch's inverse diff, when recorded
+ * @param {Object} root - The raw root object (post-batch state)
+ * @returns {Array<Array<string>>} Matched paths, each reported once
+ */
+export function matchPathPattern(segments, diff, inverse, root) {
+  const found = new Map();
+  walk(diff, inverse, root, segments, 0, [], found, inverse === undefined);
+  return [...found.values()];
+}
+
+// `inferGone`: treat literal children of a null/leaf diff node as removed
+function walk(d, inv, live, segments, i, path, found, inferGone) {
+  if (d === undefined && inv === undefined) return; // untouched
+  if (i === segments.length) {
+    const key = JSON.stringify(path);
+    if (!found.has(key)) found.set(key, path);
+    return;
+  }
+  const segment = segments[i];
+  const wildcard = segment === '*' || segment === '**';
+  // `**` also matches zero segments
+  if (segment === '**') {
+    inferGone = false;
+    walk(d, inv, live, segments, i + 1, path, found, inferGone);
+  }
+  const keys = wildcard ? childKeys(d, inv, live) : [segment];
+  for (const key of keys) {
+    walk(
+      diffChild(d, live, key, inferGone),
+      Utils.isObjectOrArray(inv) && hasOwn(inv, key) ? inv[key] : undefined,
+      Utils.isObjectOrArray(live) && hasOwn(live, key) ? live[key] : undefined,
+      segments, segment === '**' ? i : i + 1, [...path, key], found, inferGone
+    );
+  }
+}
+
+/**
+ * The diff's record for `key` below node `d`. Below a null or leaf the
+ * child is gone (null) when inferred — with the inverse recorded, it
+ * knows exactly which keys existed instead. Inside a `$splice` range the
+ * child is the live element, a full value touched in its entirety.
+ */
+function diffChild(d, live, key, inferGone) {
+  if (d === undefined) return undefined;
+  if (!Utils.isObjectOrArray(d)) return inferGone ? null : undefined;
+  if (hasOwn(d, key)) return d[key];
+  const range = spliceRange(d, live);
+  if (range && /^\d+$/.test(key) && Number(key) >= range[0] && Number(key) < range[1]) {
+    return Number(key) < live.length ? live[key] : null;
+  }
+  return undefined;
+}
+
+/**
+ * Keys a wildcard can expand to below a node: everything the diff or the
+ * inverse records there, plus the indices a `$splice` range covers.
+ * Bookkeeping keys ($splice, and an array's `length`) are not elements.
+ */
+function childKeys(d, inv, live) {
+  const keys = new Set();
+  const arrayLike = Array.isArray(live) || Array.isArray(d) || Utils.isArrayDiff(d);
+  for (const node of [d, inv]) {
+    if (!Utils.isObjectOrArray(node)) continue;
+    for (const key of Object.keys(node)) {
+      if (key === '$splice' || (key === 'length' && arrayLike)) continue;
+      keys.add(key);
+    }
+  }
+  const range = spliceRange(d, live);
+  if (range) {
+    for (let index = range[0]; index < range[1]; index++) keys.add(String(index));
+  }
+  return keys;
+}
+
+/**
+ * [first, end) of the indices shifted by a node's `$splice` ops, or null.
+ * The pre-op length is recovered from the post-op one: each op changes
+ * the length by its item count minus its delete count.
+ */
+function spliceRange(d, live) {
+  if (!Utils.isObjectOrArray(d) || !Array.isArray(d.$splice) || !Array.isArray(live)) {
+    return null;
+  }
+  let first = Infinity;
+  let growth = 0;
+  for (const [start, deleteCount, items = []] of d.$splice) {
+    first = Math.min(first, start);
+    growth += items.length - deleteCount;
+  }
+  return [first, Math.max(live.length, live.length - growth)];
+}
+
+/**
+ * Read the value at `path` below `value`; undefined where it doesn't exist
+ */
+export function readPath(value, path) {
+  let current = value;
+  for (const segment of path) {
+    if (!Utils.isObjectOrArray(current) || !hasOwn(current, segment)) return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * The value at `path` before the batch: the post-batch state with the
+ * inverse applied, computed along the path only (the rest of the state is
+ * never cloned). Plain-object inverse nodes are fragments over the live
+ * value (null-fill makes that exact even for replaced containers); null,
+ * leaves, and real arrays are complete records read directly.
+ * @param {Object} root - The raw root object (post-batch state)
+ * @param {Object} inverse - The batch's inverse diff
+ * @param {Array<string>} path - Absolute path to read
+ * @param {Function} applyFragment - (container, fragment) => void with
+ *   receiver patch semantics
+ * @returns {*} A fresh copy of the pre-batch value, undefined if absent
+ */
+export function valueBefore(root, inverse, path, applyFragment) {
+  let live = root;
+  let inv = inverse;
+  for (let i = 0; i < path.length; i++) {
+    if (inv === undefined) {
+      live = readPath(live, [path[i]]);
+      continue;
+    }
+    if (!Utils.isObjectOrArray(inv) || Array.isArray(inv)) {
+      return readPath(materialize(live, inv, applyFragment), path.slice(i));
+    }
+    live = readPath(live, [path[i]]);
+    inv = hasOwn(inv, path[i]) ? inv[path[i]] : undefined;
+  }
+  return inv === undefined ? Utils.deepClone(live) : materialize(live, inv, applyFragment);
+}
+
+/**
+ * Apply one inverse record to (a copy of) the live value it covers, with
+ * the receivers' patch semantics for a single property
+ */
+function materialize(live, inv, applyFragment) {
+  const holder = live === undefined ? {} : { value: Utils.deepClone(live) };
+  applyFragment(holder, { value: inv });
+  return holder.value;
+}
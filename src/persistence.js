@@ -0,0 +1,151 @@
+// persistence.js - Automatic save and restore through a get/set storage
+
+/**
+ * Read/write a storage through either interface it offers: Web Storage
+ * (`getItem`/`setItem`, e.g. localStorage) or Map-style (`get`/`set`, e.g.
+ * a Map or a file adapter)
+ */
+function storageAccess(storage) {
+  if (storage && typeof storage.getItem === 'function' && typeof storage.setItem === 'function') {
+    return { read: key => storage.getItem(key), write: (key, value) => storage.setItem(key, value) };
+  }
+  if (storage && typeof storage.get === 'function' && typeof storage.set === 'function') {
+    return { read: key => storage.get(key), write: (key, value) => storage.set(key, value) };
+  }
+  throw new TypeError('LazyWatch.persist storage must have getItem/setItem (e.g. localStorage) or get/set (e.g. a Map)');
+}
+
+/**
+ * Persistence - keeps a watched object saved in a storage
+ *
+ * Created via LazyWatch.persist(watched, options). On creation the stored
+ * record — `{ version, state }`, JSON-encoded — is read and, after
+ * migration when its version differs, applied to the watched object
+ * silently, so no listener sees the restore as a change. Afterwards every
+ * emitted batch schedules a save of a fresh snapshot, immediately or after
+ * `debounce` quiet milliseconds.
+ *
+ * Storage failures never throw into the application: an unreadable or
+ * unmigratable record is reported and left in place (the next save
+ * replaces it), and a failed write is reported and retried with the next
+ * batch.
+ *
+ * Dependencies are injected as closures so the class stays decoupled from
+ * LazyWatch internals.
+ */
+export class Persistence {
+  #access;
+  #key;
+  #version;
+  #debounce;
+  #snapshot;
+  #unsubscribe;
+  #onDispose;
+  #timeoutId = null;
+  #restored = false;
+  #disposed = false;
+
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.storage - getItem/setItem or get/set storage
+   * @param {string} deps.key - Key the record is stored under
+   * @param {number} [deps.debounce=0] - Milliseconds without new batches
+   *   before a save (0 saves on every batch)
+   * @param {*} [deps.version] - Version written with every save
+   * @param {Function} [deps.migrate] - (oldState, oldVersion) => state,
+   *   for records written under another version
+   * @param {Function} deps.restore - (state) => void: apply a restored
+   *   state without emitting it; throws when the state is unusable
+   * @param {Function} deps.snapshot - () => a copy of the current state
+   * @param {Function} deps.subscribe - (listener) => unsubscribe; listener
+   *   is called once per emitted batch
+   * @param {Function} [deps.onDispose] - Called once when disposed
+   */
+  constructor({ storage, key, debounce = 0, version, migrate, restore, snapshot, subscribe, onDispose }) {
+    this.#access = storageAccess(storage);
+    if (typeof key !== 'string' || key === '') {
+      throw new TypeError('LazyWatch.persist requires a non-empty string key');
+    }
+    if (typeof debounce !== 'number' || !Number.isFinite(debounce) || debounce < 0) {
+      throw new TypeError('LazyWatch.persist debounce must be a non-negative number of milliseconds');
+    }
+    if (migrate !== undefined && typeof migrate !== 'function') {
+      throw new TypeError('LazyWatch.persist migrate must be a function (oldState, oldVersion) => state');
+    }
+    this.#key = key;
+    this.#version = version;
+    this.#debounce = debounce;
+    this.#snapshot = snapshot;
+    this.#onDispose = onDispose;
+
+    this.#restore(migrate, restore);
+    this.#unsubscribe = subscribe(() => this.#schedule());
+  }
+
+  /**
+   * Apply the stored state, migrated to the current version, if there is
+   * a usable one
+   */
+  #restore(migrate, restore) {
+    try {
+      const raw = this.#access.read(this.#key);
+      if (raw === null || raw === undefined) return;
+      const record = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      if (record === null || typeof record !== 'object' || !('state' in record)) {
+        throw new TypeError('not a LazyWatch.persist record');
+      }
+      let state = record.state;
+      if (record.version !== this.#version) {
+        if (!migrate) {
+          throw new Error(`stored version ${JSON.stringify(record.version)} differs and no migrate function was given`);
+        }
+        state = migrate(state, record.version);
+      }
+      restore(state);
+      this.#restored = true;
+    } catch (e) {
+      console.error(`Error restoring LazyWatch persisted state "${this.#key}":`, e);
+    }
+  }
+
+  #schedule() {
+    if (this.#debounce === 0) {
+      this.save();
+      return;
+    }
+    clearTimeout(this.#timeoutId);
+    this.#timeoutId = setTimeout(() => this.save(), this.#debounce);
+  }
+
+  /** True when a stored state was restored on creation */
+  get restored() {
+    return this.#restored;
+  }
+
+  /**
+   * Save the current state now, cancelling a pending debounced save —
+   * e.g. from a `beforeunload` handler
+   */
+  save() {
+    if (this.#disposed) return;
+    clearTimeout(this.#timeoutId);
+    this.#timeoutId = null;
+    try {
+      this.#access.write(this.#key, JSON.stringify({ version: this.#version, state: this.#snapshot() }));
+    } catch (e) {
+      console.error(`Error saving LazyWatch persisted state "${this.#key}":`, e);
+    }
+  }
+
+  /**
+   * Stop saving. A debounced save still pending is written first, so no
+   * emitted change is lost. Idempotent; the stored record stays
+   */
+  dispose() {
+    if (this.#disposed) return;
+    if (this.#timeoutId !== null) this.save();
+    this.#disposed = true;
+    this.#unsubscribe();
+    if (this.#onDispose) this.#onDispose();
+  }
+}
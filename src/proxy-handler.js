@@ -1,5 +1,11 @@
 // proxy-handler.js - Handles proxy creation and management
 import {Utils} from "./utils.js";
+import {
+  applyCollectionOps, collectionKind, completeCollectionInverse, decodeCollections, emptyEncoding,
+  encodingKind, opsOf, recordCollectionClear, recordCollectionDelete, recordCollectionWrite,
+  recordsCollectionKey
+} from "./collections.js";
+import {codecFor, decodeCodecValues, reviveCodecTag} from "./codecs.js";
 
 export const PROXY_TARGET = Symbol('LazyWatch.ProxyTarget');
 export const LAZYWATCH_INSTANCE = Symbol('LazyWatch.Instance');
@@ -18,6 +24,13 @@ const STRUCTURAL_ARRAY_METHODS = new Set(['splice', 'unshift', 'shift']);
 // has yet to read), but these three permute in both directions.
 const REORDER_ARRAY_METHODS = new Set(['sort', 'reverse', 'copyWithin']);
 
+// Writes through a read-only view of a tracked Map's values
+const readonlyMapValue = () => {
+  throw new TypeError(
+    'LazyWatch cannot change a value inside a tracked Map in place: the write would bypass change tracking. Write the entry back with map.set(key, value).'
+  );
+};
+
 export class ProxyHandler {
   #original;
   // Raw target object -> its proxy. Ensures each object in the tree gets
@@ -30,12 +43,33 @@ export class ProxyHandler {
   #patchMode = false;
   #instance = null;
   #suppress = false;
-
-  constructor(original, diffTracker, eventEmitter) {
+  // Map and Set values are allowed and tracked (the `collections` option)
+  #collections;
+  // Raw value inside a tracked Map -> its read-only view
+  #views = new WeakMap();
+  // Date leaves are read through tracking wrappers (the `trackDates` option)
+  #trackDates;
+  // Raw parent -> Map of property -> { date, wrapper } for the Date last
+  // read from it
+  #dateWrappers = new WeakMap();
+  // Paths read while a computed value evaluates (see trackReads), else null
+  #reads = null;
+
+  constructor(original, diffTracker, eventEmitter, options = {}) {
     if (!Utils.isObjectOrArray(original)) {
       throw new TypeError('LazyWatch requires a plain object or array (Map, Set, Date, etc. cannot be deep-watched)');
     }
-    Utils.assertSupported(original);
+    this.#collections = !!options.collections;
+    this.#trackDates = !!options.trackDates;
+    if (this.#collections) {
+      // Encoded collections (e.g. a snapshot being restored) become real
+      // ones, in place like every later change to `original`
+      for (const key of Object.keys(original)) {
+        const decoded = decodeCollections(original[key]);
+        if (decoded !== original[key]) original[key] = decoded;
+      }
+    }
+    this.#assertSupported(original);
     this.#original = original;
     this.#diffTracker = diffTracker;
     this.#eventEmitter = eventEmitter;
@@ -52,10 +86,18 @@ export class ProxyHandler {
     return proxy;
   }
 
+  /**
+   * assertSupported, with Map and Set allowed under the collections option
+   */
+  #assertSupported(value, path = []) {
+    Utils.assertSupported(value, path, undefined, this.#collections);
+  }
+
   /**
    * Create a proxy for an object at a given path
    */
   #createProxy(obj, path, lazyWatchInstance) {
+    if (collectionKind(obj)) return this.#createCollectionProxy(obj, path, lazyWatchInstance);
     return new Proxy(obj, {
       get: (target, prop, receiver) => {
         // Allow access to the proxy marker
@@ -81,6 +123,10 @@ export class ProxyHandler {
           return value;
         }
 
+        if (this.#reads) {
+          this.#recordRead([...path, prop], Utils.isObjectOrArray(value) ? 'container' : 'value');
+        }
+
         // Intercept structural array methods to record compact $splice ops
         if (Array.isArray(target) && STRUCTURAL_ARRAY_METHODS.has(prop) &&
           value === Array.prototype[prop]) {
@@ -94,7 +140,7 @@ export class ProxyHandler {
           return (...args) => this.#reorderArrayOp(target, prop, args, receiver);
         }
 
-        if (Utils.isObjectOrArray(value)) {
+        if (Utils.isObjectOrArray(value) || (this.#collections && collectionKind(value))) {
           // Get proxy from cache, or create and cache it
           let childProxy = this.#proxies.get(value);
           if (!childProxy) {
@@ -106,12 +152,30 @@ export class ProxyHandler {
           return childProxy;
         }
 
+        if (this.#trackDates && value instanceof Date) {
+          return this.#dateWrapper(target, prop, path);
+        }
+
         return value;
       },
 
       set: (target, prop, value, receiver) =>
         this.#applySet(target, prop, value, receiver, path),
 
+      // `in` checks and key enumeration are reads too, of a key's
+      // existence and of the key set
+      has: (target, prop) => {
+        const found = prop in target;
+        if (this.#reads && typeof prop !== 'symbol') this.#recordRead([...path, prop], found ? 'has' : 'value');
+        return found;
+      },
+
+      ownKeys: target => {
+        const keys = Reflect.ownKeys(target);
+        if (this.#reads) this.#recordRead(path, 'keys', keys);
+        return keys;
+      },
+
       // Route Object.defineProperty through the same tracked write path as
       // assignment. Without this trap, defineProperty mutated the target
       // silently — nothing recorded, nothing emitted, mirrors desynced.
@@ -184,6 +248,214 @@ export class ProxyHandler {
     });
   }
 
+  /**
+   * The wrapper a Date leaf is read through under the `trackDates` option.
+   * Each wrapper stands for one Date read from one property: reads run on
+   * that Date, and the mutating setters (setHours, setTime, ...) run on a
+   * copy that becomes the wrapper's Date and, while the property still
+   * holds the wrapped one, is assigned to it through the set path — a
+   * wholesale replacement, recorded, inverted and emitted like any
+   * assignment. The stored Date itself is never mutated: recorded diffs and
+   * inverses share it. A property reassigned since is left alone, and
+   * reading it again gives a new wrapper. Conversions (toString, valueOf,
+   * Symbol.toPrimitive, toJSON) run on the Date; APIs that check for a real
+   * Date — structuredClone, Date.prototype methods called on the wrapper —
+   * can't see through a Proxy and need LazyWatch.resolveIfProxy(wrapper).
+   */
+  #dateWrapper(parent, prop, path) {
+    let wrappers = this.#dateWrappers.get(parent);
+    if (!wrappers) this.#dateWrappers.set(parent, wrappers = new Map());
+    const cached = wrappers.get(prop);
+    if (cached && cached.date === parent[prop]) return cached.wrapper;
+    const entry = { date: parent[prop], wrapper: null };
+    entry.wrapper = new Proxy(entry.date, {
+      get: (target, key) => {
+        const date = entry.date;
+        if (key === PROXY_TARGET) return date;
+        const value = date[key];
+        if (typeof value !== 'function') return value;
+        if (typeof key !== 'string' || !key.startsWith('set') || value !== Date.prototype[key]) {
+          return value.bind(date);
+        }
+        return (...args) => {
+          const copy = new Date(date.getTime());
+          const result = value.apply(copy, args);
+          if (Object.is(copy.getTime(), date.getTime())) return result;
+          entry.date = copy;
+          if (parent[prop] === date) {
+            this.#applySet(parent, prop, copy, this.#proxies.get(parent), path);
+          }
+          return result;
+        };
+      }
+    });
+    wrappers.set(prop, entry);
+    return entry.wrapper;
+  }
+
+  /**
+   * Create the proxy for a tracked Map or Set. Collections keep their
+   * entries in internal slots no trap can see, so instead of traps on
+   * properties the methods are intercepted: `set`/`add`, `delete` and
+   * `clear` record entry-level ops (see collections.js), reads run on the
+   * raw collection. Map values come back as read-only views — a write
+   * inside one would bypass the recording — so entries change only
+   * through `map.set`.
+   */
+  #createCollectionProxy(collection, path, lazyWatchInstance) {
+    const kind = collectionKind(collection);
+    const view = value => this.#readonlyView(value);
+    const rejectWrite = () => {
+      throw new TypeError(
+        `LazyWatch cannot set properties on a tracked ${kind === 'map' ? 'Map' : 'Set'}: only its entries are tracked. Use its methods.`
+      );
+    };
+    return new Proxy(collection, {
+      get: (target, prop, receiver) => {
+        if (prop === PROXY_TARGET) return target;
+        if (prop === LAZYWATCH_INSTANCE) return lazyWatchInstance;
+        // Entries are not tracked one by one: any use reads the whole value
+        if (this.#reads) this.#recordRead(path, 'value');
+        if (prop === 'size') return target.size;
+        if (prop === 'clear') return () => this.#clearCollection(target, kind, path);
+        if (prop === 'delete') return key => this.#deleteEntry(target, kind, key, path);
+        if (prop === (kind === 'map' ? 'set' : 'add')) {
+          return (key, value) => {
+            this.#writeEntry(target, kind, key, kind === 'map' ? value : key, path);
+            return receiver;
+          };
+        }
+        if (prop === 'forEach') {
+          return (callback, thisArg) => target.forEach(
+            (value, key) => callback.call(thisArg, view(value), key, receiver));
+        }
+        if (kind === 'map' && prop === 'get') return key => view(target.get(key));
+        if (kind === 'map' && prop === 'values') {
+          return function* () {
+            for (const value of target.values()) yield view(value);
+          };
+        }
+        if (kind === 'map' && (prop === 'entries' || prop === Symbol.iterator)) {
+          return function* () {
+            for (const [key, value] of target) yield [key, view(value)];
+          };
+        }
+        const value = target[prop];
+        return typeof value === 'function' ? value.bind(target) : value;
+      },
+      set: rejectWrite,
+      defineProperty: rejectWrite,
+      deleteProperty: rejectWrite,
+      setPrototypeOf: rejectWrite,
+      preventExtensions: rejectWrite
+    });
+  }
+
+  /**
+   * Read-only view of a container stored in a tracked Map (leaves as-is);
+   * nested containers are viewed too. Resolves to the raw value like any
+   * proxy, so assigning a view elsewhere stores a copy.
+   */
+  #readonlyView(value) {
+    if (!Utils.isObjectOrArray(value)) return value;
+    let view = this.#views.get(value);
+    if (!view) {
+      view = new Proxy(value, {
+        get: (target, prop) => {
+          if (prop === PROXY_TARGET) return target;
+          if (typeof prop === 'symbol' || Utils.isUnsafeKey(prop)) return target[prop];
+          return this.#readonlyView(target[prop]);
+        },
+        set: readonlyMapValue,
+        defineProperty: readonlyMapValue,
+        deleteProperty: readonlyMapValue,
+        setPrototypeOf: readonlyMapValue,
+        preventExtensions: readonlyMapValue
+      });
+      this.#views.set(value, view);
+    }
+    return view;
+  }
+
+  /**
+   * map.set / set.add on a tracked collection (for a Set, `value` is the
+   * member). Writing an equal value records nothing.
+   */
+  #writeEntry(target, kind, key, value, path) {
+    value = this.resolveIfProxy(value);
+    Utils.assertCollectionEntry(key, value, kind === 'map', [...path]);
+    const had = target.has(key);
+    if (had && (kind === 'set' || Utils.deepEqual(target.get(key), value))) return;
+    const stored = Utils.deepClone(value);
+    if (this.#inverseActive()) {
+      this.#diffTracker.recordCollectionInverse(path, kind, ops => {
+        if (recordsCollectionKey(ops, kind, key)) return;
+        if (!had) recordCollectionDelete(ops, kind, key);
+        else recordCollectionWrite(ops, kind, key, Utils.deepClone(target.get(key)));
+      });
+    }
+    if (kind === 'map') target.set(key, stored);
+    else target.add(key);
+    this.#recordCollectionOp(target, kind, path, ops => recordCollectionWrite(ops, kind, key, stored));
+  }
+
+  /**
+   * delete on a tracked collection
+   */
+  #deleteEntry(target, kind, key, path) {
+    if (!target.has(key)) return false;
+    if (this.#inverseActive()) {
+      this.#diffTracker.recordCollectionInverse(path, kind, ops => {
+        if (!recordsCollectionKey(ops, kind, key)) {
+          recordCollectionWrite(ops, kind, key, kind === 'map' ? Utils.deepClone(target.get(key)) : key);
+        }
+      });
+    }
+    target.delete(key);
+    this.#recordCollectionOp(target, kind, path, ops => recordCollectionDelete(ops, kind, key));
+    return true;
+  }
+
+  /**
+   * clear on a tracked collection
+   */
+  #clearCollection(target, kind, path) {
+    if (target.size === 0) return;
+    if (this.#inverseActive()) {
+      this.#diffTracker.recordCollectionInverse(path, kind,
+        ops => completeCollectionInverse(ops, kind, target));
+    }
+    target.clear();
+    this.#recordCollectionOp(target, kind, path, recordCollectionClear);
+  }
+
+  /**
+   * Record an entry-level change to the collection at `path` (already
+   * applied to `target`): `record(ops)` adds it to the collection's diff
+   * node. A collection assigned wholesale earlier this batch keeps being
+   * recorded as its full value.
+   */
+  #recordCollectionOp(target, kind, path, record) {
+    if (this.#suppress) return;
+    const parent = this.#diffTracker.getDiffObject(path.slice(0, -1));
+    const prop = path[path.length - 1];
+    if (collectionKind(parent[prop])) {
+      parent[prop] = Utils.deepClone(target);
+    } else {
+      if (encodingKind(parent[prop]) !== kind) parent[prop] = emptyEncoding(kind);
+      record(opsOf(parent[prop], kind));
+    }
+    this.#eventEmitter.scheduleEmit();
+  }
+
+  /**
+   * Apply a received collection diff node to the same kind of collection
+   * at `path`, through its proxy so the changes are recorded and relayed
+   */
+  #applyCollectionDiff(collection, kind, node, path) {
+    applyCollectionOps(this.#proxyFor(collection, path), kind, opsOf(node, kind));
+  }
+
   /**
    * The `set` trap body, shared with the defineProperty trap: validates the
    * value, records the change (or deletion, for undefined) in the diff, and
@@ -209,12 +481,13 @@ export class ProxyHandler {
     // Resolve if value is a proxy
     value = this.resolveIfProxy(value);
 
-    // Reject Map/Set/typed arrays, non-finite numbers, and reserved
-    // names anywhere in the assigned value. Guarded so plain primitive
-    // writes skip the validation call and its path allocation entirely.
-    if ((value !== null && typeof value === 'object') ||
+    // Reject Map/Set/typed arrays, non-finite numbers, BigInts, and
+    // reserved names anywhere in the assigned value. Guarded so plain
+    // primitive writes skip the validation call and its path allocation
+    // entirely.
+    if ((value !== null && typeof value === 'object') || typeof value === 'bigint' ||
       (typeof value === 'number' && !Number.isFinite(value))) {
-      Utils.assertSupported(value, [...path, prop]);
+      this.#assertSupported(value, [...path, prop]);
     }
 
     // Assigning undefined would silently vanish from JSON diffs on the
@@ -383,14 +656,47 @@ export class ProxyHandler {
    * emitting anything. Used by LazyWatch.transaction() on failure.
    */
   rollback(inverse) {
+    this.suppressed(() => this.patch(this.#original, inverse));
+  }
+
+  /**
+   * Run fn with recording and emitting suppressed: its writes change the
+   * state, but no diff, inverse or batch ever sees them
+   */
+  suppressed(fn) {
+    const previous = this.#suppress;
     this.#suppress = true;
     try {
-      this.patch(this.#original, inverse);
+      return fn();
     } finally {
-      this.#suppress = false;
+      this.#suppress = previous;
     }
   }
 
+  /**
+   * Run fn and collect the paths it reads through the proxies, each with
+   * how it was read: 'value' (a leaf or a missing key), 'container' (an
+   * object or array, whose own reads are listed separately), 'has' (an
+   * `in` check that found the key) or 'keys' (an enumeration, listing the
+   * keys it saw)
+   * @returns {{ value: *, reads: Array<{ path: string[], kind: string, keys?: Set }> }}
+   */
+  trackReads(fn) {
+    const outer = this.#reads;
+    const reads = new Map();
+    this.#reads = reads;
+    try {
+      return { value: fn(), reads: [...reads.values()] };
+    } finally {
+      this.#reads = outer;
+    }
+  }
+
+  #recordRead(path, kind, keys) {
+    const read = keys ? { path, kind, keys: new Set(keys) } : { path, kind };
+    this.#reads.set(`${kind}:${JSON.stringify(path)}`, read);
+  }
+
   /**
    * Intercepted splice/unshift/shift on a watched array.
    *
@@ -453,7 +759,7 @@ export class ProxyHandler {
     // (assertSupported restores the path array, so it is safe to reuse)
     const itemPath = [...path, method];
     for (const item of items) {
-      Utils.assertSupported(item, itemPath);
+      this.#assertSupported(item, itemPath);
     }
 
     this.#suppress = true;
@@ -604,7 +910,7 @@ export class ProxyHandler {
     // already validated their subtrees. (An explicit flag, not a
     // path-emptiness check: external calls may enter at a nested path.)
     if (!internal) {
-      Utils.assertSupported(this.resolveIfProxy(source));
+      this.#assertSupported(this.resolveIfProxy(source));
     }
 
     // Get the target object (resolve proxy if needed)
@@ -651,7 +957,12 @@ export class ProxyHandler {
       // hostile wire data are never applied — writing them would mutate
       // prototypes instead of data.
       if (prop === '$splice' || Utils.isUnsafeKey(prop)) continue;
-      if (rawSource[prop] === null || rawSource[prop] === undefined) {
+      // Codec tags arrive revived, as leaves, and proxies (Date wrappers
+      // included) as their targets. A collection diff node merges into the
+      // same kind of collection and replaces anything else (decoded below)
+      const value = reviveCodecTag(this.resolveIfProxy(rawSource[prop]));
+      const kind = this.#collections ? encodingKind(value) : null;
+      if (value === null || value === undefined) {
         // Record the deletion so relaying mirrors propagate it downstream
         if (prop in rawTarget) {
           if (this.#inverseActive()) {
@@ -662,10 +973,12 @@ export class ProxyHandler {
           delete rawTarget[prop];
           hasChanges = true;
         }
-      } else if (Utils.isObjectOrArray(rawTarget[prop]) && Utils.isObjectOrArray(rawSource[prop]) &&
+      } else if (kind && collectionKind(rawTarget[prop]) === kind) {
+        this.#applyCollectionDiff(rawTarget[prop], kind, value, [...path, prop]);
+      } else if (!kind && Utils.isObjectOrArray(rawTarget[prop]) && Utils.isObjectOrArray(value) &&
         (wholesale
-          ? Array.isArray(rawTarget[prop]) === Array.isArray(rawSource[prop])
-          : !(Array.isArray(rawSource[prop]) && !Array.isArray(rawTarget[prop])))) {
+          ? Array.isArray(rawTarget[prop]) === Array.isArray(value)
+          : !(Array.isArray(value) && !Array.isArray(rawTarget[prop])))) {
         // Merge containers instead of replacing them, so the recorded diff
         // carries only real differences. In fragment context (a received
         // diff), an object merges into an object or an array — but a real
@@ -674,26 +987,30 @@ export class ProxyHandler {
         // every entry is a full value: same-kind containers merge (with
         // missing keys deleted, giving the exact wholesale outcome), and a
         // kind mismatch falls through to the replacement branch below.
-        this.overwrite(rawTarget[prop], rawSource[prop], [...path, prop], true, wholesale);
-      } else if (rawTarget[prop] !== rawSource[prop]) {
+        this.overwrite(rawTarget[prop], value, [...path, prop], true, wholesale);
+      } else if (rawTarget[prop] !== value) {
         const prevValue = rawTarget[prop];
         // Re-applying an already-applied wholesale value must record and
         // emit nothing, or bidirectional mirrors would echo forever
-        if (Utils.isObjectOrArray(prevValue) && Utils.isObjectOrArray(rawSource[prop]) &&
-          Utils.deepEqual(prevValue, rawSource[prop])) {
+        if ((Utils.isObjectOrArray(prevValue) || collectionKind(prevValue) || codecFor(prevValue)) &&
+          (Utils.isObjectOrArray(value) || collectionKind(value) || codecFor(value)) &&
+          Utils.deepEqual(prevValue, value)) {
           continue;
         }
         // The target has no container to merge into here (or the value is
         // a wholesale replacement), so an index-keyed array diff would be
         // stored verbatim as a plain object — revive such fragments into
         // real arrays first.
-        const sourceValue = Utils.reviveArrayDiffs(rawSource[prop]);
+        const sourceValue = Utils.reviveArrayDiffs(value);
         // Container values are applied wholesale: drop null markers (null
         // means delete, and the replacement discards the old container
-        // anyway) without mutating the caller's source
-        const clonedValue = Utils.isObjectOrArray(sourceValue)
-          ? Utils.cloneWithoutNulls(sourceValue)
+        // anyway) without mutating the caller's source. Collections arrive
+        // encoded from the wire, or raw from an internal rollback; nested
+        // codec tags are revived
+        let clonedValue = Utils.isObjectOrArray(sourceValue) || collectionKind(sourceValue)
+          ? decodeCodecValues(Utils.cloneWithoutNulls(sourceValue))
           : sourceValue;
+        if (this.#collections) clonedValue = decodeCollections(clonedValue);
         if (this.#inverseActive()) {
           this.#diffTracker.recordInverse(
             path, prop, prop in rawTarget ? prevValue : undefined, clonedValue);
@@ -0,0 +1,198 @@
+// sync-session.js - Sequenced snapshot/diff sync over a user-supplied channel
+
+/**
+ * Messages exchanged by a source and its replicas. Plain objects —
+ * serializing them (e.g. JSON.stringify) is up to the transport:
+ *
+ * - `{ type: 'snapshot', session, seq, data }` — the full state; `seq` is
+ *   the sequence number of the last diff it includes
+ * - `{ type: 'diff', session, seq, data }` — one emitted batch; numbered
+ *   consecutively from the snapshot's `seq`
+ * - `{ type: 'resync-request' }` — a replica asking for a fresh snapshot
+ *
+ * `session` identifies one source's sequence: a restarted source starts a
+ * new one, which replicas accept from scratch instead of mistaking its
+ * low sequence numbers for duplicates.
+ */
+
+function assertChannel(send, onMessage, method) {
+  if (typeof send !== 'function' || typeof onMessage !== 'function') {
+    throw new TypeError(
+      `LazyWatch.${method} requires { send, onMessage } functions: send(message) delivers a message, onMessage(handler) registers the receiver`);
+  }
+}
+
+const isMessage = message => message !== null && typeof message === 'object';
+
+/**
+ * SyncSource - publishes a watched object's state as a numbered stream
+ *
+ * Created via LazyWatch.createSyncSource(watched, channel). Sends a
+ * snapshot on creation and whenever a replica asks for one, and every
+ * emitted batch as a numbered diff in between. Pending changes are
+ * flushed before each snapshot, so every diff sent afterwards is a delta
+ * against exactly that snapshot.
+ *
+ * Dependencies are injected as closures so the class stays decoupled from
+ * LazyWatch internals.
+ */
+export class SyncSource {
+  #session = Math.random().toString(36).slice(2);
+  #seq = 0;
+  #send;
+  #flush;
+  #snapshot;
+  #unsubscribe;
+  #stopMessages;
+  #disposed = false;
+
+  /**
+   * @param {Object} deps
+   * @param {Function} deps.subscribe - (listener) => unsubscribe; listener
+   *   receives each emitted diff
+   * @param {Function} deps.flush - Synchronously emit pending changes
+   * @param {Function} deps.snapshot - () => a copy of the current state
+   * @param {Function} deps.send - (message) => void
+   * @param {Function} deps.onMessage - (handler) => optional unsubscribe
+   */
+  constructor({ subscribe, flush, snapshot, send, onMessage }) {
+    assertChannel(send, onMessage, 'createSyncSource');
+    this.#send = send;
+    this.#flush = flush;
+    this.#snapshot = snapshot;
+    this.#unsubscribe = subscribe(diff => {
+      this.#send({ type: 'diff', session: this.#session, seq: ++this.#seq, data: diff });
+    });
+    this.#stopMessages = onMessage(message => {
+      if (isMessage(message) && message.type === 'resync-request') this.resync();
+    });
+    this.resync();
+  }
+
+  /** Sequence number of the last diff sent */
+  get seq() {
+    return this.#seq;
+  }
+
+  /**
+   * Send a fresh snapshot. Called automatically on creation and for every
+   * `resync-request`; call it yourself e.g. when a replica (re)connects on
+   * a shared channel
+   */
+  resync() {
+    if (this.#disposed) throw new Error('SyncSource has been disposed');
+    this.#flush();
+    this.#send({ type: 'snapshot', session: this.#session, seq: this.#seq, data: this.#snapshot() });
+  }
+
+  /** Stop publishing and stop handling messages */
+  dispose() {
+    if (this.#disposed) return;
+    this.#disposed = true;
+    this.#unsubscribe();
+    if (typeof this.#stopMessages === 'function') this.#stopMessages();
+  }
+}
+
+/**
+ * SyncReplica - keeps a mirror in step with a SyncSource's stream
+ *
+ * Created via LazyWatch.createSyncReplica(mirror, channel). Snapshots are
+ * applied with `overwrite`, diffs with `patch`, each exactly once and in
+ * order: duplicates (a `seq` already applied) are discarded, and a gap —
+ * a diff that isn't the next one, from an unknown session, or arriving
+ * before any snapshot — sends a `resync-request`. Diffs received while
+ * waiting for the snapshot are dropped; it covers them.
+ */
+export class SyncReplica {
+  #session = null;
+  #seq = null;
+  #awaiting = false;
+  #send;
+  #patch;
+  #overwrite;
+  #stopMessages;
+  #disposed = false;
+
+  /**
+   * @param {Object} deps
+   * @param {Function} deps.patch - Apply a diff to the mirror
+   * @param {Function} deps.overwrite - Replace the mirror's state
+   * @param {Function} deps.send - (message) => void
+   * @param {Function} deps.onMessage - (handler) => optional unsubscribe
+   */
+  constructor({ patch, overwrite, send, onMessage }) {
+    assertChannel(send, onMessage, 'createSyncReplica');
+    this.#send = send;
+    this.#patch = patch;
+    this.#overwrite = overwrite;
+    this.#stopMessages = onMessage(message => this.#receive(message));
+  }
+
+  /** Sequence number of the last applied diff or snapshot; null before the first snapshot */
+  get seq() {
+    return this.#seq;
+  }
+
+  /** True once a snapshot has been applied and no gap is pending */
+  get synced() {
+    return this.#seq !== null && !this.#awaiting;
+  }
+
+  /**
+   * Ask the source for a fresh snapshot (sent automatically on gaps; call
+   * it yourself after reconnecting when the source doesn't resend one)
+   */
+  resync() {
+    if (this.#disposed) throw new Error('SyncReplica has been disposed');
+    this.#awaiting = true;
+    this.#send({ type: 'resync-request' });
+  }
+
+  #receive(message) {
+    if (this.#disposed || !isMessage(message)) return;
+    const { type, session, seq, data } = message;
+    if (type === 'snapshot') {
+      // A redelivered older snapshot would roll the mirror back
+      const fresh = session !== this.#session || this.#seq === null ||
+        seq > this.#seq || (seq === this.#seq && this.#awaiting);
+      if (!fresh) return;
+      try {
+        this.#overwrite(data);
+      } catch (e) {
+        // Requesting another copy of the same snapshot would loop; stay
+        // unsynced until the source sends one that applies
+        console.error('Error applying LazyWatch sync snapshot:', e);
+        this.#awaiting = true;
+        return;
+      }
+      this.#session = session;
+      this.#seq = seq;
+      this.#awaiting = false;
+    } else if (type === 'diff') {
+      if (this.#awaiting) return;
+      if (session === this.#session && seq <= this.#seq) return; // duplicate
+      if (this.#seq === null || session !== this.#session || seq !== this.#seq + 1) {
+        this.resync();
+        return;
+      }
+      try {
+        if (!isMessage(data)) throw new TypeError('LazyWatch sync diff message carries no diff object');
+        this.#patch(data);
+        this.#seq = seq;
+      } catch (e) {
+        // A diff that can't be applied leaves the mirror in an unknown
+        // state; only a snapshot can fix that
+        console.error('Error applying LazyWatch sync diff:', e);
+        this.resync();
+      }
+    }
+  }
+
+  /** Stop handling messages; the mirror keeps its state */
+  dispose() {
+    if (this.#disposed) return;
+    this.#disposed = true;
+    if (typeof this.#stopMessages === 'function') this.#stopMessages();
+  }
+}
@@ -1,4 +1,62 @@
 // undo-manager.js - Undo/redo stacks built on inverse diffs
+import {touchedPaths, pruneInverse} from "./diff-flatten.js";
+import {encodeLeafValues, decodeLeafValues} from "./codecs.js";
+
+const HISTORY_FORMAT = 'lazy-watch-undo-history';
+
+/**
+ * Fingerprint of a JSON-compatible state: FNV-1a over its JSON with
+ * object keys sorted, so a state restored with a different key order
+ * still matches
+ */
+function fingerprint(state) {
+  const json = canonicalJSON(state);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    hash = Math.imul(hash ^ json.charCodeAt(i), 0x01000193);
+  }
+  return `${(hash >>> 0).toString(16).padStart(8, '0')}-${json.length}`;
+}
+
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+  if (value !== null && typeof value === 'object' && typeof value.toJSON !== 'function') {
+    const members = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Estimated memory of a step: the length of its JSON, which tracks the
+ * size of the diffs closely enough for a budget (0 for the root)
+ */
+function stepBytes(segments) {
+  return segments ? JSON.stringify(segments).length : 0;
+}
+
+function checkLabel(label) {
+  if (label !== undefined && typeof label !== 'string') {
+    throw new TypeError('UndoManager step labels must be strings');
+  }
+}
+
+/** The public, read-only view of a step node */
+function describeStep(node) {
+  const paths = new Map();
+  for (const { diff } of node.segments) {
+    for (const path of touchedPaths(diff)) paths.set(JSON.stringify(path), path);
+  }
+  return Object.freeze({
+    id: node.id,
+    label: node.label,
+    meta: node.meta,
+    timestamp: node.timestamp,
+    paths: [...paths.values()]
+  });
+}
 
 /**
  * UndoManager - records emitted batches as undoable steps
@@ -12,25 +70,48 @@
  * ordinary batch — while the manager's own listener is guarded so the
  * application is not recorded as a new step.
  *
+ * History is a tree of step nodes rooted at the initial state, with a
+ * pointer to the node the watched state currently matches: undo() moves to
+ * the parent, redo() to the node's active child. In the default linear
+ * mode a new change discards the current node's children (the redo
+ * stack); in tree mode it starts a sibling branch next to them, and
+ * branches()/switchBranch()/goTo() navigate the tree.
+ *
  * A step is a non-empty array of { diff, inverse } segments. A plain batch
  * is a single-segment step. group() and the `coalesce` window merge
  * consecutive batches into one step: each incoming batch is composed into
  * the step's last segment when the diff algebra allows (composeDiffs), and
  * appended as a new segment when the pair has no single-diff
  * representation — applying segments sequentially is always valid, so
- * merging never loses correctness, only compactness.
+ * merging never loses correctness, only compactness. Steps carry a
+ * timestamp and optional label/meta (group() options, label()), exposed
+ * with their touched paths through the read-only undoStack/redoStack
+ * views; 'change' listeners hear about every change to either stack.
  *
  * Dependencies are injected as closures so the class stays decoupled from
  * LazyWatch internals.
  */
 export class UndoManager {
-  #undoStack = [];
-  #redoStack = [];
+  // Nodes are { id, parent, children, active, segments, bytes, timestamp,
+  // label, meta }: `active` is the child redo() follows, `segments` the
+  // step leading into the node (null for the root), `bytes` its estimated
+  // size (only measured under a `maxBytes` budget, 0 otherwise)
+  #root;
+  #current;
+  #nodes = new Map();
+  #nextId = 0;
+  #tree;
   #limit;
+  #maxBytes;
+  // Running sum of every node's `bytes`, kept on add, merge and prune
+  #bytes = 0;
   #coalesce;
   #compose;
   #applying = false;
   #grouping = false;
+  // { label, meta } for the step the running group records
+  #groupInfo = null;
+  #changeListeners = [];
   #disposed = false;
   // The step still accepting merges — the current group, or the last
   // recorded step while the coalesce window is open — and the time of its
@@ -41,6 +122,7 @@ export class UndoManager {
   #flush;
   #patch;
   #hasPending;
+  #state;
   #onDispose;
 
   /**
@@ -48,40 +130,99 @@ export class UndoManager {
    * @param {Function} deps.subscribe - (listener) => unsubscribe; listener
    *   receives (diff, inverse) per batch
    * @param {Function} deps.flush - Synchronously emit pending changes
-   * @param {Function} deps.patch - Apply a diff to the watched state
+   * @param {Function} deps.patch - (diff, source) => void: apply a diff to
+   *   the watched state, reporting the batch's source ('undo' or 'redo')
    * @param {Function} deps.hasPending - True when un-emitted changes exist
    * @param {Function} deps.compose - (older, newer) => single equivalent
    *   diff; throws when the pair has no single-diff representation
    * @param {Function} [deps.onDispose] - Called once when disposed
    * @param {number} [deps.limit=Infinity] - Maximum undo depth; the oldest
    *   step is dropped when exceeded
+   * @param {number} [deps.maxBytes=Infinity] - Budget for the estimated
+   *   size of all retained steps; the oldest are dropped when exceeded
    * @param {number} [deps.coalesce=0] - Milliseconds: batches arriving
    *   within this window of the previous one merge into the same step
    *   (0 disables). The window slides with activity
+   * @param {string} [deps.mode='linear'] - 'tree' keeps undone steps as
+   *   branches instead of discarding them on the next change (defaults to
+   *   the restored history's mode)
+   * @param {Function} deps.state - () => the current raw state, for
+   *   history fingerprints
+   * @param {Object} [deps.history] - A serialize() result to restore
    */
-  constructor({ subscribe, flush, patch, hasPending, compose, onDispose,
-                limit = Infinity, coalesce = 0 }) {
+  constructor({ subscribe, flush, patch, hasPending, compose, onDispose, state,
+                limit = Infinity, maxBytes = Infinity, coalesce = 0, mode, history }) {
     if (limit !== Infinity && (!Number.isInteger(limit) || limit < 1)) {
       throw new TypeError('UndoManager limit must be a positive integer or Infinity');
     }
+    if (typeof maxBytes !== 'number' || Number.isNaN(maxBytes) || maxBytes <= 0) {
+      throw new TypeError('UndoManager maxBytes must be a positive number or Infinity');
+    }
     if (typeof coalesce !== 'number' || !Number.isFinite(coalesce) || coalesce < 0) {
       throw new TypeError('UndoManager coalesce must be a non-negative number of milliseconds');
     }
+    mode ??= history?.mode === 'tree' ? 'tree' : 'linear';
+    if (mode !== 'linear' && mode !== 'tree') {
+      throw new TypeError(`UndoManager mode must be 'linear' or 'tree', got ${JSON.stringify(mode)}`);
+    }
+    this.#tree = mode === 'tree';
+    this.#state = state;
+    this.#resetTree();
     this.#limit = limit;
+    this.#maxBytes = maxBytes;
     this.#coalesce = coalesce;
     this.#compose = compose;
     this.#flush = flush;
     this.#patch = patch;
     this.#hasPending = hasPending;
     this.#onDispose = onDispose;
+    if (history !== undefined) this.#restore(history);
     this.#unsubscribe = subscribe((diff, inverse) => this.#record(diff, inverse));
   }
 
+  #resetTree() {
+    this.#nodes.clear();
+    this.#bytes = 0;
+    this.#root = this.#addNode(null, null);
+    this.#current = this.#root;
+    this.#openStep = null;
+  }
+
+  #addNode(parent, segments) {
+    const node = {
+      id: this.#nextId++, parent, children: [], active: null, segments,
+      bytes: this.#sizeOf(segments), timestamp: Date.now(), label: undefined, meta: undefined
+    };
+    this.#bytes += node.bytes;
+    this.#nodes.set(node.id, node);
+    if (parent) {
+      parent.children.push(node);
+      parent.active = node;
+    }
+    return node;
+  }
+
+  /**
+   * A step's estimated size, or 0 when no budget needs it: stringifying
+   * every batch would cost more than the history it measures
+   */
+  #sizeOf(segments) {
+    return this.#maxBytes === Infinity ? 0 : stepBytes(segments);
+  }
+
+  /** Forget a node and everything below it */
+  #dropSubtree(node) {
+    this.#nodes.delete(node.id);
+    this.#bytes -= node.bytes;
+    node.children.forEach(child => this.#dropSubtree(child));
+  }
+
   /**
    * Record an emitted batch. Batches produced by undo()/redo() themselves
-   * are guarded out; any other batch is a new change and therefore
-   * invalidates the redo stack. Inside group() — or within the coalesce
-   * window — the batch merges into the open step instead of starting one.
+   * are guarded out; any other batch is a new change: it becomes a child
+   * of the current node — replacing the redo branch in linear mode, next
+   * to it in tree mode. Inside group() — or within the coalesce window —
+   * the batch merges into the open step instead of starting one.
    */
   #record(diff, inverse) {
     if (this.#applying) return;
@@ -90,15 +231,72 @@ export class UndoManager {
       (this.#grouping ||
         (this.#coalesce > 0 && now - this.#openStepTime <= this.#coalesce));
     if (mergeable) {
-      this.#mergeIntoStep(this.#openStep, diff, inverse);
+      this.#mergeIntoStep(this.#openStep.segments, diff, inverse);
+      const bytes = this.#sizeOf(this.#openStep.segments);
+      this.#bytes += bytes - this.#openStep.bytes;
+      this.#openStep.bytes = bytes;
+      this.#enforceLimit();
     } else {
-      const step = [{ diff, inverse }];
-      this.#undoStack.push(step);
-      if (this.#undoStack.length > this.#limit) this.#undoStack.shift();
-      this.#openStep = step;
+      const parent = this.#current;
+      if (!this.#tree) {
+        parent.children.forEach(child => this.#dropSubtree(child));
+        parent.children = [];
+      }
+      this.#current = this.#addNode(parent, [{ diff, inverse }]);
+      if (this.#grouping) Object.assign(this.#current, this.#groupInfo);
+      this.#enforceLimit();
+      this.#openStep = this.#current;
     }
     this.#openStepTime = now;
-    this.#redoStack.length = 0;
+    this.#changed();
+  }
+
+  /**
+   * Drop the oldest steps while the current node is deeper than `limit`,
+   * or the retained steps are estimated above `maxBytes` (the newest step
+   * always stays): the first step on the current path becomes the new
+   * root, and branches leaving the old root elsewhere go with it
+   */
+  #enforceLimit() {
+    if (this.#limit === Infinity && this.#maxBytes === Infinity) return;
+    const path = this.#pathTo(this.#current);
+    for (let i = 0; path.length - i > this.#limit || (this.#bytes > this.#maxBytes && path.length - i > 1); i++) {
+      const root = this.#root;
+      const next = path[i];
+      for (const child of root.children) {
+        if (child !== next) this.#dropSubtree(child);
+      }
+      this.#nodes.delete(root.id);
+      this.#bytes -= next.bytes;
+      next.parent = null;
+      next.segments = null;
+      next.bytes = 0;
+      this.#root = next;
+    }
+  }
+
+
+  /**
+   * Current history size, e.g. for monitoring memory in production
+   * @returns {{steps: number, bytes: number}} The number of retained steps
+   *   (undo, redo and, in tree mode, other branches) and their estimated
+   *   size in bytes
+   */
+  stats() {
+    let bytes = this.#bytes;
+    if (this.#maxBytes === Infinity) {
+      // Without a budget nothing is measured as it is recorded
+      bytes = 0;
+      for (const node of this.#nodes.values()) bytes += stepBytes(node.segments);
+    }
+    return { steps: this.#nodes.size - 1, bytes };
+  }
+
+  /** The nodes from just below the root down to `node`, oldest first */
+  #pathTo(node) {
+    const path = [];
+    for (let n = node; n !== this.#root; n = n.parent) path.unshift(n);
+    return path;
   }
 
   /**
@@ -131,14 +329,20 @@ export class UndoManager {
    * LazyWatch.transaction for atomicity.
    *
    * @param {Function} callback - Function whose batches form one step
+   * @param {Object} [options]
+   * @param {string} [options.label] - Label for the step, e.g. "Rename
+   *   column" (label() inside the callback replaces it)
+   * @param {*} [options.meta] - Any application data to keep with the step
    * @returns {*} The callback's return value
    */
-  group(callback) {
+  group(callback, options = {}) {
     if (this.#disposed) throw new Error('UndoManager has been disposed');
     if (this.#grouping) throw new Error('UndoManager.group cannot be nested');
+    checkLabel(options.label);
     // Changes from before the group must not join its step
     this.#flush();
     this.#grouping = true;
+    this.#groupInfo = { label: options.label, meta: options.meta };
     this.#openStep = null;
     try {
       return callback();
@@ -146,10 +350,85 @@ export class UndoManager {
       // Trailing changes still pending join the group before it closes
       this.#flush();
       this.#grouping = false;
+      this.#groupInfo = null;
       this.#openStep = null;
     }
   }
 
+  /**
+   * Label the current step — the one undo() would revert next, after
+   * flushing pending changes into it. Inside group(), labels the group's
+   * step instead, even before it has recorded anything.
+   * @param {string} text - The label, e.g. "Rename column"
+   * @throws {Error} When there is no step to label
+   */
+  label(text) {
+    if (this.#disposed) throw new Error('UndoManager has been disposed');
+    checkLabel(text);
+    if (this.#grouping) {
+      this.#groupInfo.label = text;
+      if (!this.#openStep) return;
+    } else {
+      this.#flush();
+      if (this.#current === this.#root) throw new Error('UndoManager.label: there is no step to label');
+    }
+    (this.#openStep ?? this.#current).label = text;
+    this.#changed();
+  }
+
+  /**
+   * Read-only view of the undo stack, oldest first: the last entry is the
+   * step undo() reverts next. Each entry is `{ id, label, meta, timestamp,
+   * paths }` — `paths` lists the paths the step changed (relative to the
+   * manager's scope), `timestamp` when it was recorded. Pending changes
+   * are not included until they emit.
+   * @returns {ReadonlyArray<Object>}
+   */
+  get undoStack() {
+    return Object.freeze(this.#pathTo(this.#current).map(node => describeStep(node)));
+  }
+
+  /**
+   * Read-only view of the redo stack, in the same form: the last entry is
+   * the step redo() re-applies next (in tree mode, along the selected
+   * branches)
+   * @returns {ReadonlyArray<Object>}
+   */
+  get redoStack() {
+    const entries = [];
+    for (let node = this.#current.active; node; node = node.active) entries.unshift(describeStep(node));
+    return Object.freeze(entries);
+  }
+
+  /**
+   * Listen for history changes: 'change' fires whenever either stack
+   * changes — a recorded or merged batch, undo, redo, a label, a branch
+   * switch, clear() — so menus and history panels can re-render from
+   * undoStack/redoStack.
+   * @param {string} event - 'change'
+   * @param {Function} listener - Called with no arguments
+   * @returns {Function} An idempotent unsubscribe function
+   */
+  on(event, listener) {
+    if (event !== 'change') throw new TypeError(`UndoManager.on: unknown event ${JSON.stringify(event)}`);
+    if (typeof listener !== 'function') throw new TypeError('Listener must be a function');
+    const entry = { listener };
+    this.#changeListeners.push(entry);
+    return () => {
+      this.#changeListeners = this.#changeListeners.filter(other => other !== entry);
+    };
+  }
+
+  #changed() {
+    for (const { listener } of [...this.#changeListeners]) {
+      try {
+        listener();
+      } catch (e) {
+        console.error('Error in LazyWatch undo manager listener:', e);
+      }
+    }
+  }
+
   /**
    * End the current coalescing window: the next recorded batch starts a
    * new undo step. Useful as an "undo stop" on blur/enter/selection
@@ -166,7 +445,7 @@ export class UndoManager {
    * @returns {boolean}
    */
   get canUndo() {
-    return !this.#disposed && (this.#undoStack.length > 0 || this.#hasPending());
+    return !this.#disposed && (this.#current !== this.#root || this.#hasPending());
   }
 
   /**
@@ -174,7 +453,16 @@ export class UndoManager {
    * @returns {boolean}
    */
   get canRedo() {
-    return !this.#disposed && this.#redoStack.length > 0;
+    return !this.#disposed && this.#current.active !== null;
+  }
+
+  /**
+   * Id of the history node the watched state currently matches (the
+   * root, before any recorded step, is the oldest retained node)
+   * @returns {number}
+   */
+  get nodeId() {
+    return this.#current.id;
   }
 
   /**
@@ -188,61 +476,316 @@ export class UndoManager {
     if (this.#disposed) return false;
     this.#flush();
     this.#openStep = null;
-    const step = this.#undoStack.pop();
-    if (!step) return false;
-    this.#applyStep(step, true);
-    this.#redoStack.push(step);
+    const node = this.#current;
+    if (node === this.#root) return false;
+    this.#applyStep(node.segments, true);
+    this.#current = node.parent;
+    this.#current.active = node;
+    this.#changed();
     return true;
   }
 
   /**
-   * Re-apply the most recently undone step. Pending changes are flushed
-   * first; being new changes, they clear the redo stack, so redo() after
-   * an intervening edit returns false (standard undo-history semantics).
+   * Re-apply the most recently undone step (in tree mode: the step on the
+   * selected branch, see switchBranch). Pending changes are flushed
+   * first; being new changes, in linear mode they clear the redo stack,
+   * so redo() after an intervening edit returns false (standard
+   * undo-history semantics).
    * @returns {boolean} True if a step was re-applied, false otherwise
    */
   redo() {
     if (this.#disposed) return false;
     this.#flush();
     this.#openStep = null;
-    const step = this.#redoStack.pop();
-    if (!step) return false;
-    this.#applyStep(step, false);
-    this.#undoStack.push(step);
+    const node = this.#current.active;
+    if (!node) return false;
+    this.#applyStep(node.segments, false);
+    this.#current = node;
+    this.#changed();
+    return true;
+  }
+
+  /**
+   * Selective undo: revert one earlier step without reverting the steps
+   * after it. The step's inverse is applied only where no later step
+   * changed anything — inverses restore state, not intent, so reverting a
+   * path a later step also wrote would silently undo that later edit too.
+   * Such paths are conflicts: skipped and reported, or with `{ onConflict:
+   * 'throw' }` the whole revert is refused. What is applied is recorded as
+   * a NEW step on top of the history (so it is itself undoable), with
+   * `meta.source` 'undo'. Pending changes are flushed (and recorded)
+   * first.
+   * @param {number} stepIndex - Index into undoStack (0 is the oldest)
+   * @param {Object} [options]
+   * @param {string} [options.onConflict='skip'] - 'skip' applies the rest,
+   *   'throw' applies nothing when there are conflicts
+   * @returns {{applied: boolean, conflicts: Array<Array<string>>}}
+   *   Whether a step was recorded, and the conflicting paths (relative to
+   *   the manager's scope)
+   * @throws {TypeError} If the index or option is invalid
+   * @throws {Error} With onConflict 'throw', if later steps conflict
+   */
+  revert(stepIndex, options = {}) {
+    if (this.#disposed) throw new Error('UndoManager has been disposed');
+    const { onConflict = 'skip' } = options;
+    if (onConflict !== 'skip' && onConflict !== 'throw') {
+      throw new TypeError(`UndoManager.revert onConflict must be 'skip' or 'throw', got ${JSON.stringify(onConflict)}`);
+    }
+    this.#flush();
+    this.#openStep = null;
+    const path = this.#pathTo(this.#current);
+    if (!Number.isInteger(stepIndex) || stepIndex < 0 || stepIndex >= path.length) {
+      throw new TypeError(`UndoManager.revert index must be an integer index into undoStack (length ${path.length})`);
+    }
+    const touched = path.slice(stepIndex + 1).flatMap(node => describeStep(node).paths);
+    const conflictMap = new Map();
+    const inverses = path[stepIndex].segments
+      .map(segment => pruneInverse(segment.inverse, touched, conflictMap))
+      .reverse()
+      .filter(inverse => inverse !== undefined);
+    const conflicts = [...conflictMap.values()];
+    if (conflicts.length > 0 && onConflict === 'throw') {
+      throw new Error('UndoManager.revert: later steps changed ' +
+        conflicts.map(conflict => conflict.join('.') || '(the whole state)').join(', '));
+    }
+
+    const before = this.#current;
+    for (const inverse of inverses) this.#patch(inverse, 'undo');
+    this.#flush();
+    this.#openStep = null;
+    return { applied: this.#current !== before, conflicts };
+  }
+
+  /**
+   * Tree mode: the branches redo() can follow from the current node,
+   * oldest first
+   * @returns {Array<{id: number, active: boolean}>} One entry per child
+   *   node; `active` marks the one redo() follows
+   */
+  branches() {
+    this.#assertTree('branches');
+    const node = this.#current;
+    return node.children.map(child => ({ id: child.id, active: child === node.active }));
+  }
+
+  /**
+   * Tree mode: select the branch redo() follows from the current node.
+   * Doesn't change the watched state
+   * @param {number} index - Index into branches()
+   */
+  switchBranch(index) {
+    this.#assertTree('switchBranch');
+    const children = this.#current.children;
+    if (!Number.isInteger(index) || index < 0 || index >= children.length) {
+      throw new TypeError(`UndoManager.switchBranch index must be an integer from 0 to ${children.length - 1}`);
+    }
+    this.#current.active = children[index];
+    this.#changed();
+  }
+
+  /**
+   * Jump to any position in the history, e.g. from a history slider,
+   * instead of calling undo()/redo() in a loop. In linear mode the
+   * position is an index into the line of history: 0 is the oldest
+   * retained state, undoStack.length the current one, and
+   * undoStack.length + redoStack.length the newest. In tree mode it is a
+   * node id (see nodeId, branches()), and the move undoes up to the
+   * common ancestor, redoes down to the target and selects the target's
+   * branch at every node on the way down.
+   *
+   * Each direction is applied and emitted as ONE batch, however many
+   * steps it crosses (see #applySteps). Pending changes are flushed (and
+   * recorded) first.
+   * @param {number} position - Linear: a history index; tree: a node id
+   * @returns {boolean} True if the state moved, false when already there
+   * @throws {TypeError} Linear mode: if the index is not an integer in
+   *   range
+   * @throws {Error} Tree mode: if there is no such node
+   */
+  goTo(position) {
+    if (this.#disposed) throw new Error('UndoManager has been disposed');
+    this.#flush();
+    this.#openStep = null;
+    let target;
+    if (this.#tree) {
+      target = this.#nodes.get(position);
+      if (!target) throw new Error(`UndoManager.goTo: no history node ${position}`);
+    } else {
+      const line = this.#pathTo(this.#current);
+      for (let node = this.#current.active; node; node = node.active) line.push(node);
+      if (!Number.isInteger(position) || position < 0 || position > line.length) {
+        throw new TypeError(`UndoManager.goTo index must be an integer from 0 to ${line.length}`);
+      }
+      target = position === 0 ? this.#root : line[position - 1];
+    }
+    if (target === this.#current) return false;
+
+    const targetPath = [target];
+    for (let n = target; n.parent; n = n.parent) targetPath.unshift(n.parent);
+    const up = [];
+    let ancestor = this.#current;
+    while (!targetPath.includes(ancestor)) {
+      up.push(ancestor);
+      ancestor = ancestor.parent;
+    }
+    const down = targetPath.slice(targetPath.indexOf(ancestor) + 1);
+
+    if (up.length > 0) this.#applySteps(up.map(node => node.segments), true);
+    if (down.length > 0) this.#applySteps(down.map(node => node.segments), false);
+    for (const node of down) node.parent.active = node;
+    this.#current = target;
+    this.#changed();
     return true;
   }
 
+  #assertTree(method) {
+    if (this.#disposed) throw new Error('UndoManager has been disposed');
+    if (!this.#tree) throw new Error(`UndoManager.${method} requires { mode: 'tree' }`);
+  }
+
   /**
    * Apply a step with the recording guard set: undo applies segment
-   * inverses newest-first, redo applies forward diffs oldest-first. All
-   * segments apply before the single synchronous flush, so other
-   * listeners receive the whole step as one ordinary batch.
+   * inverses newest-first, redo applies forward diffs oldest-first, and
+   * other listeners receive the whole step as one ordinary batch.
    */
   #applyStep(step, isUndo) {
+    this.#applySteps([step], isUndo);
+  }
+
+  /**
+   * Apply several steps in order — e.g. the path to a goTo() target — the
+   * same way, under one guard and one flush. The diffs are first composed
+   * into one (composeDiffs), so the state is written once however many
+   * steps are crossed; when a pair has no single-diff representation they
+   * are applied one by one instead. Either way nothing emits before the
+   * flush — emission is always scheduled, never synchronous with a write —
+   * so other listeners receive one batch.
+   */
+  #applySteps(steps, isUndo) {
+    const diffs = isUndo
+      ? steps.flatMap(step => step.map(segment => segment.inverse).reverse())
+      : steps.flatMap(step => step.map(segment => segment.diff));
+    let pieces;
+    try {
+      pieces = [diffs.reduce((older, newer) => this.#compose(older, newer))];
+    } catch (e) {
+      pieces = diffs;
+    }
     this.#applying = true;
     try {
-      if (isUndo) {
-        for (let i = step.length - 1; i >= 0; i--) {
-          this.#patch(step[i].inverse);
-        }
-      } else {
-        for (const segment of step) {
-          this.#patch(segment.diff);
-        }
-      }
+      for (const diff of pieces) this.#patch(diff, isUndo ? 'undo' : 'redo');
       this.#flush();
     } finally {
       this.#applying = false;
     }
   }
 
+  /**
+   * A JSON-safe copy of the whole history — every step, the current
+   * position, the open coalescing step — to store and pass back as
+   * createUndoManager's `history` option, e.g. after a reload. Pending
+   * changes are flushed (and recorded) first. Carries a fingerprint of the
+   * current state: the history only restores onto an equal state. Dates,
+   * RegExps and codec values in the steps are stored as `{ $type, v }`
+   * tags and revived on restore, so undo writes them back exactly.
+   * @returns {Object} The serialized history
+   */
+  serialize() {
+    if (this.#disposed) throw new Error('UndoManager has been disposed');
+    this.#flush();
+    const nodes = [];
+    const visit = node => {
+      nodes.push({
+        id: node.id,
+        parent: node.parent ? node.parent.id : null,
+        active: node.active ? node.active.id : null,
+        segments: node.segments && JSON.parse(JSON.stringify(encodeLeafValues(node.segments))),
+        timestamp: node.timestamp,
+        label: node.label,
+        meta: node.meta === undefined ? undefined : JSON.parse(JSON.stringify(node.meta))
+      });
+      node.children.forEach(visit);
+    };
+    visit(this.#root);
+    return {
+      format: HISTORY_FORMAT,
+      version: 1,
+      mode: this.#tree ? 'tree' : 'linear',
+      fingerprint: fingerprint(this.#state()),
+      current: this.#current.id,
+      open: this.#openStep ? this.#openStep.id : null,
+      openTime: this.#openStepTime,
+      nodes
+    };
+  }
+
+  /**
+   * Rebuild the tree from a serialize() result (nodes in pre-order)
+   * @throws {TypeError} If the history is malformed or of the other mode
+   * @throws {Error} If it was serialized from a different state
+   */
+  #restore(history) {
+    const invalid = reason => new TypeError(`UndoManager history is invalid: ${reason}`);
+    if (!history || history.format !== HISTORY_FORMAT || history.version !== 1 ||
+        !Array.isArray(history.nodes) || history.nodes.length === 0) {
+      throw invalid('not a serialize() result');
+    }
+    if (history.mode !== (this.#tree ? 'tree' : 'linear')) {
+      throw invalid(`it was recorded in ${JSON.stringify(history.mode)} mode`);
+    }
+    if (history.fingerprint !== fingerprint(this.#state())) {
+      throw new Error('UndoManager history does not match the current state');
+    }
+    const nodes = new Map();
+    let bytes = 0;
+    for (const [index, record] of history.nodes.entries()) {
+      const isRoot = index === 0;
+      const parent = isRoot ? null : nodes.get(record?.parent);
+      const segmentsValid = isRoot ? record?.segments === null :
+        Array.isArray(record?.segments) && record.segments.length > 0 && record.segments.every(segment =>
+          segment && typeof segment.diff === 'object' && typeof segment.inverse === 'object');
+      if (!Number.isInteger(record?.id) || nodes.has(record.id) ||
+          (isRoot ? record.parent !== null : !parent) || !segmentsValid) {
+        throw invalid(`bad node at index ${index}`);
+      }
+      const node = {
+        id: record.id, parent, children: [], active: null, segments: decodeLeafValues(record.segments),
+        bytes: this.#sizeOf(record.segments),
+        timestamp: typeof record.timestamp === 'number' ? record.timestamp : 0,
+        label: typeof record.label === 'string' ? record.label : undefined,
+        meta: record.meta
+      };
+      nodes.set(node.id, node);
+      bytes += node.bytes;
+      if (parent) parent.children.push(node);
+    }
+    for (const record of history.nodes) {
+      const node = nodes.get(record.id);
+      if (record.active !== null) {
+        node.active = nodes.get(record.active);
+        if (!node.active || node.active.parent !== node) throw invalid(`bad active child of node ${node.id}`);
+      }
+      if (!this.#tree && node.children.length > 1) throw invalid('branches in a linear history');
+    }
+    const current = nodes.get(history.current);
+    if (!current) throw invalid('unknown current node');
+
+    this.#nodes = nodes;
+    this.#bytes = bytes;
+    this.#root = nodes.get(history.nodes[0].id);
+    this.#current = current;
+    this.#nextId = Math.max(...nodes.keys()) + 1;
+    this.#openStep = history.open === current.id && current !== this.#root ? current : null;
+    this.#openStepTime = typeof history.openTime === 'number' ? history.openTime : 0;
+    this.#enforceLimit();
+  }
+
   /**
    * Drop all undo and redo history without touching the watched state
    */
   clear() {
-    this.#undoStack.length = 0;
-    this.#redoStack.length = 0;
-    this.#openStep = null;
+    this.#resetTree();
+    this.#changed();
   }
 
   /**
@@ -256,6 +799,7 @@ export class UndoManager {
     this.#disposed = true;
     this.#unsubscribe();
     this.clear();
+    this.#changeListeners = [];
     if (this.#onDispose) this.#onDispose();
   }
 }
@@ -1,4 +1,5 @@
 // utils.js - Utility functions
+import {codecFor, hasCodecs} from "./codecs.js";
 
 // Property names that collide with the prototype machinery. Writing them
 // through the appliers would mutate prototypes instead of data (prototype
@@ -9,6 +10,27 @@ const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
 // Error-path helper: renders a path prefix for validation messages
 const pathLabel = path => path.length ? ` at "${path.map(String).join('.')}"` : '';
 
+/**
+ * True when no codec value sits anywhere in `obj`, so structuredClone can
+ * copy it (it would strip their prototypes). Results are memoized per
+ * object for the whole clone, keeping the check linear; an object met
+ * again while its own check runs (a cycle) counts as holding one.
+ */
+function codecFree(obj, memo) {
+  if (Object(obj) !== obj) return true;
+  if (memo.has(obj)) return memo.get(obj);
+  if (codecFor(obj)) return false;
+  memo.set(obj, false);
+  let free = true;
+  if (obj instanceof Map) {
+    for (const value of obj.values()) free = codecFree(value, memo) && free;
+  } else if (!(obj instanceof Date) && !(obj instanceof RegExp) && !(obj instanceof Set)) {
+    for (const key of Object.keys(obj)) free = codecFree(obj[key], memo) && free;
+  }
+  memo.set(obj, free);
+  return free;
+}
+
 export const Utils = {
   /**
    * True for property names that are rejected in watched state because
@@ -23,7 +45,9 @@ export const Utils = {
    * types) can't sit behind a Proxy — their methods throw "called on
    * incompatible receiver" — so they are never proxied or merged. Date and
    * RegExp are allowed as leaf values (replaced wholesale); the collection
-   * types are rejected entirely, see `assertSupported`.
+   * types are rejected entirely, see `assertSupported` — except Map and
+   * Set under the `collections` option, which get their own tracked
+   * wrappers instead. Values of a registered codec are leaves too.
    */
   isObjectOrArray(val) {
     if (!val || typeof val !== 'object') return false;
@@ -31,7 +55,8 @@ export const Utils = {
     return !(
       val instanceof Date ||
       val instanceof RegExp ||
-      this.rejectedTypeName(val)
+      this.rejectedTypeName(val) ||
+      (hasCodecs() && codecFor(val))
     );
   },
 
@@ -68,25 +93,52 @@ export const Utils = {
   /**
    * Deep-check a value entering watched state; throws a TypeError naming the
    * offending path if it contains a rejected type, a class instance, a
-   * non-finite number, or a reserved property name. Date and RegExp pass as
-   * leaf values and are not walked into. Cycle-safe.
+   * non-finite number, a BigInt (unless a codec takes it), or a reserved
+   * property name. Date, RegExp and
+   * values of a registered codec pass as leaf values and are not walked
+   * into. Cycle-safe.
+   *
+   * With `collections`, Map and Set pass too, their entries checked by
+   * `assertCollectionEntry` (so collections never nest). `inCollection`
+   * marks a walk inside such an entry, where a Map or Set is rejected as
+   * nested rather than for the option being off.
    *
    * Perf note: the walk mutates `path` push/pop-style instead of copying it
    * per key, and only renders it into a string on the (cold) error path.
    * The array is restored before returning; on a throw it is abandoned
    * mid-walk, which is fine — every caller passes a fresh array.
    */
-  assertSupported(value, path = [], seen = new WeakSet()) {
+  assertSupported(value, path = [], seen = new WeakSet(), collections = false, inCollection = false) {
     if (typeof value === 'number' && !Number.isFinite(value)) {
       throw new TypeError(
         `LazyWatch cannot track non-finite number ${value}${pathLabel(path)}: JSON serializes it as null, which receivers interpret as a deletion.`
       );
     }
-    if (!value || typeof value !== 'object') return;
+    if (typeof value === 'bigint' && !codecFor(value)) {
+      throw new TypeError(
+        `LazyWatch cannot track BigInt ${value}n${pathLabel(path)}: JSON.stringify throws on it, so no diff carrying it could be sent. Store it as a string or number, or register a codec for it (LazyWatch.registerCodec).`
+      );
+    }
+    if (!value || typeof value !== 'object' || codecFor(value)) return;
+    if (collections && (value instanceof Map || value instanceof Set)) {
+      for (const [key, entry] of value.entries()) {
+        this.assertCollectionEntry(key, entry, value instanceof Map, path);
+      }
+      return;
+    }
     const rejected = this.rejectedTypeName(value);
     if (rejected) {
+      const collection = rejected === 'Map' || rejected === 'Set';
+      if (collection && inCollection) {
+        throw new TypeError(
+          `LazyWatch cannot track a ${rejected} nested in a tracked Map${pathLabel(path)}: collections only encode flat entries in a diff. Use a plain object or array for the inner value.`
+        );
+      }
+      const hint = collection
+        ? ' Use a plain object or array instead, or create the instance with { collections: true }.'
+        : ' Use a plain object or array instead.';
       throw new TypeError(
-        `LazyWatch cannot track ${rejected}${pathLabel(path)}: in-place mutations bypass the proxy and would silently desync. Use a plain object or array instead.`
+        `LazyWatch cannot track ${rejected}${pathLabel(path)}: in-place mutations bypass the proxy and would silently desync.${hint}`
       );
     }
     if (!this.isObjectOrArray(value) || seen.has(value)) return;
@@ -108,11 +160,34 @@ export const Utils = {
         );
       }
       path.push(key);
-      this.assertSupported(value[key], path, seen);
+      this.assertSupported(value[key], path, seen, collections, inCollection);
       path.pop();
     }
   },
 
+  /**
+   * Check one entry of a tracked Map (key and value) or Set (`key` is the
+   * member). Keys and members must be strings, finite numbers or booleans
+   * — what the diff encoding carries back unchanged; Map values must be
+   * supported, non-null, and free of nested collections.
+   */
+  assertCollectionEntry(key, value, isMap, path = []) {
+    if (typeof key !== 'string' && typeof key !== 'boolean' && !Number.isFinite(key)) {
+      throw new TypeError(
+        `LazyWatch can only track ${isMap ? 'Map keys' : 'Set members'} that are strings, finite numbers or booleans${pathLabel(path)}: other values cannot be encoded in a diff.`
+      );
+    }
+    if (!isMap) return;
+    path.push(String(key));
+    if (value === null || value === undefined) {
+      throw new TypeError(
+        `LazyWatch cannot store ${value} in a tracked Map${pathLabel(path)}: null means deletion on the wire. Use map.delete(key) instead.`
+      );
+    }
+    this.assertSupported(value, path, undefined, false, true);
+    path.pop();
+  },
+
   /**
    * True for array diff fragments: a plain object whose keys are all array
    * indices and/or a `$splice` op list, plus a numeric `length` —
@@ -181,14 +256,22 @@ export const Utils = {
 
   /**
    * Deep structural equality for diff values: leaves by identity (Date by
-   * time, RegExp by source+flags), containers by keys and recursion.
+   * time, RegExp by source+flags, codec values by their encoding),
+   * containers by keys and recursion.
    * Used to detect no-op wholesale replacements so re-applying an
    * already-applied diff records and emits nothing (echo stability).
    */
   deepEqual(a, b) {
     if (a === b) return true;
+    const codec = codecFor(a);
+    if (codec) return codecFor(b) === codec && this.deepEqual(codec.encode(a), codec.encode(b));
     if (a instanceof Date) return b instanceof Date && a.getTime() === b.getTime();
     if (a instanceof RegExp) return b instanceof RegExp && a.source === b.source && a.flags === b.flags;
+    if (a instanceof Map) {
+      return b instanceof Map && a.size === b.size &&
+        [...a].every(([key, value]) => b.has(key) && this.deepEqual(value, b.get(key)));
+    }
+    if (a instanceof Set) return b instanceof Set && a.size === b.size && [...a].every(member => b.has(member));
     if (!this.isObjectOrArray(a) || !this.isObjectOrArray(b)) return false;
     if (Array.isArray(a) !== Array.isArray(b)) return false;
     const keys = Object.keys(a);
@@ -230,18 +313,25 @@ export const Utils = {
    * Uses structuredClone when available (Node 17+, all modern browsers) and
    * falls back to manual cloning when it is missing or throws (e.g. the value
    * contains a function). The manual path only handles what can occur in
-   * watched state — plain objects, arrays, Date and RegExp leaves — since the
-   * collection types are rejected by `assertSupported` before any clone
-   * happens. Functions are copied by reference. Cycle-safe on both paths.
+   * watched state — plain objects, arrays, Date and RegExp leaves, and
+   * tracked Map/Set values — since the other collection types are rejected
+   * by `assertSupported` before any clone happens. While codecs are
+   * registered, structuredClone only copies subtrees without codec values
+   * (it would strip their prototypes); the rest is walked manually, and
+   * codec values are cloned through a decode of their encoding. Functions
+   * are copied by reference. Cycle-safe on both paths.
    */
-  deepClone(obj, hash = new WeakMap()) {
+  deepClone(obj, hash = new WeakMap(), codecMemo = hasCodecs() ? new WeakMap() : null) {
     // Primitives, and functions (copied by reference)
     if (Object(obj) !== obj || typeof obj === 'function') return obj;
 
     // Cyclic reference
     if (hash.has(obj)) return hash.get(obj);
 
-    if (typeof structuredClone === 'function') {
+    const codec = codecMemo && codecFor(obj);
+    if (codec) return codec.decode(codec.encode(obj));
+
+    if (typeof structuredClone === 'function' && (!codecMemo || codecFree(obj, codecMemo))) {
       try {
         return structuredClone(obj);
       } catch (e) {
@@ -249,15 +339,22 @@ export const Utils = {
       }
     }
 
-    if (obj instanceof Date) return new Date(obj);
+    if (obj instanceof Date) return new Date(obj.getTime()); // works for Date wrappers too
     if (obj instanceof RegExp) return new RegExp(obj.source, obj.flags);
+    if (obj instanceof Set) return new Set(obj); // members are primitives
+    if (obj instanceof Map) {
+      const map = new Map();
+      hash.set(obj, map);
+      for (const [key, value] of obj) map.set(key, this.deepClone(value, hash, codecMemo));
+      return map;
+    }
 
     // Plain objects and arrays. Like structuredClone, custom prototypes are
     // not preserved.
     const result = Array.isArray(obj) ? [] : {};
     hash.set(obj, result);
     for (const key of Object.keys(obj)) {
-      result[key] = this.deepClone(obj[key], hash);
+      result[key] = this.deepClone(obj[key], hash, codecMemo);
     }
     return result;
   }
@@ -81,6 +81,19 @@ export function wait(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Make one change and emit it as its own batch
+export function step(watched, fn) {
+  fn();
+  LazyWatch.flush(watched);
+}
+
+// Record every emitted batch as [source, diff]
+export function recordBatches(watched) {
+  const batches = [];
+  LazyWatch.on(watched, (diff, inverse, meta) => batches.push([meta.source, diff]));
+  return batches;
+}
+
 // Assert two LazyWatch trees have identical raw state
 export function assertConverged(a, b, message = 'replicas should converge') {
   assertEquals(
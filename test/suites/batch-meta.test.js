@@ -0,0 +1,103 @@
+// batch-meta.test.js - Listener batch metadata: source, timestamp, batchId
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, wait } from '../helpers.js';
+
+export default function register(runner) {
+  runner.test('batches should report local, patch and overwrite sources', async () => {
+    const watched = new LazyWatch({ a: 1, b: 1 });
+    const batches = [];
+    LazyWatch.on(watched, (diff, inverse, meta) => batches.push([diff, meta.source, meta.origin]));
+
+    watched.a = 2;
+    LazyWatch.patch(watched, { b: 2 });
+    LazyWatch.patch(watched, { c: 1 }, { origin: 'peer' });
+    LazyWatch.overwrite(watched, { a: 2, b: 2 });
+    watched.a = 3;
+    await wait(10);
+
+    assertEquals(batches, [
+      [{ a: 2 }, 'local', undefined],
+      [{ b: 2 }, 'patch', undefined],
+      [{ c: 1 }, 'patch', 'peer'],
+      [{ c: null }, 'overwrite', undefined],
+      [{ a: 3 }, 'local', undefined]
+    ], 'a change of source starts a new batch; order is preserved');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('batch ids should count emitted batches and timestamps be current', async () => {
+    const watched = new LazyWatch({ a: 1 });
+    const metas = [];
+    LazyWatch.on(watched, (diff, inverse, meta) => metas.push(meta));
+    const before = Date.now();
+
+    watched.a = 2;
+    await wait(10);
+    LazyWatch.silent(watched, () => { watched.a = 3; });
+    watched.a = 4;
+    LazyWatch.patch(watched, { b: 1 });
+    await wait(10);
+
+    assertEquals(metas.map(meta => meta.batchId), [1, 2, 3], 'silent changes take no id');
+    assertTrue(metas.every(meta => meta.timestamp >= before && meta.timestamp <= Date.now()),
+      'timestamps are Date.now() values from this run');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('undo and redo should be reported as such, not as patches', async () => {
+    const watched = new LazyWatch({ count: 0 });
+    const manager = LazyWatch.createUndoManager(watched);
+    const sources = [];
+    LazyWatch.on(watched, (diff, inverse, meta) => sources.push(meta.source));
+
+    watched.count = 1;
+    LazyWatch.patch(watched, { count: 2 });
+    LazyWatch.flush(watched);
+    manager.undo();
+    manager.redo();
+    await wait(10);
+
+    assertEquals(sources, ['local', 'patch', 'undo', 'redo']);
+    assertEquals(watched.count, 2);
+    manager.dispose();
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('a committed transaction should emit one batch with source transaction', async () => {
+    const watched = new LazyWatch({ a: 1, list: [1] });
+    const batches = [];
+    LazyWatch.on(watched, (diff, inverse, meta) => batches.push([diff, meta.source]));
+
+    LazyWatch.transaction(watched, () => {
+      watched.a = 2;
+      LazyWatch.patch(watched, { b: 1 });
+    });
+    watched.a = 3;
+    await wait(10);
+
+    assertEquals(batches, [
+      [{ a: 2, b: 1 }, 'transaction'],
+      [{ a: 3 }, 'local']
+    ], 'patches inside the transaction join its batch');
+
+    batches.length = 0;
+    LazyWatch.applyJSONPatch(watched, [{ op: 'add', path: '/list/-', value: 2 }]);
+    await wait(10);
+    assertEquals(batches.map(([, source]) => source), ['patch'],
+      'applyJSONPatch is atomic but reports a patch');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('path and flat listeners should receive the batch metadata', async () => {
+    const watched = new LazyWatch({ user: { name: 'a' } });
+    const seen = [];
+    LazyWatch.on(watched.user, (diff, inverse, meta) => seen.push(['path', meta.source]));
+    LazyWatch.on(watched, (records, inverse, meta) => seen.push(['flat', meta.source]), { changes: 'flat' });
+
+    LazyWatch.patch(watched.user, { name: 'b' });
+    await wait(10);
+
+    assertEquals(seen, [['path', 'patch'], ['flat', 'patch']]);
+    LazyWatch.dispose(watched);
+  });
+}
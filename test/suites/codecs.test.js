@@ -0,0 +1,161 @@
+// codecs.test.js - LazyWatch.registerCodec, encodeDiff/decodeDiff and tag revival in the appliers
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, assertThrows, wait } from '../helpers.js';
+
+class Money {
+  constructor(cents, currency) {
+    this.cents = cents;
+    this.currency = currency;
+  }
+}
+
+const CODECS = [
+  { name: 'Money', test: v => v instanceof Money, encode: m => [m.cents, m.currency], decode: ([c, cur]) => new Money(c, cur) },
+  { name: 'Date', test: v => v instanceof Date, encode: d => d.toISOString(), decode: iso => new Date(iso) },
+  { name: 'BigInt', test: v => typeof v === 'bigint', encode: n => n.toString(), decode: s => BigInt(s) }
+];
+
+/** Run fn with the test codecs registered; the registry is global */
+async function withCodecs(fn) {
+  const unregister = CODECS.map(codec => LazyWatch.registerCodec(codec));
+  try {
+    await fn();
+  } finally {
+    unregister.forEach(off => off());
+  }
+}
+
+const wire = value => JSON.parse(JSON.stringify(value));
+
+export default function register(runner) {
+  runner.test('codec values should round-trip through encoded diffs and snapshots', () => withCodecs(async () => {
+    const cart = new LazyWatch({ total: new Money(500, 'EUR'), at: new Date(0), lines: [{ qty: 1n }] });
+    const mirror = new LazyWatch(LazyWatch.decodeDiff(wire(LazyWatch.encodeDiff(LazyWatch.snapshot(cart)))));
+    assertTrue(mirror.total instanceof Money && mirror.at instanceof Date && mirror.lines[0].qty === 1n);
+
+    const sent = [];
+    LazyWatch.on(cart, diff => {
+      sent.push(wire(LazyWatch.encodeDiff(diff)));
+      LazyWatch.patch(mirror, sent[sent.length - 1]);
+    });
+    const echoes = [];
+    LazyWatch.on(mirror, diff => echoes.push(diff));
+    cart.total = new Money(750, 'EUR');
+    cart.lines.push({ qty: 2n });
+    await wait(10);
+    assertEquals(sent, [{
+      total: { $type: 'Money', v: [750, 'EUR'] },
+      lines: { 1: { qty: { $type: 'BigInt', v: '2' } }, length: 2 }
+    }]);
+    assertTrue(mirror.total instanceof Money && mirror.total.cents === 750, 'appliers revive tags');
+    assertTrue(mirror.lines[1].qty === 2n);
+    assertTrue(echoes[0].total instanceof Money, 'listeners see decoded values');
+
+    echoes.length = 0;
+    LazyWatch.overwrite(mirror, wire(LazyWatch.encodeDiff(LazyWatch.snapshot(cart))));
+    await wait(10);
+    assertEquals(echoes, [], 'an equal codec value records nothing');
+
+    const plain = {};
+    LazyWatch.overwrite(plain, sent[0]);
+    assertTrue(plain.total instanceof Money && plain.lines[1].qty === 2n, 'plain targets revive too');
+    assertTrue(LazyWatch.snapshot(cart).total !== cart.total && LazyWatch.snapshot(cart).total instanceof Money,
+      'snapshots clone codec values through their encoding');
+    LazyWatch.dispose(cart);
+    LazyWatch.dispose(mirror);
+  }));
+
+  runner.test('sync sources and persistence should encode codec values', () => withCodecs(async () => {
+    const messages = [];
+    const state = new LazyWatch({ due: new Date(0) });
+    const handlers = [];
+    const mirror = new LazyWatch({});
+    LazyWatch.createSyncReplica(mirror, { send: () => {}, onMessage: handler => { handlers.push(handler); } });
+    LazyWatch.createSyncSource(state, {
+      send: message => {
+        messages.push(wire(message));
+        handlers.forEach(handler => handler(wire(message)));
+      },
+      onMessage: () => {}
+    });
+    state.due = new Date(1000);
+    await wait(10);
+    assertEquals(messages.map(m => m.data), [
+      { due: { $type: 'Date', v: '1970-01-01T00:00:00.000Z' } },
+      { due: { $type: 'Date', v: '1970-01-01T00:00:01.000Z' } }
+    ]);
+    assertTrue(mirror.due instanceof Date && mirror.due.getTime() === 1000);
+
+    const storage = new Map();
+    LazyWatch.persist(state, { storage, key: 'state' });
+    state.budget = new Money(100, 'USD');
+    await wait(10);
+    assertEquals(JSON.parse(storage.get('state')).state.budget, { $type: 'Money', v: [100, 'USD'] });
+    const restored = new LazyWatch({});
+    LazyWatch.persist(restored, { storage, key: 'state' });
+    assertTrue(restored.budget instanceof Money && restored.due instanceof Date);
+    LazyWatch.dispose(state);
+    LazyWatch.dispose(restored);
+  }));
+
+  runner.test('codec values should be leaves for inverses, compose and collections', () => withCodecs(async () => {
+    const state = new LazyWatch({ price: new Money(1, 'EUR'), prices: new Map([['a', new Money(2, 'EUR')]]) },
+      { collections: true });
+    const manager = LazyWatch.createUndoManager(state);
+    state.price = new Money(5, 'EUR');
+    state.prices.set('b', new Money(3, 'USD'));
+    await wait(10);
+    manager.undo();
+    assertTrue(state.price instanceof Money && state.price.cents === 1);
+    assertEquals([...state.prices.keys()], ['a']);
+
+    const encoded = wire(LazyWatch.encodeDiff(LazyWatch.snapshot(state)));
+    assertEquals(encoded.prices, { $map: { clear: true, set: [['a', { $type: 'Money', v: [2, 'EUR'] }]] } });
+    const mirror = new LazyWatch({}, { collections: true });
+    LazyWatch.overwrite(mirror, encoded);
+    assertTrue(mirror.prices.get('a').cents === 2, 'tags inside collection ops are revived');
+
+    assertEquals(LazyWatch.composeDiffs(
+      { total: { $type: 'Money', v: [1, 'EUR'] } },
+      { total: { $type: 'Money', v: [2, 'USD'] } }
+    ), { total: { $type: 'Money', v: [2, 'USD'] } }, 'tags replace each other instead of merging');
+    LazyWatch.dispose(state);
+    LazyWatch.dispose(mirror);
+  }));
+
+  runner.test('deepClone should keep codec values while codecs are registered', () => withCodecs(async () => {
+    const plain = { list: [1, { at: new Date(0) }], map: new Map([['k', { n: 1 }]]) };
+    const mixed = { wallet: new Map([['a', new Money(2, 'EUR')]]), rows: [{ price: new Money(3, 'USD') }], plain };
+    mixed.self = mixed;
+    const copy = LazyWatch.Utils.deepClone(mixed);
+    assertTrue(copy.wallet.get('a') instanceof Money && copy.wallet.get('a') !== mixed.wallet.get('a'), 'in a Map');
+    assertTrue(copy.rows[0].price instanceof Money && copy.rows[0].price.cents === 3, 'in an array');
+    assertTrue(copy.self === copy, 'cycles are kept');
+    assertTrue(copy.plain !== plain && copy.plain.list[1].at instanceof Date && copy.plain.map.get('k').n === 1,
+      'the rest is copied too');
+  }));
+
+  runner.test('registerCodec should validate codecs and gate validation', async () => {
+    assertThrows(() => new LazyWatch({ total: new Money(1, 'EUR') }), 'class instances need a codec');
+    assertThrows(() => LazyWatch.registerCodec({ name: '', test: () => false, encode: x => x, decode: x => x }));
+    assertThrows(() => LazyWatch.registerCodec({ name: 'X', test: () => false, encode: x => x }));
+    assertThrows(() => LazyWatch.decodeDiff({ at: { $type: 'Date', v: 'x' } }), 'unknown $type');
+    assertThrows(() => LazyWatch.encodeDiff(null));
+
+    await withCodecs(async () => {
+      assertThrows(() => LazyWatch.registerCodec(CODECS[0]), 'duplicate name');
+      const diff = { a: { b: 1 }, list: [1] };
+      assertTrue(LazyWatch.encodeDiff(diff) === diff, 'nothing to tag: the diff itself');
+      const plain = { n: 1 };
+      LazyWatch.patch(plain, { other: { $type: 'Unknown', v: 1 } });
+      assertEquals(plain.other, { $type: 'Unknown', v: 1 }, 'unregistered tags stay data in appliers');
+      const state = new LazyWatch({ total: new Money(1, 'EUR') });
+      assertThrows(() => LazyWatch.decodeDiff({ list: [{ $type: 'Nope', v: 0 }] }));
+      LazyWatch.dispose(state);
+    });
+
+    const plain = {};
+    LazyWatch.patch(plain, { at: { $type: 'Date', v: 'x' } });
+    assertEquals(plain.at, { $type: 'Date', v: 'x' }, 'unregistering stops revival');
+  });
+}
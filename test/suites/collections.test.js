@@ -0,0 +1,195 @@
+// collections.test.js - Tracked Map and Set values under the collections option
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, assertThrows, wait } from '../helpers.js';
+
+/** Record every emitted diff */
+function recordDiffs(watched) {
+  const diffs = [];
+  LazyWatch.on(watched, diff => diffs.push(diff));
+  return diffs;
+}
+
+export default function register(runner) {
+  runner.test('Map and Set methods should emit compact entry-level ops', async () => {
+    const state = new LazyWatch({
+      users: new Map([['ann', { role: 'admin' }]]),
+      tags: new Set(['a'])
+    }, { collections: true });
+    const diffs = recordDiffs(state);
+    const nested = [];
+    LazyWatch.on(state.users, diff => nested.push(diff));
+
+    state.users.set('bob', { role: 'viewer' });
+    state.users.set('bob', { role: 'editor' });
+    state.users.delete('ann');
+    state.users.set('ann', { role: 'admin' });
+    state.tags.add('b');
+    state.tags.add('a'); // already a member
+    assertTrue(state.users.get('bob').role === 'editor' && state.users.size === 2 && state.tags.has('b'));
+    await wait(10);
+    assertEquals(diffs, [{
+      users: { $map: { set: [['bob', { role: 'editor' }], ['ann', { role: 'admin' }]] } },
+      tags: { $set: { add: ['b'] } }
+    }], 'one entry per key, with rewrites and delete-then-set collapsed');
+    assertEquals(nested, [diffs[0].users], 'nested listeners on a collection get its node');
+
+    state.users.set('ann', { role: 'admin' }); // equal value
+    state.tags.clear();
+    state.tags.add('z');
+    await wait(10);
+    assertEquals(diffs[1], { tags: { $set: { clear: true, add: ['z'] } } });
+    assertEquals([...state.users.keys()], ['bob', 'ann']);
+    assertEquals(JSON.parse(JSON.stringify(diffs)), diffs, 'diffs stay JSON-safe');
+    LazyWatch.dispose(state);
+  });
+
+  runner.test('replicas should converge through patch, overwrite and snapshots', async () => {
+    const source = new LazyWatch({ scores: new Map([['ann', 1]]), seen: new Set([1]) }, { collections: true });
+    const snapshot = LazyWatch.snapshot(source);
+    assertEquals(snapshot, {
+      scores: { $map: { clear: true, set: [['ann', 1]] } },
+      seen: { $set: { clear: true, add: [1] } }
+    });
+    const mirror = new LazyWatch(JSON.parse(JSON.stringify(snapshot)), { collections: true });
+    assertTrue(mirror.scores instanceof Map && mirror.seen.has(1), 'the constructor decodes snapshots');
+    const plainMirror = {};
+    LazyWatch.overwrite(plainMirror, snapshot);
+    assertTrue(plainMirror.scores instanceof Map, 'plain targets get real collections');
+
+    const echoes = recordDiffs(mirror);
+    const sent = recordDiffs(source);
+    LazyWatch.on(source, diff => {
+      LazyWatch.patch(mirror, JSON.parse(JSON.stringify(diff)));
+      LazyWatch.patch(plainMirror, diff);
+    });
+    source.scores.set('bob', 2);
+    source.scores.delete('ann');
+    source.seen.add(2);
+    await wait(10);
+    source.scores = new Map([['cy', 3]]);
+    source.scores.set('dee', 4);
+    await wait(10);
+    const expected = LazyWatch.snapshot(source);
+    assertEquals(LazyWatch.snapshot(mirror), expected);
+    assertEquals([...plainMirror.scores], [['cy', 3], ['dee', 4]]);
+    assertEquals([...plainMirror.seen], [1, 2]);
+    assertEquals(sent[1], { scores: { $map: { clear: true, set: [['cy', 3], ['dee', 4]] } } },
+      'a replaced collection travels as a full value');
+    assertEquals(echoes[1], { scores: { $map: { delete: ['bob'], set: [['cy', 3], ['dee', 4]] } } },
+      'applied over an existing collection, it records only the differences');
+
+    echoes.length = 0;
+    LazyWatch.patch(mirror, expected);
+    LazyWatch.overwrite(mirror, expected);
+    await wait(10);
+    assertEquals(echoes, [], 're-applying the current state records nothing');
+    LazyWatch.overwrite(mirror, { scores: { $map: { delete: ['cy'] } } });
+    await wait(10);
+    assertEquals(echoes, [{ scores: { $map: { delete: ['cy'] } }, seen: null }]);
+  });
+
+  runner.test('inverses should restore collections after entry ops, clear and replacement', async () => {
+    const initial = () => ({ lookup: new Map([['a', { n: 1 }], ['b', { n: 2 }]]), doc: { flags: new Set(['x']) } });
+    const state = new LazyWatch(initial(), { collections: true });
+    const before = LazyWatch.snapshot(state);
+    assertThrows(() => LazyWatch.transaction(state, () => {
+      state.lookup.set('a', { n: 10 });
+      state.lookup.delete('b');
+      state.lookup.set('c', { n: 3 });
+      state.lookup.clear();
+      state.lookup.set('d', { n: 4 });
+      state.doc.flags.add('y');
+      state.doc = { flags: new Set() };
+      throw new Error('abort');
+    }));
+    assertEquals(LazyWatch.snapshot(state), before);
+
+    const manager = LazyWatch.createUndoManager(state);
+    state.lookup.set('a', { n: 5 });
+    state.lookup.delete('b');
+    await wait(10);
+    state.lookup = new Map();
+    state.doc.flags.delete('x');
+    delete state.doc;
+    await wait(10);
+    manager.undo();
+    assertEquals([...state.lookup], [['a', { n: 5 }]]);
+    assertTrue(state.doc.flags.has('x'));
+    manager.undo();
+    assertEquals(LazyWatch.snapshot(state), before);
+    manager.redo();
+    manager.redo();
+    assertEquals([state.lookup.size, 'doc' in state], [0, false]);
+
+    state.doc = { flags: new Set() };
+    const op = LazyWatch.optimistic(state, () => {
+      state.lookup.set('k', { n: 1 });
+      state.doc.flags.add('t');
+    });
+    state.lookup.set('other', { n: 2 });
+    assertEquals(op.revert().conflicts, [['lookup']], 'collection ops are not split');
+    assertEquals([[...state.lookup.keys()], [...state.doc.flags]], [['k', 'other'], []]);
+    LazyWatch.dispose(state);
+  });
+
+  runner.test('composeDiffs and flat records should treat collection ops as one node', async () => {
+    assertEquals(LazyWatch.composeDiffs(
+      { m: { $map: { set: [['a', 1], ['b', 2]] } }, s: { $set: { delete: ['x'] } } },
+      { m: { $map: { delete: ['a'], set: [['b', 3]] } }, s: { $set: { clear: true, add: ['y'] } } }
+    ), {
+      m: { $map: { set: [['b', 3]], delete: ['a'] } },
+      s: { $set: { clear: true, add: ['y'] } }
+    });
+    assertEquals(LazyWatch.composeDiffs({ m: null }, { m: { $map: { delete: ['a'], set: [['b', 1]] } } }),
+      { m: { $map: { clear: true, set: [['b', 1]] } } }, 'ops over a deletion become a full value');
+    assertThrows(() => LazyWatch.composeDiffs({ m: { $map: { set: [['a', 1]] } } }, { m: { a: 1 } }),
+      'an object diff over collection ops has no single-diff form');
+    assertEquals(LazyWatch.composeDiffs({ list: [{ $set: { clear: true, add: [1] } }] },
+      { list: { 0: { $set: { add: [2] } }, length: 1 } }),
+    { list: [{ $set: { clear: true, add: [1, 2] } }] }, 'materialized arrays stay encoded');
+
+    const state = new LazyWatch({ m: new Map() }, { collections: true });
+    const records = [];
+    LazyWatch.on(state, changes => records.push(...changes), { changes: 'flat' });
+    state.m.set('a', 1);
+    await wait(10);
+    assertEquals(records, [{ path: ['m'], op: 'set', value: { $map: { set: [['a', 1]] } } }]);
+    assertThrows(() => LazyWatch.toJSONPatch({ m: { $map: { set: [['a', 1]] } } }));
+    LazyWatch.dispose(state);
+  });
+
+  runner.test('collections should be opt-in and validate their entries', async () => {
+    assertThrows(() => new LazyWatch({ m: new Map() }), 'Map rejected without the option');
+    assertThrows(() => new LazyWatch({}, { collections: true, wire: 'merge-patch' }));
+    const state = new LazyWatch({ m: new Map([['a', { list: [1] }]]), s: new Set() }, { collections: true });
+    assertThrows(() => state.m.set({}, 1), 'object keys');
+    assertThrows(() => state.m.set(NaN, 1), 'non-finite keys');
+    assertThrows(() => state.m.set('a', null), 'null values');
+    assertThrows(() => state.m.set('b', new Set()), 'nested collections');
+    assertThrows(() => state.s.add(['x']), 'container members');
+    assertThrows(() => { state.m.extra = 1; }, 'collection properties');
+    assertThrows(() => state.m.get('a').list.push(2), 'values are read-only views');
+    assertThrows(() => { [...state.m.values()][0].list = []; });
+    assertThrows(() => new LazyWatch({ m: new Map([['a', undefined]]) }, { collections: true }));
+
+    const messageOf = fn => { try { fn(); } catch (e) { return e.message; } return ''; };
+    assertTrue(messageOf(() => new LazyWatch({ m: new Map() })).includes('{ collections: true }'),
+      'the option is suggested while it is off');
+    const nested = messageOf(() => state.m.set('b', { inner: new Map() }));
+    assertTrue(nested.includes('nested in a tracked Map at "m.b.inner"') && !nested.includes('{ collections: true }'),
+      `a nested collection is named as such, got: ${nested}`);
+
+    const copy = state.m.get('a');
+    state.m.set('b', copy);
+    state.m.forEach((value, key, map) => assertTrue(map === state.m && value.list[0] === 1));
+    assertEquals([...state.m.entries()].map(([key]) => key), ['a', 'b']);
+    assertTrue(LazyWatch.resolveIfProxy(state.m).get('b') !== LazyWatch.resolveIfProxy(copy),
+      'a view written back is stored as a copy');
+
+    const plainMirror = new LazyWatch({ m: {} });
+    LazyWatch.patch(plainMirror, { m: { $map: { set: [['a', 1]] } } });
+    assertEquals(LazyWatch.snapshot(plainMirror), { m: { $map: { set: [['a', 1]] } } },
+      'without the option the encoding is plain data');
+    LazyWatch.dispose(state);
+  });
+}
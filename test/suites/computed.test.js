@@ -0,0 +1,112 @@
+// computed.test.js - LazyWatch.computed derived values and their dependency tracking
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, assertThrows, wait } from '../helpers.js';
+
+/** Wrap fn to count its runs */
+function counted(fn) {
+  const wrapped = watched => {
+    wrapped.runs++;
+    return fn(watched);
+  };
+  wrapped.runs = 0;
+  return wrapped;
+}
+
+export default function register(runner) {
+  runner.test('computed values should rerun only for batches that change what they read', async () => {
+    const app = new LazyWatch({ todos: [{ text: 'a', done: false }, { text: 'b', done: true }] });
+    const openCount = counted(s => s.todos.filter(todo => !todo.done).length);
+    const open = LazyWatch.computed(app, openCount);
+    assertEquals([open.value, openCount.runs], [1, 1]);
+
+    app.todos[0].text = 'A';
+    await wait(10);
+    assertEquals(openCount.runs, 1, 'a field fn never read');
+    app.todos[1].done = false;
+    await wait(10);
+    assertEquals([open.value, openCount.runs], [2, 2]);
+    app.todos.push({ text: 'c', done: false });
+    await wait(10);
+    app.todos.splice(0, 1);
+    await wait(10);
+    assertEquals([open.value, openCount.runs], [2, 4], 'push and splice change the length read');
+
+    const keys = counted(s => Object.keys(s).sort());
+    const names = LazyWatch.computed(app, keys);
+    const before = names.value;
+    app.todos[0].text = 'B';
+    await wait(10);
+    assertEquals(keys.runs, 1, 'enumeration ignores changes below the keys');
+    app.filter = 'all';
+    await wait(10);
+    assertEquals(names.value, ['filter', 'todos']);
+    delete app.filter;
+    await wait(10);
+    assertEquals([keys.runs, names.value], [3, ['todos']]);
+    assertTrue(names.value !== before, 'a new result is a new copy');
+
+    const label = LazyWatch.computed(app, s => ('user' in s ? s.user.name : 'anon'));
+    app.user = { name: 'ann' };
+    await wait(10);
+    assertEquals(label.value, 'ann', 'a missing key read sees its creation');
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('computed values should be written into the state silently or tracked', async () => {
+    const cart = new LazyWatch({ items: [{ price: 2, qty: 1 }] });
+    const diffs = [];
+    LazyWatch.on(cart, diff => diffs.push(diff));
+    const manager = LazyWatch.createUndoManager(cart);
+    const total = LazyWatch.computed(cart, s => s.items.reduce((sum, item) => sum + item.price * item.qty, 0),
+      { key: 'total' });
+    assertEquals(cart.total, 2);
+
+    cart.items[0].qty = 3;
+    await wait(10);
+    assertEquals([cart.total, total.value], [6, 6]);
+    assertEquals(diffs, [{ items: { 0: { qty: 3 } } }], 'the silent write joins no batch');
+    cart.total = 100;
+    await wait(10);
+    assertEquals(cart.total, 6, 'an outside write to the key is put back');
+    manager.undo();
+    manager.undo();
+    await wait(10);
+    assertEquals([cart.items[0].qty, cart.total], [1, 2], 'undo restores the inputs, not the derived key');
+
+    diffs.length = 0;
+    const count = LazyWatch.computed(cart, s => s.items.length, { key: 'count', silent: false });
+    await wait(10);
+    cart.items.push({ price: 1, qty: 1 });
+    await wait(10);
+    assertEquals(diffs, [
+      { count: 1 },
+      { items: { 1: { price: 1, qty: 1 }, length: 2 } },
+      { count: 2 }
+    ], 'a tracked write is its own follow-up batch');
+    assertEquals(cart.total, 3);
+    assertEquals(count.value, 2);
+    LazyWatch.dispose(cart);
+    assertTrue(total.disposed && count.disposed, 'disposing the instance disposes its computed values');
+  });
+
+  runner.test('computed should validate and stop on dispose', async () => {
+    const state = new LazyWatch({ n: 1, m: new Map() }, { collections: true });
+    assertThrows(() => LazyWatch.computed(state, 'n'));
+    assertThrows(() => LazyWatch.computed(state, s => s.n, { key: '' }));
+    assertThrows(() => LazyWatch.computed(state, s => s.n, { key: '__proto__' }));
+
+    const size = LazyWatch.computed(state, s => s.m.size);
+    const doubled = LazyWatch.computed(state, s => s.n * 2, { key: 'doubled' });
+    state.m.set('a', 1);
+    state.n = 2;
+    await wait(10);
+    assertEquals([size.value, doubled.value], [1, 4], 'collection use is a read of the whole collection');
+    doubled.dispose();
+    doubled.dispose();
+    state.n = 3;
+    await wait(10);
+    assertEquals([doubled.value, state.doubled, doubled.disposed], [4, 4, true]);
+    LazyWatch.dispose(state);
+    assertThrows(() => LazyWatch.computed(state, s => s.n), 'disposed instance');
+  });
+}
@@ -0,0 +1,183 @@
+// flat-changes.test.js - Flat change records ({ changes: 'flat' }): ops, paths, array length, and old values
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertThrows, wait } from '../helpers.js';
+
+export default function register(runner) {
+  runner.test('flat listeners should receive set and delete records', async () => {
+    const watched = new LazyWatch({ user: { name: 'a', age: 1 }, flag: true });
+    let records = null;
+    LazyWatch.on(watched, changes => { records = changes; }, { changes: 'flat' });
+
+    watched.user.name = 'b';
+    delete watched.flag;
+    watched.created = new Date(0);
+    await wait(10);
+
+    assertEquals(records, [
+      { path: ['user', 'name'], op: 'set', value: 'b' },
+      { path: ['flag'], op: 'delete' },
+      { path: ['created'], op: 'set', value: new Date(0) }
+    ]);
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('flat records should descend into objects and keep arrays and empty objects whole', async () => {
+    const watched = new LazyWatch({});
+    let records = null;
+    LazyWatch.on(watched, changes => { records = changes; }, { changes: 'flat' });
+
+    watched.settings = { theme: 'dark', tags: ['a', 'b'], extra: {} };
+    await wait(10);
+
+    assertEquals(records, [
+      { path: ['settings', 'theme'], op: 'set', value: 'dark' },
+      { path: ['settings', 'tags'], op: 'set', value: ['a', 'b'] },
+      { path: ['settings', 'extra'], op: 'set', value: {} }
+    ]);
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('flat records should report $splice ops as splice records', async () => {
+    const watched = new LazyWatch({ list: ['a', 'b', 'c'] });
+    let records = null;
+    LazyWatch.on(watched, changes => { records = changes; }, { changes: 'flat' });
+
+    watched.list.splice(1, 1, 'x', 'y');
+    watched.list.shift();
+    await wait(10);
+
+    assertEquals(records, [
+      { path: ['list'], op: 'splice', index: 1, deleteCount: 1, value: ['x', 'y'] },
+      { path: ['list'], op: 'splice', index: 0, deleteCount: 1, value: [] },
+      { path: ['list', 'length'], op: 'set', value: 3 }
+    ], 'one record per op, in order, then the length');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('flat records should report array length whenever the diff carries it', async () => {
+    const watched = new LazyWatch({ list: [1, 2, 3], box: { length: 1 } });
+    let records = null;
+    LazyWatch.on(watched, changes => { records = changes; }, { changes: 'flat' });
+
+    watched.list.push(4);
+    await wait(10);
+    assertEquals(records, [
+      { path: ['list', '3'], op: 'set', value: 4 },
+      { path: ['list', 'length'], op: 'set', value: 4 }
+    ], 'push records its length after the element');
+
+    watched.list[0] = 0;
+    await wait(10);
+    assertEquals(records, [
+      { path: ['list', '0'], op: 'set', value: 0 },
+      { path: ['list', 'length'], op: 'set', value: 4 }
+    ], 'without an inverse, a restated length is reported too');
+
+    watched.list.pop();
+    await wait(10);
+    assertEquals(records, [{ path: ['list', 'length'], op: 'set', value: 3 }], 'truncation is a length record');
+
+    watched.box.length = 2;
+    await wait(10);
+    assertEquals(records, [{ path: ['box', 'length'], op: 'set', value: 2 }], 'length in a plain object is data');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('flat records should replay a truncation that shares its batch with writes', async () => {
+    for (const inverse of [false, true]) {
+      const watched = new LazyWatch({ a: [1, 2, 3] }, { inverse });
+      let records = null;
+      LazyWatch.on(watched, changes => { records = changes; }, { changes: 'flat' });
+      watched.a = [9];
+      await wait(10);
+      const replica = { a: [1, 2, 3] };
+      for (const { path, op, value } of records) {
+        const parent = path.slice(0, -1).reduce((node, key) => node[key], replica);
+        if (op === 'delete') delete parent[path[path.length - 1]];
+        else parent[path[path.length - 1]] = value;
+      }
+      assertEquals(replica, { a: [9] }, `length reported ${inverse ? 'with' : 'without'} an inverse`);
+      assertEquals(records[records.length - 1], inverse
+        ? { path: ['a', 'length'], op: 'set', value: 1, oldValue: 3 }
+        : { path: ['a', 'length'], op: 'set', value: 1 });
+      LazyWatch.dispose(watched);
+    }
+  });
+
+  runner.test('flat records should carry old values from the inverse', async () => {
+    const watched = new LazyWatch({ user: { name: 'a' }, list: [1, 2, 3], gone: { x: 1 } }, { inverse: true });
+    let records = null;
+    let inverseArg = null;
+    LazyWatch.on(watched, (changes, inverse) => {
+      records = changes;
+      inverseArg = inverse;
+    }, { changes: 'flat' });
+
+    watched.user.name = 'b';
+    watched.user.nick = 'bb';
+    delete watched.gone;
+    await wait(10);
+    assertEquals(records, [
+      { path: ['user', 'name'], op: 'set', value: 'b', oldValue: 'a' },
+      { path: ['user', 'nick'], op: 'set', value: 'bb' },
+      { path: ['gone'], op: 'delete', oldValue: { x: 1 } }
+    ]);
+    assertEquals('oldValue' in records[1], true, 'a new key has oldValue undefined');
+    assertEquals(inverseArg, { user: { name: 'a', nick: null }, gone: { x: 1 } },
+      'the inverse is still passed as the second argument');
+
+    // With the inverse, a truncation next to index writes is visible
+    watched.list[0] = 9;
+    watched.list.length = 2;
+    await wait(10);
+    assertEquals(records, [
+      { path: ['list', '0'], op: 'set', value: 9, oldValue: 1 },
+      { path: ['list', 'length'], op: 'set', value: 2, oldValue: 3 }
+    ]);
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('flat records on nested listeners should use relative paths', async () => {
+    const watched = new LazyWatch({ doc: { title: 'a', meta: { v: 1 } }, other: 1 }, { inverse: true });
+    const received = [];
+    LazyWatch.on(watched.doc, changes => received.push(changes), { changes: 'flat' });
+
+    watched.doc.meta.v = 2;
+    watched.other = 2;
+    await wait(10);
+    delete watched.doc;
+    await wait(10);
+
+    assertEquals(received, [
+      [{ path: ['meta', 'v'], op: 'set', value: 2, oldValue: 1 }],
+      [{ path: [], op: 'delete', oldValue: { title: 'a', meta: { v: 2 } } }]
+    ]);
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('flat and nested listeners should see the same batch', async () => {
+    const watched = new LazyWatch({ a: 1 });
+    let nested = null;
+    let flat = null;
+    LazyWatch.on(watched, diff => { nested = diff; });
+    LazyWatch.once(watched, changes => { flat = changes; }, { changes: 'flat' });
+
+    watched.a = 2;
+    watched.b = { c: 3 };
+    await wait(10);
+    assertEquals(nested, { a: 2, b: { c: 3 } });
+    assertEquals(flat, [
+      { path: ['a'], op: 'set', value: 2 },
+      { path: ['b', 'c'], op: 'set', value: 3 }
+    ]);
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('the changes option should be validated', async () => {
+    const watched = new LazyWatch({});
+    assertThrows(() => LazyWatch.on(watched, () => {}, { changes: 'nested' }),
+      'an unknown changes mode should throw');
+    LazyWatch.on(watched, () => {}, { changes: 'diff' });
+    LazyWatch.dispose(watched);
+  });
+}
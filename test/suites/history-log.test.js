@@ -0,0 +1,182 @@
+// history-log.test.js - Append-only batch log: recording, at, replay, compact, stores
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, assertThrows, wait } from '../helpers.js';
+
+export default function register(runner) {
+  runner.test('history log should record every batch with consecutive ids', async () => {
+    const watched = new LazyWatch({ count: 0, tags: ['a'] });
+    const log = LazyWatch.createHistoryLog(watched);
+
+    watched.count = 1;
+    await wait(10);
+    watched.tags.push('b');
+    LazyWatch.patch(watched, { count: 2 });
+    await wait(10);
+
+    const entries = log.entries();
+    assertEquals(entries.map(entry => [entry.id, entry.meta.source]), [[1, 'local'], [2, 'local'], [3, 'patch']]);
+    assertEquals(entries[0].diff, { count: 1 });
+    assertEquals(entries[0].inverse, { count: 0 });
+    assertEquals([log.baseId, log.headId, log.position], [0, 3, 3]);
+
+    assertEquals(log.at(0), { count: 0, tags: ['a'] });
+    assertEquals(log.at(2), { count: 1, tags: ['a', 'b'] });
+    assertEquals(log.at(3), LazyWatch.snapshot(watched));
+    log.at(1).tags.push('x');
+    assertEquals(log.at(1), { count: 1, tags: ['a'] }, 'at() returns independent copies');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('replay should move the state back and forth without recording', async () => {
+    const watched = new LazyWatch({ count: 0 });
+    const log = LazyWatch.createHistoryLog(watched);
+    for (let i = 1; i <= 3; i++) {
+      watched.count = i;
+      LazyWatch.flush(watched);
+    }
+    const emitted = [];
+    LazyWatch.on(watched, diff => emitted.push(diff));
+
+    log.replay(1);
+    assertEquals([watched.count, log.position], [1, 1]);
+    log.replay(0);
+    assertEquals(watched.count, 0);
+    log.replay(3);
+    assertEquals([watched.count, log.position], [3, 3]);
+    await wait(10);
+
+    assertEquals(emitted, [{ count: 1 }, { count: 0 }, { count: 3 }], 'each replay emits one batch');
+    assertEquals(log.headId, 3, 'returning to the head records nothing');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('editing a replayed state should continue the log from there', async () => {
+    const watched = new LazyWatch({ count: 0, name: 'a' });
+    const log = LazyWatch.createHistoryLog(watched);
+    watched.count = 1;
+    LazyWatch.flush(watched);
+    watched.count = 2;
+    LazyWatch.flush(watched);
+
+    log.replay(0);
+    watched.name = 'b';
+    await wait(10);
+
+    assertEquals(log.entries().map(entry => entry.diff), [{ count: 1 }, { count: 2 }, { count: 0 }, { name: 'b' }],
+      'the replay is recorded ahead of the edit');
+    assertEquals([log.headId, log.position], [4, 4]);
+    assertEquals(log.at(4), { count: 0, name: 'b' });
+    log.replay(2);
+    assertEquals(LazyWatch.snapshot(watched), { count: 2, name: 'a' });
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('compact should fold a prefix into the base snapshot', async () => {
+    const watched = new LazyWatch({ list: [1], meta: { v: 0 } });
+    const log = LazyWatch.createHistoryLog(watched);
+    watched.list.push(2);
+    LazyWatch.flush(watched);
+    watched.meta = null;
+    LazyWatch.flush(watched);
+    watched.meta = { v: 2 };
+    LazyWatch.flush(watched);
+    watched.list.shift();
+    LazyWatch.flush(watched);
+
+    const expected = [log.at(3), log.at(4)];
+    log.compact(3);
+    assertEquals([log.baseId, log.headId, log.entries().length], [3, 4, 1]);
+    assertEquals([log.at(3), log.at(4)], expected);
+    assertThrows(() => log.at(2), 'compacted entries are gone');
+
+    log.replay(3);
+    assertEquals(LazyWatch.snapshot(watched), { list: [1, 2], meta: { v: 2 } });
+    assertThrows(() => log.compact(4), 'cannot compact past the replay position');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('at and compact should merge collection ops into real Maps and Sets', async () => {
+    const watched = new LazyWatch({ m: new Map([['a', 1]]), s: new Set(['x']) }, { collections: true });
+    const log = LazyWatch.createHistoryLog(watched);
+    const view = state => ({ m: [...state.m], s: [...state.s] });
+    watched.m.set('b', 2);
+    watched.s.add('y');
+    LazyWatch.flush(watched);
+    watched.m.delete('a');
+    watched.s.delete('x');
+    LazyWatch.flush(watched);
+    watched.m.clear();
+    watched.m.set('c', 3);
+    watched.s.clear();
+    LazyWatch.flush(watched);
+
+    const expected = [
+      { m: [['a', 1]], s: ['x'] },
+      { m: [['a', 1], ['b', 2]], s: ['x', 'y'] },
+      { m: [['b', 2]], s: ['y'] },
+      { m: [['c', 3]], s: [] }
+    ];
+    assertEquals([0, 1, 2, 3].map(id => view(log.at(id))), expected);
+    assertTrue(log.at(0).m instanceof Map && log.at(0).s instanceof Set, 'at() returns real collections');
+
+    log.compact(2);
+    assertEquals([view(log.at(2)), view(log.at(3))], expected.slice(2), 'the compacted base keeps every entry');
+    log.compact(3);
+    assertEquals(view(log.at(3)), view(watched));
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('history log should use and resume a custom store', async () => {
+    const saved = { base: null, entries: [] };
+    const store = {
+      append: entry => saved.entries.push(JSON.parse(JSON.stringify(entry))),
+      entries: () => saved.entries,
+      getBase: () => saved.base,
+      setBase: base => {
+        saved.base = JSON.parse(JSON.stringify(base));
+        saved.entries = saved.entries.filter(entry => entry.id > base.id);
+      }
+    };
+    const first = new LazyWatch({ count: 0 });
+    LazyWatch.createHistoryLog(first, { store });
+    first.count = 1;
+    await wait(10);
+    LazyWatch.dispose(first);
+
+    const second = new LazyWatch({ count: 1 });
+    const log = LazyWatch.createHistoryLog(second, { store });
+    assertEquals([log.baseId, log.headId], [0, 1]);
+    second.count = 2;
+    await wait(10);
+    assertEquals(saved.entries.map(entry => [entry.id, entry.diff]), [[1, { count: 1 }], [2, { count: 2 }]]);
+    log.replay(0);
+    assertEquals(second.count, 0);
+    LazyWatch.dispose(second);
+  });
+
+  runner.test('history log should validate its input and detach on dispose', async () => {
+    const watched = new LazyWatch({ nested: { a: 1 } });
+    assertThrows(() => LazyWatch.createHistoryLog(watched, { store: { append() {} } }), 'store without methods');
+    assertThrows(() => LazyWatch.createHistoryLog(watched.nested), 'nested proxy');
+
+    const manager = LazyWatch.createUndoManager(watched);
+    const log = LazyWatch.createHistoryLog(watched);
+    assertThrows(() => log.at(1.5), 'non-integer id');
+    assertThrows(() => log.replay(1), 'id past the head');
+
+    log.dispose();
+    log.dispose();
+    const inverses = [];
+    LazyWatch.on(watched, (diff, inverse) => inverses.push(inverse));
+    watched.nested.a = 2;
+    await wait(10);
+    assertEquals(log.headId, 0, 'a disposed log records nothing');
+    assertEquals(inverses, [{ nested: { a: 1 } }], 'the undo manager keeps inverse recording on');
+    assertTrue(manager.undo());
+
+    manager.dispose();
+    const other = LazyWatch.createHistoryLog(watched);
+    LazyWatch.dispose(watched);
+    assertThrows(() => other.replay(0), 'disposing the instance disposes its logs');
+  });
+}
@@ -196,12 +196,16 @@ export default function register(runner) {
     LazyWatch.dispose(watched);
   });
 
-  runner.test('transactions cannot be nested', () => {
+  runner.test('a failed nested transaction should roll back only its own changes', () => {
     const watched = new LazyWatch({ a: 1 });
-    assertThrows(() => LazyWatch.transaction(watched, () => {
-      LazyWatch.transaction(watched, () => {});
-    }));
-    assertEquals(watched.a, 1);
+    LazyWatch.transaction(watched, () => {
+      watched.a = 2;
+      assertThrows(() => LazyWatch.transaction(watched, () => {
+        watched.a = 3;
+        throw new Error('inner');
+      }));
+    });
+    assertEquals(watched.a, 2);
     LazyWatch.dispose(watched);
   });
 
@@ -0,0 +1,219 @@
+// json-patch.test.js - RFC 6902 JSON Patch: export from diffs, tracked import, test ops and rollback
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertThrows, assertTrue, wait } from '../helpers.js';
+
+export default function register(runner) {
+  runner.test('toJSONPatch should convert object diffs to add/replace/remove', async () => {
+    const base = { user: { name: 'a', nick: 'x' }, 'a/b': 1, 'c~d': 2 };
+    assertEquals(LazyWatch.toJSONPatch(
+      { user: { name: 'b', nick: null, age: 3 }, 'a/b': 2, 'c~d': null, tags: ['t'] }, base), [
+      { op: 'replace', path: '/user/name', value: 'b' },
+      { op: 'remove', path: '/user/nick' },
+      { op: 'add', path: '/user/age', value: 3 },
+      { op: 'replace', path: '/a~1b', value: 2 },
+      { op: 'remove', path: '/c~0d' },
+      { op: 'add', path: '/tags', value: ['t'] }
+    ], 'pointer segments should be escaped');
+    assertEquals(base, { user: { name: 'a', nick: 'x' }, 'a/b': 1, 'c~d': 2 }, 'the base is not mutated');
+  });
+
+  runner.test('toJSONPatch should convert array splices, index writes, and truncation', async () => {
+    const base = { list: [1, 2, 3, 4], rows: [{ v: 1 }] };
+    const watched = new LazyWatch(structuredClone(base));
+    let ops = null;
+    LazyWatch.on(watched, diff => { ops = LazyWatch.toJSONPatch(diff, base); });
+
+    watched.list.splice(1, 1, 'a', 'b');
+    watched.list[0] = 0;
+    watched.list.length = 3;
+    watched.rows[0].v = 2;
+    watched.rows.push({ v: 3 });
+    await wait(10);
+
+    assertEquals(ops, [
+      { op: 'remove', path: '/list/1' },
+      { op: 'add', path: '/list/1', value: 'a' },
+      { op: 'add', path: '/list/2', value: 'b' },
+      { op: 'replace', path: '/list/0', value: 0 },
+      { op: 'remove', path: '/list/4' },
+      { op: 'remove', path: '/list/3' },
+      { op: 'replace', path: '/rows/0/v', value: 2 },
+      { op: 'add', path: '/rows/1', value: { v: 3 } }
+    ]);
+    const mirror = structuredClone(base);
+    LazyWatch.applyJSONPatch(mirror, ops);
+    assertEquals(mirror, LazyWatch.snapshot(watched), 'the operations should reproduce the state');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('toJSONPatch round trips should converge across mixed batches', async () => {
+    const watched = new LazyWatch({ doc: { title: 'a', items: [{ id: 1 }, { id: 2 }] }, n: 0 });
+    let base = LazyWatch.snapshot(watched);
+    const mirror = LazyWatch.snapshot(watched);
+    LazyWatch.on(watched, diff => {
+      LazyWatch.applyJSONPatch(mirror, LazyWatch.toJSONPatch(diff, base));
+      base = LazyWatch.snapshot(watched);
+    });
+
+    watched.doc.items.unshift({ id: 0 });
+    watched.doc.items[2].id = 20;
+    await wait(10);
+    watched.doc = { title: 'b', items: [] };
+    watched.n = 1;
+    await wait(10);
+    delete watched.doc.title;
+    watched.doc.items.push({ id: 5 }, { id: 6 });
+    watched.doc.items.reverse();
+    await wait(10);
+    assertEquals(mirror, LazyWatch.snapshot(watched));
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('toJSONPatch without a base should handle objects and $splice only', async () => {
+    assertEquals(LazyWatch.toJSONPatch({ a: { b: 1, c: null }, list: { $splice: [[0, 1, ['z']]], length: 3 } }), [
+      { op: 'add', path: '/a/b', value: 1 },
+      { op: 'remove', path: '/a/c' },
+      { op: 'remove', path: '/list/0' },
+      { op: 'add', path: '/list/0', value: 'z' }
+    ]);
+    assertThrows(() => LazyWatch.toJSONPatch({ list: { 0: 'a', length: 1 } }),
+      'array index writes need a base');
+    assertThrows(() => LazyWatch.toJSONPatch({ list: { 3: 'a', length: 4 } }, { list: [1] }),
+      'array holes have no JSON representation');
+    assertThrows(() => LazyWatch.toJSONPatch(['not a diff']), 'arrays are not diffs');
+  });
+
+  runner.test('applyJSONPatch should apply every operation through the tracked path', async () => {
+    const watched = new LazyWatch({ a: 1, list: ['x', 'y'], obj: { k: 1, m: { n: 1 } }, arr: [1] }, { inverse: true });
+    const batches = [];
+    LazyWatch.on(watched, (diff, inverse) => batches.push({ diff, inverse }));
+
+    LazyWatch.applyJSONPatch(watched, [
+      { op: 'replace', path: '/a', value: 2 },
+      { op: 'add', path: '/list/1', value: 'q' },
+      { op: 'add', path: '/list/-', value: 'end' },
+      { op: 'remove', path: '/list/0' },
+      { op: 'replace', path: '/obj', value: { k: 2 } },
+      { op: 'move', from: '/obj/k', path: '/moved' },
+      { op: 'copy', from: '/list', path: '/copy' },
+      { op: 'replace', path: '/arr', value: { o: 1 } }
+    ]);
+    assertEquals(LazyWatch.snapshot(watched), {
+      a: 2, list: ['q', 'y', 'end'], obj: {}, moved: 2, copy: ['q', 'y', 'end'], arr: { o: 1 }
+    }, 'replacing a container should not merge into it');
+    await wait(10);
+    assertEquals(batches.length, 1, 'the operations should emit as one batch');
+
+    LazyWatch.patch(watched, batches[0].inverse);
+    assertEquals(LazyWatch.snapshot(watched),
+      { a: 1, list: ['x', 'y'], obj: { k: 1, m: { n: 1 } }, arr: [1] }, 'the batch is undoable');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('applyJSONPatch should roll back the whole list when a test fails', async () => {
+    const watched = new LazyWatch({ version: 3, title: 'a', tags: ['x'] });
+    let calls = 0;
+    LazyWatch.on(watched, () => calls++);
+
+    LazyWatch.applyJSONPatch(watched, [{ op: 'test', path: '/tags', value: ['x'] }]);
+    assertThrows(() => LazyWatch.applyJSONPatch(watched, [
+      { op: 'replace', path: '/title', value: 'b' },
+      { op: 'add', path: '/tags/0', value: 'y' },
+      { op: 'test', path: '/version', value: 4 }
+    ]), 'a failed test should throw');
+    assertThrows(() => LazyWatch.applyJSONPatch(watched, [
+      { op: 'replace', path: '/title', value: 'b' },
+      { op: 'remove', path: '/missing' }
+    ]), 'a missing path should throw');
+    assertEquals(LazyWatch.snapshot(watched), { version: 3, title: 'a', tags: ['x'] });
+    await wait(10);
+    assertEquals(calls, 0, 'nothing should emit');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('applyJSONPatch should work on nested proxies and plain objects', async () => {
+    const watched = new LazyWatch({ board: { cols: ['a'] }, other: 1 });
+    let diff = null;
+    LazyWatch.on(watched, d => { diff = d; });
+    LazyWatch.applyJSONPatch(watched.board, [{ op: 'add', path: '/cols/-', value: 'b' }]);
+    await wait(10);
+    assertEquals(diff, { board: { cols: { 1: 'b', length: 2 } } }, 'paths are relative to the nested proxy');
+
+    const plain = { a: { b: 1 }, list: [1, 2] };
+    const before = plain.a;
+    LazyWatch.applyJSONPatch(plain, [
+      { op: 'replace', path: '/a/b', value: 2 },
+      { op: 'remove', path: '/list/0' }
+    ]);
+    assertEquals(plain, { a: { b: 2 }, list: [2] });
+    assertEquals(plain.a === before, true, 'plain objects are mutated in place');
+    assertThrows(() => LazyWatch.applyJSONPatch(plain, [
+      { op: 'remove', path: '/a' },
+      { op: 'test', path: '/list/0', value: 9 }
+    ]));
+    assertEquals(plain, { a: { b: 2 }, list: [2] }, 'a failed plain patch changes nothing');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('applyJSONPatch should treat null values as deletion', async () => {
+    const watched = new LazyWatch({ a: 1, b: { c: 1, d: 2 } });
+    LazyWatch.applyJSONPatch(watched, [
+      { op: 'replace', path: '/a', value: null },
+      { op: 'replace', path: '/b', value: { c: null, d: 3 } }
+    ]);
+    assertEquals(LazyWatch.snapshot(watched), { b: { d: 3 } });
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('JSON Patch should tag codec values out and revive them in', async () => {
+    const unregister = LazyWatch.registerCodec({
+      name: 'BigInt', test: v => typeof v === 'bigint', encode: n => n.toString(), decode: s => BigInt(s)
+    });
+    try {
+      const ops = LazyWatch.toJSONPatch({ balance: 15n, ledger: { last: 5n }, history: { $splice: [[0, 0, [1n]]] } },
+        { balance: 10n, history: [] });
+      assertEquals(JSON.parse(JSON.stringify(ops)), [
+        { op: 'replace', path: '/balance', value: { $type: 'BigInt', v: '15' } },
+        { op: 'add', path: '/ledger', value: { last: { $type: 'BigInt', v: '5' } } },
+        { op: 'add', path: '/history/0', value: { $type: 'BigInt', v: '1' } }
+      ]);
+
+      const watched = new LazyWatch({ balance: 10n, history: [] });
+      LazyWatch.applyJSONPatch(watched, [
+        { op: 'test', path: '/balance', value: { $type: 'BigInt', v: '10' } },
+        ...JSON.parse(JSON.stringify(ops))
+      ]);
+      assertTrue(watched.balance === 15n && watched.ledger.last === 5n && watched.history[0] === 1n, 'tags revived on apply');
+      LazyWatch.dispose(watched);
+    } finally {
+      unregister();
+    }
+  });
+
+  runner.test('applyJSONPatch should reject malformed operations', async () => {
+    const watched = new LazyWatch({ a: { b: 1 }, list: [1] });
+    const invalid = [
+      [{ op: 'frobnicate', path: '/a' }],
+      [{ op: 'add', path: 'a', value: 1 }],
+      [{ op: 'add', path: '/a/c' }],
+      [{ op: 'add', path: '/a/__proto__/x', value: 1 }],
+      [{ op: 'add', path: '/a/~2', value: 1 }],
+      [{ op: 'add', path: '/list/5', value: 1 }],
+      [{ op: 'add', path: '/list/01', value: 1 }],
+      [{ op: 'move', from: '/a', path: '/a/b/c' }],
+      [{ op: 'remove', path: '' }],
+      [{ op: 'replace', path: '', value: [] }],
+      [{ op: 'add', path: '/x', value: new Map() }]
+    ];
+    for (const ops of invalid) {
+      assertThrows(() => LazyWatch.applyJSONPatch(watched, ops), `${JSON.stringify(ops)} should throw`);
+    }
+    assertThrows(() => LazyWatch.applyJSONPatch(watched, { op: 'add' }), 'operations must be an array');
+    assertThrows(() => LazyWatch.applyJSONPatch(42, []), 'target must be a container');
+    assertEquals(LazyWatch.snapshot(watched), { a: { b: 1 }, list: [1] });
+
+    LazyWatch.applyJSONPatch(watched, [{ op: 'replace', path: '', value: { z: 1 } }]);
+    assertEquals(LazyWatch.snapshot(watched), { z: 1 }, 'the whole document can be replaced');
+    LazyWatch.dispose(watched);
+  });
+}
@@ -0,0 +1,155 @@
+// merge-patch.test.js - RFC 7396 JSON Merge Patch: the wire option and toMergePatch
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertThrows, wait } from '../helpers.js';
+
+// Reference RFC 7396 MergePatch(Target, Patch), as an off-the-shelf
+// consumer implements it
+function mergePatch(target, patch) {
+  if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+    return structuredClone(patch);
+  }
+  const out = target !== null && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete out[key];
+    else out[key] = mergePatch(out[key], value);
+  }
+  return out;
+}
+
+export default function register(runner) {
+  runner.test('merge-patch wire should emit touched arrays as full values', async () => {
+    const watched = new LazyWatch({ todos: [{ text: 'a', done: false }, { text: 'b' }], user: { name: 'x' }, n: 1 },
+      { wire: 'merge-patch' });
+    const diffs = [];
+    LazyWatch.on(watched, diff => diffs.push(diff));
+
+    watched.todos[0].done = true;
+    watched.user.name = 'y';
+    delete watched.n;
+    await wait(10);
+    watched.todos.splice(0, 1);
+    await wait(10);
+
+    assertEquals(diffs, [
+      { todos: [{ text: 'a', done: true }, { text: 'b' }], user: { name: 'y' }, n: null },
+      { todos: [{ text: 'b' }] }
+    ], 'objects merge and null deletes as before; arrays are whole');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('a merge-patch consumer should converge on the emitted stream', async () => {
+    const initial = { doc: { title: 'a', rows: [[1, 2], [3]] }, tags: ['x'], meta: { v: 1 } };
+    const watched = new LazyWatch(structuredClone(initial), { wire: 'merge-patch' });
+    let mirror = structuredClone(initial);
+    LazyWatch.on(watched, diff => { mirror = mergePatch(mirror, diff); });
+
+    watched.doc.rows[0].push(9);
+    watched.tags.unshift('w');
+    await wait(10);
+    watched.doc = { title: 'b', rows: [] };
+    watched.meta.extra = { deep: [1] };
+    await wait(10);
+    watched.tags.length = 0;
+    delete watched.meta.v;
+    watched.meta.extra.deep[0] = 2;
+    await wait(10);
+    assertEquals(mirror, LazyWatch.snapshot(watched));
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('merge-patch wire should encode the inverse against the pre-batch state', async () => {
+    const initial = { list: ['a', 'b', 'c'], obj: { k: 1 } };
+    const watched = new LazyWatch(structuredClone(initial), { wire: 'merge-patch', inverse: true });
+    let mirror = structuredClone(initial);
+    let inverse = null;
+    LazyWatch.on(watched, (diff, inv) => {
+      mirror = mergePatch(mirror, diff);
+      inverse = inv;
+    });
+
+    watched.list.splice(1, 1, 'x', 'y');
+    watched.obj.k = 2;
+    await wait(10);
+    assertEquals(inverse, { list: ['a', 'b', 'c'], obj: { k: 1 } });
+    assertEquals(mergePatch(mirror, inverse), initial, 'the inverse undoes the batch on a consumer');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('merge-patch wire should encode each batch of one tick against its own state', async () => {
+    const initial = { list: [1, 2, 3] };
+    const watched = new LazyWatch(structuredClone(initial), { wire: 'merge-patch', inverse: true });
+    const batches = [];
+    let mirror = structuredClone(initial);
+    LazyWatch.on(watched, (diff, inverse, meta) => {
+      batches.push([meta.source, diff, inverse]);
+      mirror = mergePatch(mirror, diff);
+    });
+
+    watched.list.push(4);
+    LazyWatch.patch(watched, { list: { 0: 'remote' } });
+    await wait(10);
+    assertEquals(batches, [
+      ['local', { list: [1, 2, 3, 4] }, { list: [1, 2, 3] }],
+      ['patch', { list: ['remote', 2, 3, 4] }, { list: [1, 2, 3, 4] }]
+    ], 'the local batch does not carry the remote write');
+    assertEquals(mirror, LazyWatch.snapshot(watched));
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('merge-patch wire should reach nested, flat, and pending views but not onPath or undo', async () => {
+    const watched = new LazyWatch({ board: { cols: ['a'] }, todos: [{ done: false }] }, { wire: 'merge-patch' });
+    let nested = null;
+    let flat = null;
+    let matches = null;
+    LazyWatch.on(watched.board, diff => { nested = diff; });
+    LazyWatch.on(watched, records => { flat = records; }, { changes: 'flat' });
+    LazyWatch.onPath(watched, 'todos.*.done', m => { matches = m; });
+    const manager = LazyWatch.createUndoManager(watched);
+
+    watched.board.cols.push('b');
+    watched.todos[0].done = true;
+    assertEquals(LazyWatch.getPendingDiff(watched), { board: { cols: ['a', 'b'] }, todos: [{ done: true }] });
+    await wait(10);
+    assertEquals(nested, { cols: ['a', 'b'] });
+    assertEquals(flat, [
+      { path: ['board', 'cols'], op: 'set', value: ['a', 'b'], oldValue: ['a'] },
+      { path: ['todos'], op: 'set', value: [{ done: true }], oldValue: [{ done: false }] }
+    ], 'the undo manager records inverses, so old values are whole arrays too');
+    assertEquals(matches, [{ path: ['todos', '0', 'done'], value: true, oldValue: false }],
+      'onPath still sees exactly what changed');
+
+    manager.undo();
+    assertEquals(LazyWatch.snapshot(watched), { board: { cols: ['a'] }, todos: [{ done: false }] });
+    await wait(10);
+    assertEquals(nested, { cols: ['a'] }, 'undo batches are encoded too');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('toMergePatch should convert a diff against the post-diff state', async () => {
+    const watched = new LazyWatch({ list: [1, 2, 3], deep: { rows: [{ v: 1 }] }, a: 1 });
+    let converted = null;
+    LazyWatch.on(watched, diff => { converted = LazyWatch.toMergePatch(diff, watched); });
+
+    watched.list.pop();
+    watched.deep.rows[0].v = 2;
+    watched.a = null;
+    await wait(10);
+    assertEquals(converted, { list: [1, 2], deep: { rows: [{ v: 2 }] }, a: null });
+    converted.list.push(99);
+    assertEquals(watched.list.length, 2, 'the result shares nothing with the state');
+
+    assertEquals(LazyWatch.toMergePatch({ 0: 'z', length: 2 }, ['z', 'b']), ['z', 'b'],
+      'an array root becomes its full value');
+    assertEquals(LazyWatch.toMergePatch({ box: { length: 2 } }, { box: { length: 2 } }), { box: { length: 2 } },
+      'length in a plain object is data');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('merge-patch options and arguments should be validated', async () => {
+    assertThrows(() => new LazyWatch({}, { wire: 'json-patch' }), 'unknown wire format');
+    assertThrows(() => LazyWatch.toMergePatch(null, {}), 'diff must be an object');
+    assertThrows(() => LazyWatch.toMergePatch({ a: 1 }), 'state is required');
+    const watched = new LazyWatch({}, { wire: 'diff' });
+    LazyWatch.dispose(watched);
+  });
+}
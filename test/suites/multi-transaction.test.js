@@ -0,0 +1,121 @@
+// multi-transaction.test.js - LazyWatch.transaction over several instances
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertThrows, wait } from '../helpers.js';
+
+/** Instances whose listeners log `[name, diff, source]` into one shared list */
+function watchAll(states, options) {
+  const log = [];
+  const instances = Object.entries(states).map(([name, state]) => {
+    const watched = new LazyWatch(state, options);
+    LazyWatch.on(watched, (diff, inverse, meta) => log.push([name, diff, meta.source]));
+    return watched;
+  });
+  return { log, instances };
+}
+
+export default function register(runner) {
+  runner.test('a multi-instance transaction should emit one batch per instance in array order', async () => {
+    // Debounced instances: without the commit flush their order would be
+    // up to the timers
+    const { log, instances: [session, doc, settings] } = watchAll(
+      { session: { user: 'ann' }, doc: { owner: null }, settings: { recent: [] } }, { debounce: 20 });
+    const result = LazyWatch.transaction([settings, doc, session], () => {
+      session.lastEdited = 'd1';
+      doc.owner = session.user;
+      settings.recent.push('d1');
+      return 'done';
+    });
+    assertEquals(result, 'done');
+    assertEquals(log, [
+      ['settings', { recent: { 0: 'd1', length: 1 } }, 'transaction'],
+      ['doc', { owner: 'ann' }, 'transaction'],
+      ['session', { lastEdited: 'd1' }, 'transaction']
+    ], 'emitted synchronously at commit');
+
+    LazyWatch.transaction([session], () => { session.user = 'bob'; });
+    assertEquals(log.length, 4, 'the array form commits synchronously even for one instance');
+    await wait(40);
+    assertEquals(log.length, 4);
+    [session, doc, settings].forEach(watched => LazyWatch.dispose(watched));
+  });
+
+  runner.test('a throwing multi-instance transaction should roll back every instance', async () => {
+    const { log, instances: [a, b] } = watchAll({ a: { n: 1, list: [1] }, b: { m: { x: 1 } } });
+    a.n = 2; // pending before: flushed when the transaction starts
+    assertThrows(() => LazyWatch.transaction([a, b], () => {
+      a.n = 3;
+      a.list.push(2);
+      b.m = null;
+      b.added = true;
+      throw new Error('boom');
+    }));
+    assertEquals([LazyWatch.snapshot(a), LazyWatch.snapshot(b)], [{ n: 2, list: [1] }, { m: { x: 1 } }]);
+    await wait(10);
+    assertEquals(log, [['a', { n: 2 }, 'local']]);
+  });
+
+  runner.test('multi-instance transactions should nest and share savepoints', async () => {
+    const { log, instances: [a, b] } = watchAll({ a: { n: 0 }, b: { n: 0 } });
+    LazyWatch.transaction(a, () => {
+      a.n = 1;
+      assertThrows(() => LazyWatch.transaction([a, b], () => {
+        a.n = 2;
+        b.n = 2;
+        throw new Error('inner');
+      }));
+      assertEquals([a.n, b.n], [1, 0], 'both sides of the inner transaction are undone');
+
+      LazyWatch.transaction([b, a], tx => {
+        b.n = 3;
+        const sp = tx.savepoint();
+        a.n = 4;
+        b.n = 4;
+        tx.rollbackTo(sp);
+        assertEquals([a.n, b.n], [1, 3]);
+        assertThrows(() => LazyWatch.transaction(b, () => tx.savepoint()),
+          'locked while a nested transaction runs on one of the instances');
+      });
+      assertEquals(log, [['b', { n: 3 }, 'transaction']],
+        'b committed with the inner transaction, a waits for its outer one');
+    });
+    await wait(10);
+    assertEquals(log, [['b', { n: 3 }, 'transaction'], ['a', { n: 1 }, 'transaction']]);
+  });
+
+  runner.test('multi-instance transactions should validate their targets', async () => {
+    const a = new LazyWatch({ nested: { x: 1 } });
+    const b = new LazyWatch({});
+    assertThrows(() => LazyWatch.transaction([], () => {}), 'empty array');
+    assertThrows(() => LazyWatch.transaction([a, a.nested], () => {}), 'same instance twice');
+    assertThrows(() => LazyWatch.transaction([a, {}], () => {}), 'not a proxy');
+    LazyWatch.dispose(b);
+    let ran = false;
+    assertThrows(() => LazyWatch.transaction([a, b], () => { ran = true; }), 'disposed instance');
+    assertEquals(ran, false);
+    LazyWatch.transaction([a], () => { a.nested.x = 2; });
+    assertEquals(a.nested.x, 2, 'a failed start leaves the other instances usable');
+    LazyWatch.dispose(a);
+  });
+
+  runner.test('a watched array root should be one target, not a list of them', async () => {
+    const list = new LazyWatch([{ n: 1 }, { n: 2 }]);
+    const diffs = [];
+    LazyWatch.on(list, diff => diffs.push(diff));
+    LazyWatch.transaction(list, () => {
+      list[0].n = 10;
+      list.push({ n: 3 });
+    });
+    assertThrows(() => LazyWatch.transaction(list, () => {
+      list[1].n = 20;
+      throw new Error('abort');
+    }));
+    LazyWatch.applyJSONPatch(list, [{ op: 'replace', path: '/1/n', value: 5 }]);
+    await wait(10);
+    assertEquals(LazyWatch.snapshot(list), [{ n: 10 }, { n: 5 }, { n: 3 }]);
+    assertEquals(diffs, [{ 0: { n: 10 }, 2: { n: 3 }, length: 3 }, { 1: { n: 5 } }]);
+    const op = LazyWatch.optimistic(list, () => { list[2].n = 30; });
+    op.revert();
+    assertEquals(list[2].n, 3, 'optimistic takes an array root too');
+    LazyWatch.dispose(list);
+  });
+}
@@ -0,0 +1,88 @@
+// optimistic.test.js - LazyWatch.optimistic: immediate apply, confirm and selective revert
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertThrows, wait, recordBatches } from '../helpers.js';
+
+export default function register(runner) {
+  runner.test('optimistic changes should emit immediately and stay on confirm', async () => {
+    const todos = new LazyWatch({ items: [{ text: 'a', done: false }] });
+    const batches = recordBatches(todos);
+    todos.items[0].text = 'b'; // pending before: flushed first, in its own batch
+    const op = LazyWatch.optimistic(todos, () => { todos.items[0].done = true; });
+    assertEquals(batches, [
+      ['local', { items: { 0: { text: 'b' } } }],
+      ['local', { items: { 0: { done: true } } }]
+    ], 'emitted before optimistic returns');
+    op.confirm();
+    assertThrows(() => op.revert(), 'already confirmed');
+    assertThrows(() => op.confirm(), 'confirm twice');
+    await wait(10);
+    assertEquals(LazyWatch.snapshot(todos), { items: [{ text: 'b', done: true }] });
+    LazyWatch.dispose(todos);
+  });
+
+  runner.test('revert should undo only the operation and keep later changes', async () => {
+    const board = new LazyWatch({ title: 'x', cards: ['a'], owner: { name: 'Ann' } });
+    const batches = recordBatches(board);
+    const op = LazyWatch.optimistic(board, () => {
+      board.title = 'y';
+      board.cards.push('b');
+      board.owner.name = 'Bob';
+    });
+    board.subtitle = 'later'; // unrelated, still pending at revert time
+    assertEquals(op.revert(), { applied: true, conflicts: [] });
+    assertEquals(LazyWatch.snapshot(board),
+      { title: 'x', cards: ['a'], owner: { name: 'Ann' }, subtitle: 'later' });
+    await wait(10);
+    assertEquals(batches.map(([source]) => source), ['local', 'local', 'rollback']);
+    assertThrows(() => op.revert(), 'already reverted');
+    LazyWatch.dispose(board);
+  });
+
+  runner.test('revert should leave paths changed since alone and report them', async () => {
+    const form = new LazyWatch({ user: { name: 'Ann', email: 'a@x' }, tags: ['t'] });
+    const first = LazyWatch.optimistic(form, () => {
+      form.user.name = 'Bob';
+      form.user.email = 'b@x';
+      form.tags.push('u');
+    });
+    const second = LazyWatch.optimistic(form, () => { form.user.email = 'c@x'; });
+    await wait(0);
+    LazyWatch.patch(form, { tags: { 0: 'remote' } }, { origin: 'server' });
+    const result = first.revert();
+    assertEquals(result.applied, true);
+    assertEquals(result.conflicts, [['user', 'email'], ['tags']], 'array fragments are not split');
+    assertEquals(LazyWatch.snapshot(form), { user: { name: 'Ann', email: 'c@x' }, tags: ['remote', 'u'] });
+
+    assertEquals(second.revert(), { applied: true, conflicts: [] });
+    assertEquals(form.user.email, 'b@x', 'the second operation restores what it overwrote');
+
+    const noop = LazyWatch.optimistic(form, () => {});
+    assertEquals(noop.revert(), { applied: false, conflicts: [] });
+    LazyWatch.dispose(form);
+  });
+
+  runner.test('optimistic should be atomic and validate its use', async () => {
+    const doc = new LazyWatch({ n: 0 });
+    const batches = recordBatches(doc);
+    assertThrows(() => LazyWatch.optimistic(doc, () => {
+      doc.n = 1;
+      throw new Error('boom');
+    }));
+    assertEquals(doc.n, 0);
+    assertThrows(() => LazyWatch.optimistic(doc, 'nope'), 'callback must be a function');
+    assertThrows(() => LazyWatch.transaction(doc, () => LazyWatch.optimistic(doc, () => {})),
+      'not inside a transaction');
+    await wait(10);
+    assertEquals(batches, []);
+
+    const inverses = [];
+    LazyWatch.on(doc, (diff, inverse) => inverses.push(inverse));
+    const op = LazyWatch.optimistic(doc, () => { doc.n = 2; });
+    doc.n = 3;
+    await wait(10);
+    assertEquals(inverses, [{ n: 0 }, undefined], 'inverse recording stops once the change is out');
+    LazyWatch.dispose(doc);
+    assertThrows(() => op.revert(), 'disposed');
+    op.confirm(); // settling after disposal is harmless
+  });
+}
@@ -0,0 +1,144 @@
+// origin.test.js - Origin-tagged patch/overwrite: batch splitting, listener metadata, ignoreOrigin
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertThrows, wait } from '../helpers.js';
+
+export default function register(runner) {
+  runner.test('an origin-tagged patch should land in its own batch with the origin as metadata', async () => {
+    const watched = new LazyWatch({ a: 1, b: 1 });
+    const batches = [];
+    LazyWatch.on(watched, (diff, inverse, meta) => batches.push([diff, meta.origin]));
+
+    watched.a = 2;
+    LazyWatch.patch(watched, { b: 2 }, { origin: 'peer-1' });
+    LazyWatch.patch(watched, { c: 1 }, { origin: 'peer-1' });
+    watched.a = 3;
+    await wait(10);
+
+    assertEquals(batches, [
+      [{ a: 2 }, undefined],
+      [{ b: 2, c: 1 }, 'peer-1'],
+      [{ a: 3 }, undefined]
+    ], 'local writes around the patch keep their own batches, in order');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('ignoreOrigin should skip tagged batches without consuming once', async () => {
+    const watched = new LazyWatch({ a: 1 });
+    const sent = [];
+    let onceDiff = null;
+    LazyWatch.on(watched, diff => sent.push(diff), { ignoreOrigin: 'remote' });
+    LazyWatch.once(watched, diff => { onceDiff = diff; }, { ignoreOrigin: 'remote' });
+
+    LazyWatch.patch(watched, { a: 2 }, { origin: 'remote' });
+    await wait(10);
+    assertEquals([sent, onceDiff], [[], null]);
+
+    LazyWatch.overwrite(watched, { a: 2, b: 1 }, { origin: 'other' });
+    watched.c = 1;
+    await wait(10);
+    assertEquals(sent, [{ b: 1 }, { c: 1 }], 'other origins and local writes are delivered');
+    assertEquals(onceDiff, { b: 1 });
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('two mirrors should sync both ways without echo', async () => {
+    const left = new LazyWatch({ n: 0 });
+    const right = new LazyWatch({ n: 0 });
+    let messages = 0;
+    LazyWatch.on(left, diff => {
+      messages++;
+      LazyWatch.patch(right, diff, { origin: 'left' });
+    }, { ignoreOrigin: 'right' });
+    LazyWatch.on(right, diff => {
+      messages++;
+      LazyWatch.patch(left, diff, { origin: 'right' });
+    }, { ignoreOrigin: 'left' });
+
+    left.n = 1;
+    await wait(10);
+    right.n = 2;
+    right.extra = true;
+    await wait(10);
+    await wait(10);
+    assertEquals(LazyWatch.snapshot(left), { n: 2, extra: true });
+    assertEquals(LazyWatch.snapshot(right), { n: 2, extra: true });
+    assertEquals(messages, 2, 'each edit crosses once');
+    LazyWatch.dispose(left);
+    LazyWatch.dispose(right);
+  });
+
+  runner.test('origin batches should keep their inverses and survive pause', async () => {
+    const watched = new LazyWatch({ a: 1, b: 1 }, { inverse: true });
+    const batches = [];
+    LazyWatch.on(watched, (diff, inverse, meta) => batches.push({ diff, inverse, origin: meta.origin }));
+
+    LazyWatch.pause(watched);
+    watched.a = 2;
+    LazyWatch.patch(watched, { a: 5, b: 2 }, { origin: 'x' });
+    watched.b = 3;
+    await wait(10);
+    assertEquals(batches.length, 0, 'paused: nothing emits');
+    LazyWatch.resume(watched);
+    await wait(10);
+
+    assertEquals(batches, [
+      { diff: { a: 2 }, inverse: { a: 1 }, origin: undefined },
+      { diff: { a: 5, b: 2 }, inverse: { a: 2, b: 1 }, origin: 'x' },
+      { diff: { b: 3 }, inverse: { b: 2 }, origin: undefined }
+    ]);
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('undo should treat each origin batch as its own step', async () => {
+    const watched = new LazyWatch({ a: 1, b: 1 });
+    const manager = LazyWatch.createUndoManager(watched);
+    watched.a = 2;
+    LazyWatch.patch(watched, { b: 2 }, { origin: 'remote' });
+    LazyWatch.flush(watched);
+    manager.undo();
+    assertEquals(LazyWatch.snapshot(watched), { a: 2, b: 1 });
+    manager.undo();
+    assertEquals(LazyWatch.snapshot(watched), { a: 1, b: 1 });
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('origin tags should be rejected inside transactions and ignored by silent', async () => {
+    const watched = new LazyWatch({ a: 1 });
+    const origins = [];
+    LazyWatch.on(watched, (diff, inverse, meta) => origins.push(meta.origin));
+
+    LazyWatch.patch(watched, { a: 2 }, { origin: 'remote' });
+    LazyWatch.flush(watched);
+    assertThrows(() => LazyWatch.transaction(watched, () => {
+      watched.a = 3;
+      LazyWatch.patch(watched, { b: 1 }, { origin: 'remote' });
+    }), 'a transaction commits as one batch');
+    assertEquals(LazyWatch.snapshot(watched), { a: 2 }, 'the transaction rolled back');
+
+    LazyWatch.transaction(watched, () => { watched.a = 4; });
+    const diff = LazyWatch.silent(watched, () => {
+      watched.a = 5;
+      LazyWatch.patch(watched, { b: 1 }, { origin: 'remote' });
+    });
+    assertEquals(diff, { a: 5, b: 1 });
+    await wait(10);
+    assertEquals(origins, ['remote', undefined], 'a local transaction after a remote batch is local');
+
+    const plain = { a: 1 };
+    LazyWatch.patch(plain, { a: 2 }, { origin: 'remote' });
+    assertEquals(plain, { a: 2 }, 'normal objects ignore the origin');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('onPath should honor ignoreOrigin', async () => {
+    const watched = new LazyWatch({ todos: [{ done: false }] });
+    const calls = [];
+    LazyWatch.onPath(watched, 'todos.*.done', m => calls.push(m.length), { ignoreOrigin: 'sync' });
+    LazyWatch.patch(watched, { todos: { 0: { done: true } } }, { origin: 'sync' });
+    await wait(10);
+    watched.todos[0].done = false;
+    await wait(10);
+    assertEquals(calls, [1]);
+    LazyWatch.dispose(watched);
+  });
+}
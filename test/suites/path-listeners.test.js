@@ -0,0 +1,207 @@
+// path-listeners.test.js - Glob-pattern listeners (onPath): matching, values, removals, and options
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertThrows, wait } from '../helpers.js';
+
+export default function register(runner) {
+  runner.test('onPath should report every concrete match of a * pattern once per batch', async () => {
+    const app = new LazyWatch({
+      todos: [{ text: 'a', done: false }, { text: 'b', done: false }],
+      meta: { done: false }
+    });
+    const calls = [];
+    LazyWatch.onPath(app, 'todos.*.done', matches => calls.push(matches));
+
+    app.todos[0].done = true;
+    app.todos[1].done = true;
+    app.todos[1].text = 'B';
+    app.meta.done = true;
+    await wait(10);
+
+    assertEquals(calls, [[
+      { path: ['todos', '0', 'done'], value: true },
+      { path: ['todos', '1', 'done'], value: true }
+    ]], 'one callback listing both flags; text and meta.done do not match');
+
+    app.todos[0].text = 'A';
+    await wait(10);
+    assertEquals(calls.length, 1, 'a batch without matches should not call the listener');
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('onPath ** should match at any depth, including zero segments', async () => {
+    const app = new LazyWatch({ done: false, a: { done: false, b: { c: { done: false } } } });
+    let paths = null;
+    LazyWatch.onPath(app, '**.done', matches => { paths = matches.map(m => m.path.join('.')); });
+
+    app.done = true;
+    app.a.b.c.done = true;
+    app.a.b.c.other = 1;
+    await wait(10);
+    assertEquals(paths, ['done', 'a.b.c.done']);
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('onPath should see new elements added wholesale and by push', async () => {
+    const app = new LazyWatch({ todos: [] });
+    let paths = null;
+    LazyWatch.onPath(app, 'todos.*.done', matches => { paths = matches.map(m => m.path.join('.')); });
+
+    app.todos.push({ text: 'x', done: false });
+    await wait(10);
+    assertEquals(paths, ['todos.0.done']);
+
+    const fresh = new LazyWatch({});
+    let values = null;
+    LazyWatch.onPath(fresh, 'list.*.id', matches => { values = matches.map(m => m.value); });
+    fresh.list = [{ id: 1 }, { id: 2 }];
+    await wait(10);
+    assertEquals(values, [1, 2], 'a wholesale array should be walked into');
+    LazyWatch.dispose(app);
+    LazyWatch.dispose(fresh);
+  });
+
+  runner.test('onPath should report old values when the instance records inverses', async () => {
+    const app = new LazyWatch({ todos: [{ done: false }, { done: true }] }, { inverse: true });
+    let matches = null;
+    LazyWatch.onPath(app, 'todos.*.done', m => { matches = m; });
+
+    app.todos[0].done = true;
+    await wait(10);
+    assertEquals(matches, [{ path: ['todos', '0', 'done'], value: true, oldValue: false }]);
+
+    // Truncation only shows up in the inverse: the diff carries just `length`
+    app.todos.pop();
+    await wait(10);
+    assertEquals(matches, [{ path: ['todos', '1', 'done'], value: undefined, oldValue: true }]);
+
+    // Deleting an ancestor reports every removed match with its old value
+    app.todos.push({ done: false });
+    await wait(10);
+    delete app.todos;
+    await wait(10);
+    assertEquals(matches.map(m => [m.path.join('.'), m.oldValue]),
+      [['todos.0.done', true], ['todos.1.done', false]]);
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('onPath old values should cover replaced containers', async () => {
+    const app = new LazyWatch({ user: { name: 'a', tags: ['x', 'y'] } }, { inverse: true });
+    let matches = null;
+    LazyWatch.onPath(app, 'user', m => { matches = m; });
+
+    app.user = { name: 'b', tags: ['x'] };
+    await wait(10);
+    assertEquals(matches, [{
+      path: ['user'],
+      value: { name: 'b', tags: ['x'] },
+      oldValue: { name: 'a', tags: ['x', 'y'] }
+    }]);
+
+    app.user = 'gone';
+    await wait(10);
+    assertEquals(matches[0].oldValue, { name: 'b', tags: ['x'] });
+    assertEquals(matches[0].value, 'gone');
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('onPath without inverse should report literal matches below a deleted ancestor', async () => {
+    const app = new LazyWatch({ todos: [{ done: false }, { done: true }], deep: { x: { done: 1 } } });
+    let paths = null;
+    LazyWatch.onPath(app, 'todos.*.done', m => { paths = m.map(x => x.path.join('.')); });
+    let deep = null;
+    LazyWatch.onPath(app, '**.done', m => { deep = m; });
+
+    delete app.todos[1];
+    await wait(10);
+    assertEquals(paths, ['todos.1.done'], 'a deleted element still matches its literal tail');
+
+    delete app.deep;
+    await wait(10);
+    assertEquals(deep, null, '** cannot enumerate a deleted subtree without the inverse');
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('onPath should treat $splice ranges as touched', async () => {
+    const app = new LazyWatch({ todos: [{ done: false }, { done: true }, { done: false }] });
+    let matches = null;
+    LazyWatch.onPath(app, 'todos.*.done', m => { matches = m; });
+
+    app.todos.splice(1, 1);
+    await wait(10);
+    assertEquals(matches, [
+      { path: ['todos', '1', 'done'], value: false },
+      { path: ['todos', '2', 'done'], value: undefined }
+    ], 'shifted and removed indices should both be reported');
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('onPath on a nested proxy should match and report relative paths', async () => {
+    const app = new LazyWatch({ board: { cols: { a: { title: 'A' }, b: { title: 'B' } } }, other: { title: 'x' } });
+    let matches = null;
+    LazyWatch.onPath(app.board, 'cols.*.title', m => { matches = m; });
+
+    app.board.cols.b.title = 'B2';
+    app.other.title = 'y';
+    await wait(10);
+    assertEquals(matches, [{ path: ['cols', 'b', 'title'], value: 'B2' }]);
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('onPath should accept array patterns for keys containing dots', async () => {
+    const app = new LazyWatch({ hosts: { 'a.example': { up: true } } });
+    let matches = null;
+    LazyWatch.onPath(app, ['hosts', 'a.example', 'up'], m => { matches = m; });
+
+    app.hosts['a.example'].up = false;
+    await wait(10);
+    assertEquals(matches, [{ path: ['hosts', 'a.example', 'up'], value: false }]);
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('onPath values should be copies, not live state', async () => {
+    const app = new LazyWatch({ items: { a: { n: 1 } } });
+    let matches = null;
+    LazyWatch.onPath(app, 'items.*', m => { matches = m; });
+
+    app.items.a.n = 2;
+    await wait(10);
+    matches[0].value.n = 99;
+    assertEquals(app.items.a.n, 2, 'mutating a reported value must not reach the state');
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('onPath should support once, signal, and unsubscribe', async () => {
+    const app = new LazyWatch({ a: 0, b: 0 });
+    let onceCalls = 0;
+    let signalCalls = 0;
+    let stoppedCalls = 0;
+    LazyWatch.onPath(app, 'a', () => onceCalls++, { once: true });
+    const controller = new AbortController();
+    LazyWatch.onPath(app, '*', () => signalCalls++, { signal: controller.signal });
+    const stop = LazyWatch.onPath(app, 'a', () => stoppedCalls++);
+
+    app.b = 1;
+    await wait(10);
+    assertEquals(onceCalls, 0, 'a batch without a match must not consume once');
+
+    app.a = 1;
+    await wait(10);
+    controller.abort();
+    stop();
+    app.a = 2;
+    await wait(10);
+    assertEquals([onceCalls, signalCalls, stoppedCalls], [1, 2, 1]);
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('onPath should reject invalid patterns and listeners', async () => {
+    const app = new LazyWatch({});
+    for (const pattern of ['', [], 'a..b', 'todo*', 42]) {
+      assertThrows(() => LazyWatch.onPath(app, pattern, () => {}),
+        `pattern ${JSON.stringify(pattern)} should be rejected`);
+    }
+    assertThrows(() => LazyWatch.onPath(app, 'a', 'nope'), 'listener must be a function');
+    LazyWatch.dispose(app);
+    assertThrows(() => LazyWatch.onPath(app, 'a', () => {}), 'disposed instance should throw');
+  });
+}
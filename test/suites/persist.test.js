@@ -0,0 +1,129 @@
+// persist.test.js - LazyWatch.persist: restore, save, debounce, versions and migration
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, assertThrows, wait } from '../helpers.js';
+
+/** Run fn with console.error captured; returns the captured messages */
+async function captureErrors(fn) {
+  const errors = [];
+  const original = console.error;
+  console.error = (...args) => errors.push(String(args[0]));
+  try {
+    await fn();
+  } finally {
+    console.error = original;
+  }
+  return errors;
+}
+
+export default function register(runner) {
+  runner.test('persist should restore silently and save every batch', async () => {
+    const storage = new Map([['todos', JSON.stringify({ state: { items: ['a'], done: 1 } })]]);
+    const watched = new LazyWatch({ items: [], filter: 'all' });
+    const batches = [];
+    LazyWatch.on(watched, diff => batches.push(diff));
+
+    const handle = LazyWatch.persist(watched, { storage, key: 'todos' });
+    assertTrue(handle.restored);
+    assertEquals(LazyWatch.snapshot(watched), { items: ['a'], done: 1 }, 'overwrite semantics');
+
+    watched.items.push('b');
+    await wait(10);
+    assertEquals(batches, [{ items: { 1: 'b', length: 2 } }], 'the restore itself is not emitted');
+    assertEquals(JSON.parse(storage.get('todos')), { state: { items: ['a', 'b'], done: 1 } });
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('persist should debounce saves and write pending ones on dispose', async () => {
+    const writes = [];
+    const storage = { getItem: () => null, setItem: (key, value) => writes.push(JSON.parse(value).state) };
+    const watched = new LazyWatch({ count: 0 });
+    const handle = LazyWatch.persist(watched, { storage, key: 'counter', debounce: 30 });
+    assertEquals(handle.restored, false);
+
+    watched.count = 1;
+    await wait(5);
+    watched.count = 2;
+    await wait(5);
+    assertEquals(writes, [], 'nothing saved within the window');
+    await wait(50);
+    assertEquals(writes, [{ count: 2 }], 'one save for the burst');
+
+    watched.count = 3;
+    await wait(5);
+    handle.dispose();
+    handle.dispose();
+    watched.count = 4;
+    await wait(50);
+    assertEquals(writes, [{ count: 2 }, { count: 3 }], 'dispose writes the pending save, then stops');
+    handle.save();
+    assertEquals(writes.length, 2, 'save() after dispose is a no-op');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('persist should migrate records saved under another version', async () => {
+    const storage = new Map([['prefs', JSON.stringify({ version: 1, state: { dark: true } })]]);
+    const watched = new LazyWatch({ theme: 'light' });
+    const calls = [];
+    LazyWatch.persist(watched, {
+      storage, key: 'prefs', version: 2,
+      migrate: (old, oldVersion) => {
+        calls.push(oldVersion);
+        return { theme: old.dark ? 'dark' : 'light' };
+      }
+    });
+    assertEquals([calls, LazyWatch.snapshot(watched)], [[1], { theme: 'dark' }]);
+
+    watched.theme = 'light';
+    await wait(10);
+    assertEquals(JSON.parse(storage.get('prefs')), { version: 2, state: { theme: 'light' } });
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('persist should report unusable records and keep the current state', async () => {
+    const cases = [
+      ['not json', 'garbage{'],
+      ['not a record', JSON.stringify([1, 2])],
+      ['other version without migrate', JSON.stringify({ version: 1, state: { a: 9 } })],
+      ['wrong container kind', JSON.stringify({ version: 2, state: [1] })]
+    ];
+    for (const [label, raw] of cases) {
+      const storage = new Map([['k', raw]]);
+      const watched = new LazyWatch({ a: 1 });
+      let handle;
+      const errors = await captureErrors(() => {
+        handle = LazyWatch.persist(watched, { storage, key: 'k', version: 2 });
+      });
+      assertEquals([handle.restored, LazyWatch.snapshot(watched), errors.length], [false, { a: 1 }, 1], label);
+      LazyWatch.dispose(watched);
+    }
+
+    const failing = { get: () => null, set: () => { throw new Error('quota exceeded'); } };
+    const watched = new LazyWatch({ a: 1 });
+    LazyWatch.persist(watched, { storage: failing, key: 'k' });
+    const errors = await captureErrors(async () => {
+      watched.a = 2;
+      await wait(10);
+    });
+    assertTrue(errors.length === 1 && errors[0].includes('saving'), 'a failed write is reported');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('persist should work on nested proxies and validate its options', async () => {
+    const storage = new Map();
+    const watched = new LazyWatch({ draft: { title: '' }, other: 1 });
+    LazyWatch.persist(watched.draft, { storage, key: 'draft' });
+    watched.other = 2;
+    await wait(10);
+    assertEquals(storage.size, 0, 'batches outside the subtree are not saved');
+    watched.draft.title = 'x';
+    await wait(10);
+    assertEquals(JSON.parse(storage.get('draft')), { state: { title: 'x' } });
+
+    assertThrows(() => LazyWatch.persist(watched, { storage: {}, key: 'k' }), 'storage without get/set');
+    assertThrows(() => LazyWatch.persist(watched, { storage, key: '' }), 'empty key');
+    assertThrows(() => LazyWatch.persist(watched, { storage, key: 'k', debounce: -1 }), 'negative debounce');
+    assertThrows(() => LazyWatch.persist(watched, { storage, key: 'k', migrate: 'v2' }), 'migrate not a function');
+    LazyWatch.dispose(watched);
+    assertThrows(() => LazyWatch.persist(watched, { storage, key: 'k' }), 'disposed instance');
+  });
+}
@@ -0,0 +1,112 @@
+// savepoints.test.js - Nested transactions and tx.savepoint()/tx.rollbackTo()
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, assertThrows, wait, recordBatches } from '../helpers.js';
+
+export default function register(runner) {
+  runner.test('nested transactions should act as savepoints in one outer batch', async () => {
+    const initial = { total: 0, lines: ['a'], meta: { tag: 'x' } };
+    const order = new LazyWatch(initial);
+    const batches = recordBatches(order);
+    const addLine = (line, price) => LazyWatch.transaction(order, () => {
+      order.lines.push(line);
+      order.total += price;
+      if (price < 0) throw new RangeError('negative price');
+    });
+
+    const result = LazyWatch.transaction(order, () => {
+      addLine('b', 5);
+      try {
+        LazyWatch.transaction(order, () => {
+          addLine('c', 7);
+          order.meta = { tag: 'y', extra: true };
+          delete order.lines;
+          throw new Error('abandoned');
+        });
+      } catch (e) {
+        assertEquals(e.message, 'abandoned', 'the inner error reaches the outer callback');
+      }
+      assertThrows(() => addLine('d', -1), 'helper failures still throw');
+      const { total, lines, meta } = LazyWatch.snapshot(order);
+      assertEquals({ total, lines, meta }, { total: 5, lines: ['a', 'b'], meta: { tag: 'x' } });
+      return 'ok';
+    });
+    assertEquals(result, 'ok');
+    await wait(10);
+    assertEquals(batches, [['transaction', { lines: { 1: 'b', length: 2 }, total: 5 }]],
+      'only the surviving changes are emitted, as one batch');
+
+    const mirror = new LazyWatch(initial);
+    LazyWatch.patch(mirror, batches[0][1]);
+    assertEquals(LazyWatch.snapshot(mirror), LazyWatch.snapshot(order));
+  });
+
+  runner.test('an outer failure should roll back committed nested transactions too', async () => {
+    const doc = new LazyWatch({ n: 0, items: [1] });
+    const batches = recordBatches(doc);
+    assertThrows(() => LazyWatch.transaction(doc, () => {
+      doc.n = 1;
+      LazyWatch.transaction(doc, () => { doc.items.push(2); });
+      assertThrows(() => LazyWatch.transaction(doc, () => {
+        doc.items.splice(0, 1);
+        throw new Error('inner');
+      }));
+      throw new Error('outer');
+    }));
+    assertEquals(LazyWatch.snapshot(doc), { n: 0, items: [1] });
+    await wait(10);
+    assertEquals(batches, []);
+  });
+
+  runner.test('explicit savepoints should roll back to a point and stay usable', async () => {
+    const form = new LazyWatch({ name: '', tags: [], address: { city: 'Oslo' } });
+    const manager = LazyWatch.createUndoManager(form);
+    LazyWatch.transaction(form, tx => {
+      form.name = 'Ann';
+      const sp = tx.savepoint();
+      form.tags.push('a', 'b');
+      const inner = tx.savepoint();
+      form.address = null;
+      tx.rollbackTo(sp);
+      assertEquals(LazyWatch.snapshot(form), { name: 'Ann', tags: [], address: { city: 'Oslo' } });
+      assertThrows(() => tx.rollbackTo(inner), 'later savepoints are released');
+      form.tags.push('c');
+      tx.rollbackTo(sp);
+      form.tags.push('d');
+      assertThrows(() => LazyWatch.transaction(form, () => tx.savepoint()),
+        'the outer handle is locked while a nested transaction runs');
+    });
+    assertEquals(LazyWatch.snapshot(form), { name: 'Ann', tags: ['d'], address: { city: 'Oslo' } });
+    LazyWatch.flush(form);
+    manager.undo();
+    assertEquals(LazyWatch.snapshot(form), { name: '', tags: [], address: { city: 'Oslo' } },
+      'the transaction is one undo step with a correct inverse');
+    LazyWatch.dispose(form);
+  });
+
+  runner.test('savepoint handles should reject foreign, released and stale use', async () => {
+    const doc = new LazyWatch({ n: 0 });
+    let outer;
+    let nestedSavepoint;
+    LazyWatch.transaction(doc, tx => {
+      outer = tx;
+      LazyWatch.transaction(doc, inner => { nestedSavepoint = inner.savepoint(); });
+      assertThrows(() => tx.rollbackTo(nestedSavepoint), 'taken by another transaction');
+      assertThrows(() => tx.rollbackTo({}), 'not a savepoint');
+    });
+    assertThrows(() => outer.savepoint(), 'the transaction ended');
+    assertTrue(/ended/.test((() => {
+      try { outer.rollbackTo(nestedSavepoint); } catch (e) { return e.message; }
+    })()));
+
+    // A failing JSON Patch inside a transaction only undoes its own ops
+    LazyWatch.transaction(doc, () => {
+      doc.n = 1;
+      assertThrows(() => LazyWatch.applyJSONPatch(doc, [
+        { op: 'replace', path: '/n', value: 2 },
+        { op: 'test', path: '/n', value: 3 }
+      ]));
+      assertEquals(doc.n, 1);
+    });
+    LazyWatch.dispose(doc);
+  });
+}
@@ -0,0 +1,212 @@
+// sync-session.test.js - createSyncSource/createSyncReplica over an in-memory channel: order, duplicates, gaps, resync
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, assertThrows, wait } from '../helpers.js';
+
+// A synchronous in-memory link between a source side and a replica side.
+// `toReplica` can be swapped to drop, duplicate, or reorder messages; every
+// message is recorded in `log` (after a JSON round trip, like a real wire)
+function createLink() {
+  const handlers = { source: [], replica: [] };
+  const log = [];
+  const deliver = (side, message) => {
+    const wire = JSON.parse(JSON.stringify(message));
+    log.push(wire);
+    handlers[side].forEach(handler => handler(wire));
+  };
+  const link = {
+    log,
+    toReplica: message => deliver('replica', message),
+    source: {
+      send: message => link.toReplica(message),
+      onMessage: handler => {
+        handlers.source.push(handler);
+        return () => handlers.source.splice(handlers.source.indexOf(handler), 1);
+      }
+    },
+    replica: {
+      send: message => deliver('source', message),
+      onMessage: handler => {
+        handlers.replica.push(handler);
+        return () => handlers.replica.splice(handlers.replica.indexOf(handler), 1);
+      }
+    }
+  };
+  link.deliverToReplica = message => deliver('replica', message);
+  return link;
+}
+
+export default function register(runner) {
+  runner.test('a sync replica should follow the source through snapshot and diffs', async () => {
+    const link = createLink();
+    const mirror = new LazyWatch({});
+    const replica = LazyWatch.createSyncReplica(mirror, link.replica);
+    assertEquals(replica.synced, false);
+
+    const state = new LazyWatch({ todos: [], title: 'a' });
+    const source = LazyWatch.createSyncSource(state, link.source);
+    assertEquals(replica.synced, true, 'the source sends a snapshot on creation');
+    assertEquals(LazyWatch.snapshot(mirror), { todos: [], title: 'a' });
+
+    state.todos.push({ text: 'x' });
+    await wait(10);
+    state.title = 'b';
+    state.todos.unshift({ text: 'w' });
+    await wait(10);
+
+    assertEquals(LazyWatch.snapshot(mirror), LazyWatch.snapshot(state));
+    assertEquals([source.seq, replica.seq], [2, 2]);
+    assertEquals(link.log.map(m => [m.type, m.seq]), [['snapshot', 0], ['diff', 1], ['diff', 2]]);
+    source.dispose();
+    replica.dispose();
+    LazyWatch.dispose(state);
+    LazyWatch.dispose(mirror);
+  });
+
+  runner.test('a sync replica should discard redelivered diffs', async () => {
+    const link = createLink();
+    const state = new LazyWatch({ n: 0, list: [] });
+    const mirror = new LazyWatch({});
+    const replica = LazyWatch.createSyncReplica(mirror, link.replica);
+    LazyWatch.createSyncSource(state, link.source);
+    LazyWatch.flush(mirror); // the initial snapshot's batch
+    const applied = [];
+    LazyWatch.on(mirror, diff => applied.push(diff));
+
+    // At-least-once delivery: every message arrives twice
+    link.toReplica = message => {
+      link.deliverToReplica(message);
+      link.deliverToReplica(message);
+    };
+    state.list.push('a');
+    await wait(10);
+    state.n = 1;
+    await wait(10);
+    await wait(10);
+
+    assertEquals(LazyWatch.snapshot(mirror), { n: 1, list: ['a'] }, 'a duplicated push is not applied twice');
+    assertEquals(applied.length, 2);
+    assertEquals(replica.seq, 2);
+    LazyWatch.dispose(state);
+    LazyWatch.dispose(mirror);
+  });
+
+  runner.test('a sync replica should request a snapshot when it detects a gap', async () => {
+    const link = createLink();
+    const state = new LazyWatch({ list: ['a', 'b', 'c'] });
+    const mirror = { };
+    const replica = LazyWatch.createSyncReplica(mirror, link.replica);
+    LazyWatch.createSyncSource(state, link.source);
+
+    let drop = true;
+    const deliver = link.toReplica;
+    link.toReplica = message => {
+      if (drop && message.type === 'diff') {
+        drop = false;
+        return;
+      }
+      deliver(message);
+    };
+    state.list.splice(0, 1); // lost
+    await wait(10);
+    state.list.push('d'); // arrives with a gap: applying it would corrupt the array
+    await wait(10);
+
+    assertEquals(link.log.map(m => m.type), ['snapshot', 'diff', 'resync-request', 'snapshot']);
+    assertEquals(mirror, { list: ['b', 'c', 'd'] }, 'the snapshot repairs the mirror (a plain object here)');
+    assertEquals([replica.synced, replica.seq], [true, 2]);
+
+    state.list.pop();
+    await wait(10);
+    assertEquals(mirror, { list: ['b', 'c'] }, 'diffs continue after the resync');
+    LazyWatch.dispose(state);
+  });
+
+  runner.test('a replica joining mid-stream should request the snapshot it missed', async () => {
+    const link = createLink();
+    const state = new LazyWatch({ a: 1 });
+    LazyWatch.createSyncSource(state, link.source);
+    const mirror = new LazyWatch({ stale: true });
+    LazyWatch.createSyncReplica(mirror, link.replica);
+
+    state.a = 2;
+    await wait(10);
+    assertEquals(LazyWatch.snapshot(mirror), { a: 2 }, 'overwrite drops keys the source does not have');
+    assertEquals(link.log.map(m => m.type), ['snapshot', 'diff', 'resync-request', 'snapshot']);
+    LazyWatch.dispose(state);
+    LazyWatch.dispose(mirror);
+  });
+
+  runner.test('a sync replica should accept a restarted source and ignore stale snapshots', async () => {
+    const link = createLink();
+    const mirror = {};
+    const replica = LazyWatch.createSyncReplica(mirror, link.replica);
+    const first = new LazyWatch({ v: 1 });
+    const source = LazyWatch.createSyncSource(first, link.source);
+    const oldSnapshot = link.log[0];
+    first.v = 2;
+    await wait(10);
+
+    link.deliverToReplica(oldSnapshot);
+    assertEquals(mirror, { v: 2 }, 'a redelivered older snapshot must not roll back');
+
+    source.dispose();
+    const restarted = new LazyWatch({ v: 10 });
+    LazyWatch.createSyncSource(restarted, link.source);
+    assertEquals(mirror, { v: 10 }, 'a new session starts from its own snapshot');
+    assertEquals(replica.seq, 0);
+    LazyWatch.dispose(first);
+    LazyWatch.dispose(restarted);
+  });
+
+  runner.test('sync sources and replicas should stop on dispose', async () => {
+    const link = createLink();
+    const state = new LazyWatch({ a: 1 });
+    const mirror = {};
+    const replica = LazyWatch.createSyncReplica(mirror, link.replica);
+    const source = LazyWatch.createSyncSource(state, link.source);
+    source.dispose();
+    source.dispose();
+    state.a = 2;
+    await wait(10);
+    assertEquals(mirror, { a: 1 });
+    assertThrows(() => source.resync(), 'a disposed source cannot resync');
+
+    replica.dispose();
+    link.deliverToReplica({ type: 'snapshot', session: 'x', seq: 0, data: { b: 1 } });
+    assertEquals(mirror, { a: 1 });
+    assertThrows(() => replica.resync(), 'a disposed replica cannot resync');
+    LazyWatch.dispose(state);
+  });
+
+  runner.test('a sync replica should resync after a diff it cannot apply', async () => {
+    const link = createLink();
+    const state = new LazyWatch({ a: 1 });
+    const mirror = {};
+    const replica = LazyWatch.createSyncReplica(mirror, link.replica);
+    const source = LazyWatch.createSyncSource(state, link.source);
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      link.deliverToReplica({ type: 'diff', session: link.log[0].session, seq: 1, data: 'not a diff' });
+      link.deliverToReplica({ type: 'diff', session: link.log[0].session, seq: 1, data: JSON.parse('{"__proto__": {}}') });
+      link.deliverToReplica({ type: 'unknown' });
+      link.deliverToReplica(null);
+    } finally {
+      console.error = originalError;
+    }
+    assertTrue(replica.synced, 'the requested snapshot arrived');
+    assertEquals(link.log.filter(m => m?.type === 'resync-request').length, 2);
+    assertEquals(source.seq, 0);
+    LazyWatch.dispose(state);
+  });
+
+  runner.test('sync channels should be validated', async () => {
+    const state = new LazyWatch({});
+    assertThrows(() => LazyWatch.createSyncSource(state, {}), 'send and onMessage are required');
+    assertThrows(() => LazyWatch.createSyncReplica({}, { send: () => {} }), 'onMessage is required');
+    assertThrows(() => LazyWatch.createSyncReplica(42, { send: () => {}, onMessage: () => {} }), 'mirror must be a container');
+    LazyWatch.dispose(state);
+    assertThrows(() => LazyWatch.createSyncSource(state, { send: () => {}, onMessage: () => {} }),
+      'a disposed instance cannot be published');
+  });
+}
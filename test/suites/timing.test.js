@@ -309,6 +309,36 @@ export default function register(runner) {
     LazyWatch.dispose(watched);
   });
 
+  runner.test('should compose every pending batch across sources and origins', async () => {
+    const watched = new LazyWatch({ a: 1, b: 1, list: [1, 2], gone: { n: 0 } }, { debounce: 20 });
+    const emitted = [];
+    LazyWatch.on(watched, diff => emitted.push(diff));
+
+    watched.a = 2;
+    LazyWatch.patch(watched, { b: 3 }, { origin: 'x' });
+    watched.list.push(3);
+    delete watched.gone;
+    LazyWatch.patch(watched, { gone: { n: 1 }, list: { 0: 0 } }, { origin: 'y' });
+    const pending = LazyWatch.getPendingDiff(watched);
+    assertEquals(pending, { a: 2, b: 3, list: { 0: 0, 2: 3, length: 3 }, gone: { n: 1 } },
+      'sealed batches are included; a deletion then a new object keeps the current value');
+
+    const mirror = new LazyWatch({ a: 1, b: 1, list: [1, 2], gone: { n: 0 } });
+    LazyWatch.patch(mirror, pending);
+    await wait(40);
+    assertEquals(emitted.length, 4, 'still emitted as separate batches');
+    assertEquals(LazyWatch.snapshot(mirror), LazyWatch.snapshot(watched));
+    assertEquals(LazyWatch.getPendingDiff(watched), {});
+    LazyWatch.dispose(watched);
+    LazyWatch.dispose(mirror);
+
+    const rows = new LazyWatch([1, 2, 3], { debounce: 20 });
+    rows[2] = 4;
+    LazyWatch.patch(rows, { $splice: [[0, 1, []]], length: 2 }, { origin: 'x' });
+    assertEquals(LazyWatch.getPendingDiff(rows), [2, 4], 'an array root falls back to its whole value');
+    LazyWatch.dispose(rows);
+  });
+
   runner.test('should throw error if instance is disposed', () => {
     const data = { count: 0 };
     const watched = new LazyWatch(data);
@@ -0,0 +1,83 @@
+// track-dates.test.js - In-place Date mutations under the trackDates option
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, wait } from '../helpers.js';
+
+const iso = time => new Date(time).toISOString();
+
+export default function register(runner) {
+  runner.test('Date setters should record a replacement of their property', async () => {
+    const state = new LazyWatch({ when: new Date(0), slots: [new Date(1000)] }, { trackDates: true, inverse: true });
+    const batches = [];
+    LazyWatch.on(state, (diff, inverse) => batches.push(JSON.parse(JSON.stringify([diff, inverse]))));
+    const when = state.when;
+    assertTrue(when instanceof Date && when.getTime() === 0 && JSON.stringify(when) === `"${iso(0)}"`);
+    assertEquals(when.setUTCHours(2), 7200000, 'setters return what Date returns');
+    assertEquals(when.getUTCHours(), 2);
+    state.slots[0].setTime(5000);
+    when.setTime(when.getTime()); // unchanged: nothing recorded
+    await wait(10);
+    assertEquals(batches, [[
+      { when: iso(7200000), slots: { 0: iso(5000), length: 1 } },
+      { when: iso(0), slots: { 0: iso(1000), length: 1 } }
+    ]]);
+
+    state.when = new Date(60000);
+    assertTrue(when !== state.when && when.getUTCHours() === 2, 'a held wrapper keeps the Date it was read as');
+    when.setTime(4);
+    assertEquals(state.when.getTime(), 60000, 'and no longer writes a reassigned property');
+    const current = state.when;
+    assertTrue(current === state.when, 'one wrapper per stored Date');
+    LazyWatch.transaction(state, () => {
+      current.setTime(1);
+      assertTrue(current === state.when, 'a setter keeps its wrapper the property\'s wrapper');
+      LazyWatch.transaction(state, tx => {
+        const sp = tx.savepoint();
+        current.setTime(2);
+        tx.rollbackTo(sp);
+      });
+    });
+    assertEquals(state.when.getTime(), 1, 'rollbacks restore the property');
+    assertEquals([String(current), +current, `${current}`], [String(new Date(2)), 2, String(new Date(2))],
+      'conversions run on the wrapped Date');
+    assertTrue(structuredClone(LazyWatch.resolveIfProxy(state.when)).getTime() === 1,
+      'resolveIfProxy gives the real Date for brand-checking APIs');
+    delete state.when;
+    await wait(10);
+    batches.length = 0;
+    when.setTime(3);
+    await wait(10);
+    assertEquals([when.getTime(), batches.length, 'when' in state], [3, 0, false],
+      'once the property is gone the wrapper is a detached value');
+    LazyWatch.dispose(state);
+  });
+
+  runner.test('tracked Dates should stay real Dates in state, diffs and undo', async () => {
+    const state = new LazyWatch({ due: new Date(0), plan: {} }, { trackDates: true });
+    const diffs = [];
+    LazyWatch.on(state, diff => diffs.push(diff));
+    const manager = LazyWatch.createUndoManager(state);
+    state.plan = { start: state.due };
+    LazyWatch.patch(state, { copy: state.due });
+    await wait(10);
+    const raw = LazyWatch.resolveIfProxy(state);
+    assertTrue(LazyWatch.resolveIfProxy(state.due) === raw.due);
+    assertTrue([raw.plan.start, raw.copy].every(date =>
+      Object.getPrototypeOf(date) === Date.prototype && Date.prototype.getTime.call(date) === 0),
+    'wrappers written back store the Date they stand for');
+
+    const stored = raw.due;
+    state.due.setUTCFullYear(2001);
+    await wait(10);
+    assertEquals(stored.getTime(), 0, 'the stored Date is replaced, never changed in place');
+    assertTrue(diffs[2].due instanceof Date && diffs[2].due.getUTCFullYear() === 2001);
+    manager.undo();
+    assertEquals(state.due.getTime(), 0);
+    manager.redo();
+    assertEquals(state.due.getUTCFullYear(), 2001);
+
+    const untracked = new LazyWatch({ due: new Date(0) });
+    assertTrue(LazyWatch.resolveIfProxy(untracked).due === untracked.due, 'opt-in: raw Dates without the option');
+    LazyWatch.dispose(state);
+    LazyWatch.dispose(untracked);
+  });
+}
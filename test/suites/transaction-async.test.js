@@ -0,0 +1,171 @@
+// transaction-async.test.js - LazyWatch.transactionAsync: ownership, rollback and conflicts
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, wait, recordBatches } from '../helpers.js';
+
+/** The error a promise rejects with; fails when it resolves */
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the promise to reject');
+}
+
+export default function register(runner) {
+  runner.test('a resolved async transaction should keep and emit its changes', async () => {
+    const cart = new LazyWatch({ status: 'idle', orderId: null });
+    const batches = recordBatches(cart);
+    const result = await LazyWatch.transactionAsync(cart, async tx => {
+      cart.status = 'saving';
+      await wait(5);
+      tx.run(() => {
+        cart.status = 'saved';
+        cart.orderId = 7;
+      });
+      return 'ok';
+    });
+    await wait(10);
+    assertEquals(result, 'ok');
+    assertEquals(batches, [
+      ['transaction', { status: 'saving' }],
+      ['transaction', { status: 'saved', orderId: 7 }]
+    ], 'intermediate changes emit as they happen');
+  });
+
+  runner.test('a rejected async transaction should roll back only its own changes', async () => {
+    const doc = new LazyWatch({ title: 'a', tags: ['x'], views: 0 });
+    const batches = recordBatches(doc);
+    const failure = new Error('save failed');
+    const error = await rejection(LazyWatch.transactionAsync(doc, async tx => {
+      doc.title = 'b';
+      doc.tags.push('y');
+      await wait(5);
+      tx.run(() => { doc.title = 'c'; });
+      throw failure;
+    }));
+    assertTrue(error === failure, 'the rejection is rethrown');
+    assertEquals(LazyWatch.snapshot(doc), { title: 'a', tags: ['x'], views: 0 });
+    await wait(10);
+    assertEquals(batches.map(([source]) => source), ['transaction', 'transaction', 'rollback']);
+
+    const interleaved = new LazyWatch({ title: 'a', views: 0 });
+    const pending = LazyWatch.transactionAsync(interleaved, async () => {
+      interleaved.title = 'b';
+      interleaved.views = 1;
+      await wait(5);
+      throw failure;
+    });
+    interleaved.views = 5; // other code, while the transaction awaits
+    await rejection(pending);
+    assertEquals(LazyWatch.snapshot(interleaved), { title: 'a', views: 5 },
+      'the interleaved write is kept');
+  });
+
+  runner.test('a transaction nested in tx.run should leave the async transaction its writes', async () => {
+    const doc = new LazyWatch({ a: 1, b: 1 });
+    const batches = recordBatches(doc);
+    const failure = new Error('save failed');
+    await rejection(LazyWatch.transactionAsync(doc, async tx => {
+      await wait(5);
+      tx.run(() => {
+        LazyWatch.transaction(doc, () => { doc.a = 2; });
+        doc.b = 2;
+      });
+      assertEquals(LazyWatch.snapshot(doc), { a: 2, b: 2 });
+      throw failure;
+    }));
+    assertEquals(LazyWatch.snapshot(doc), { a: 1, b: 1 }, 'both writes are rolled back');
+    await wait(10);
+    assertEquals(batches, [
+      ['transaction', { a: 2, b: 2 }],
+      ['rollback', { a: 1, b: 1 }]
+    ]);
+  });
+
+  runner.test('overlapping interleaved writes should be reported as conflicts', async () => {
+    const form = new LazyWatch({ user: { name: 'Ann', email: 'a@x' }, saved: false });
+    const reports = [];
+    const pending = LazyWatch.transactionAsync(form, async () => {
+      form.user.name = 'Bob';
+      form.user.email = 'b@x';
+      form.saved = true;
+      await wait(5);
+      throw new Error('rejected by server');
+    }, { onConflict: conflicts => reports.push(conflicts) });
+    await wait(0);
+    LazyWatch.patch(form, { user: { email: 'c@x' } }, { origin: 'remote' });
+    await rejection(pending);
+    assertEquals(LazyWatch.snapshot(form), { user: { name: 'Ann', email: 'c@x' }, saved: false },
+      'the remote email survives, everything else is reverted');
+    assertEquals(reports, [[['user', 'email']]]);
+
+    const quiet = new LazyWatch({ n: 0 });
+    let called = false;
+    await rejection(LazyWatch.transactionAsync(quiet, async () => {
+      quiet.n = 1;
+      throw new Error('no');
+    }, { onConflict: () => { called = true; } }));
+    assertTrue(!called, 'onConflict only fires when something was skipped');
+  });
+
+  runner.test('hold should defer emission and roll back silently when nothing interleaved', async () => {
+    const draft = new LazyWatch({ text: '' });
+    const batches = recordBatches(draft);
+    await rejection(LazyWatch.transactionAsync(draft, async tx => {
+      draft.text = 'a';
+      await wait(5);
+      tx.run(() => { draft.text = 'ab'; });
+      throw new Error('cancelled');
+    }, { hold: true }));
+    await wait(10);
+    assertEquals([draft.text, batches], ['', []], 'listeners heard nothing');
+    assertTrue(!LazyWatch.isPaused(draft), 'emissions resume afterwards');
+
+    const pending = LazyWatch.transactionAsync(draft, async () => {
+      draft.text = 'done';
+      await wait(5);
+    }, { hold: true });
+    await wait(0);
+    assertEquals(batches, [], 'held while running');
+    await pending;
+    await wait(10);
+    assertEquals(batches, [['transaction', { text: 'done' }]]);
+
+    LazyWatch.pause(draft);
+    await LazyWatch.transactionAsync(draft, async () => { draft.text = 'x'; }, { hold: true });
+    assertTrue(LazyWatch.isPaused(draft), 'an explicit pause is left alone');
+    LazyWatch.dispose(draft);
+  });
+
+  runner.test('async transactions should validate their arguments and settle cleanly', async () => {
+    const doc = new LazyWatch({ n: 0 });
+    assertTrue(await rejection(LazyWatch.transactionAsync(doc, 'nope')) instanceof TypeError);
+    assertTrue(await rejection(LazyWatch.transactionAsync(doc, async () => {}, { onConflict: 1 }))
+      instanceof TypeError);
+    const nested = await rejection(new Promise((resolve, reject) => {
+      LazyWatch.transaction(doc, () => {
+        LazyWatch.transactionAsync(doc, async () => {}).then(resolve, reject);
+      });
+    }));
+    assertTrue(/inside LazyWatch.transaction/.test(nested.message), nested.message);
+
+    let tx;
+    await LazyWatch.transactionAsync(doc, async handle => { tx = handle; });
+    assertTrue(/settled/.test((await rejection(Promise.resolve().then(() => tx.run(() => {})))).message));
+
+    const inverses = [];
+    LazyWatch.on(doc, (diff, inverse) => inverses.push(inverse));
+    doc.n = 1;
+    await wait(10);
+    assertEquals(inverses, [undefined], 'inverse recording was switched back off');
+
+    const disposing = LazyWatch.transactionAsync(doc, async () => {
+      doc.n = 2;
+      await wait(5);
+      throw new Error('late');
+    });
+    LazyWatch.dispose(doc);
+    assertEquals((await rejection(disposing)).message, 'late', 'disposal skips the rollback');
+  });
+}
@@ -0,0 +1,85 @@
+// undo-budget.test.js - UndoManager maxBytes budget and stats()
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, assertThrows, step } from '../helpers.js';
+
+const table = rows => Array.from({ length: rows }, (_, i) => ({ id: i, name: `row ${i}` }));
+
+export default function register(runner) {
+  runner.test('stats should report retained steps and their estimated size', async () => {
+    const doc = new LazyWatch({ n: 0, rows: [] });
+    const manager = LazyWatch.createUndoManager(doc);
+    assertEquals(manager.stats(), { steps: 0, bytes: 0 });
+    step(doc, () => { doc.n = 1; });
+    const small = manager.stats();
+    assertEquals(small, { steps: 1, bytes: JSON.stringify([{ diff: { n: 1 }, inverse: { n: 0 } }]).length });
+    step(doc, () => { doc.rows = table(100); });
+    const large = manager.stats();
+    assertTrue(large.steps === 2 && large.bytes > small.bytes + 2000, 'the import dominates');
+    manager.undo();
+    assertEquals(manager.stats(), large, 'redo steps are retained too');
+    manager.clear();
+    assertEquals(manager.stats(), { steps: 0, bytes: 0 });
+    LazyWatch.dispose(doc);
+  });
+
+  runner.test('maxBytes should drop the oldest steps once over budget', async () => {
+    const doc = new LazyWatch({ n: 0, rows: [] });
+    const manager = LazyWatch.createUndoManager(doc, { maxBytes: 1000 });
+    for (let n = 1; n <= 5; n++) step(doc, () => { doc.n = n; });
+    assertEquals(manager.stats().steps, 5);
+
+    step(doc, () => { doc.rows = table(20); });
+    let stats = manager.stats();
+    assertTrue(stats.bytes <= 1000, `within budget (${stats.bytes})`);
+    assertTrue(stats.steps < 6, 'old steps were dropped');
+    assertTrue(manager.undo(), 'the import itself is undoable');
+    assertEquals(doc.rows, []);
+    manager.redo();
+
+    step(doc, () => { doc.rows = table(200); });
+    stats = manager.stats();
+    assertEquals(stats.steps, 1, 'a step over the whole budget is kept alone');
+    assertTrue(manager.undo() && !manager.canUndo);
+    assertEquals(doc.rows.length, 20);
+    LazyWatch.dispose(doc);
+  });
+
+  runner.test('the running byte total should stay exact across merges, branches and prunes', async () => {
+    const doc = new LazyWatch({ text: '', rows: [] });
+    const manager = LazyWatch.createUndoManager(doc, { maxBytes: 3000, coalesce: 10000, mode: 'tree' });
+    const measured = () => manager.serialize().nodes
+      .reduce((bytes, node) => bytes + (node.segments ? JSON.stringify(node.segments).length : 0), 0);
+    const exact = message => assertEquals(manager.stats().bytes, measured(), message);
+    for (let i = 0; i < 5; i++) step(doc, () => { doc.text += 'abcde'; });
+    exact('merged into one step');
+    manager.checkpoint();
+    step(doc, () => { doc.rows = table(10); });
+    manager.undo();
+    step(doc, () => { doc.text = 'branch'; });
+    exact('a second branch');
+    manager.checkpoint();
+    step(doc, () => { doc.rows = table(70); });
+    assertTrue(manager.stats().steps === 1 && manager.stats().bytes <= 3000, 'pruned');
+    exact('after pruning');
+    manager.clear();
+    exact('after clear');
+    LazyWatch.dispose(doc);
+  });
+
+  runner.test('maxBytes should count coalesced merges and validate its value', async () => {
+    const doc = new LazyWatch({ text: '', other: 0 });
+    const manager = LazyWatch.createUndoManager(doc, { maxBytes: 400, coalesce: 10000 });
+    step(doc, () => { doc.other = 1; });
+    manager.checkpoint();
+    for (let i = 0; i < 40; i++) step(doc, () => { doc.text += 'abcdefghij'; });
+    assertEquals(manager.stats().steps, 1, 'the growing typing step pushed the older one out');
+    manager.undo();
+    assertEquals(LazyWatch.snapshot(doc), { text: '', other: 1 });
+
+    assertThrows(() => LazyWatch.createUndoManager(doc, { maxBytes: 0 }), 'zero');
+    assertThrows(() => LazyWatch.createUndoManager(doc, { maxBytes: '1MB' }), 'not a number');
+    manager.dispose();
+    assertEquals(manager.stats(), { steps: 0, bytes: 0 });
+    LazyWatch.dispose(doc);
+  });
+}
@@ -0,0 +1,80 @@
+// undo-goto.test.js - UndoManager.goTo(index): multi-step jumps as one batch
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, assertThrows, wait, step } from '../helpers.js';
+
+export default function register(runner) {
+  runner.test('goTo should cross many steps in one composed batch', async () => {
+    const doc = new LazyWatch({ text: '', size: 0 });
+    const manager = LazyWatch.createUndoManager(doc);
+    for (const text of ['a', 'ab', 'abc', 'abcd']) {
+      step(doc, () => {
+        doc.text = text;
+        doc.size = text.length;
+      });
+    }
+    const batches = [];
+    LazyWatch.on(doc, (diff, inverse, meta) => batches.push([diff, meta.source]));
+    const writes = [];
+    LazyWatch.onPath(doc, 'text', matches => writes.push(matches[0].value));
+
+    assertTrue(manager.goTo(1));
+    assertEquals(LazyWatch.snapshot(doc), { text: 'a', size: 1 });
+    assertEquals([manager.undoStack.length, manager.redoStack.length], [1, 3]);
+    assertEquals(manager.goTo(1), false, 'already there');
+    manager.goTo(4);
+    assertEquals(LazyWatch.snapshot(doc), { text: 'abcd', size: 4 });
+    manager.goTo(0);
+    assertTrue(!manager.canUndo);
+    await wait(10);
+    assertEquals(batches, [
+      [{ text: 'a', size: 1 }, 'undo'],
+      [{ text: 'abcd', size: 4 }, 'redo'],
+      [{ text: '', size: 0 }, 'undo']
+    ], 'one batch per jump');
+    assertEquals(writes, ['a', 'abcd', ''], 'no intermediate states are observed');
+
+    manager.goTo(2);
+    step(doc, () => { doc.text = 'X'; });
+    assertTrue(!manager.canRedo, 'a change after a jump clears the redo stack');
+    assertEquals(manager.undoStack.length, 3);
+    LazyWatch.dispose(doc);
+  });
+
+  runner.test('goTo should fall back to sequential application when composition throws', async () => {
+    const doc = new LazyWatch({ item: { a: 1 } });
+    const manager = LazyWatch.createUndoManager(doc);
+    step(doc, () => { doc.item = null; });
+    step(doc, () => { doc.item = { b: 2 }; }); // an object diff after a deletion doesn't compose
+    step(doc, () => { doc.item.c = 3; });
+    manager.goTo(0);
+
+    const batches = [];
+    LazyWatch.on(doc, diff => batches.push(diff));
+    manager.goTo(3);
+    assertEquals(LazyWatch.snapshot(doc), { item: { b: 2, c: 3 } });
+    await wait(10);
+    assertEquals(batches.length, 1, 'still one batch');
+    const mirror = { item: { a: 1 } };
+    LazyWatch.patch(mirror, batches[0]);
+    assertEquals(mirror, { item: { b: 2, c: 3 } }, 'the batch brings mirrors to the same state');
+    manager.goTo(1);
+    assertTrue(!('item' in doc), 'null assignment deletes');
+    LazyWatch.dispose(doc);
+  });
+
+  runner.test('goTo should validate linear history indexes', async () => {
+    const doc = new LazyWatch({ n: 0 });
+    const manager = LazyWatch.createUndoManager(doc, { limit: 2 });
+    step(doc, () => { doc.n = 1; });
+    step(doc, () => { doc.n = 2; });
+    step(doc, () => { doc.n = 3; });
+    manager.goTo(0);
+    assertEquals(doc.n, 1, 'index 0 is the oldest retained state');
+    for (const index of [-1, 3, 1.5, '1']) {
+      assertThrows(() => manager.goTo(index), JSON.stringify(index));
+    }
+    manager.dispose();
+    assertThrows(() => manager.goTo(0), 'disposed');
+    LazyWatch.dispose(doc);
+  });
+}
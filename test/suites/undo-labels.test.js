@@ -0,0 +1,118 @@
+// undo-labels.test.js - Step labels and metadata, undoStack/redoStack views, 'change' events
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, assertThrows, wait, step } from '../helpers.js';
+
+/** The stack entries without their timestamps */
+const view = stack => stack.map(({ id, label, meta, paths }) => ({ id, label, meta, paths }));
+
+export default function register(runner) {
+  runner.test('group and label should attach labels and metadata to steps', async () => {
+    const table = new LazyWatch({ columns: { a: { name: 'A' } }, rows: [] });
+    const manager = LazyWatch.createUndoManager(table);
+
+    manager.group(() => {
+      table.columns.a.name = 'Amount';
+      LazyWatch.flush(table);
+      table.rows.push({ a: 1 });
+    }, { label: 'Rename column', meta: { column: 'a' } });
+    table.rows[0].a = 2;
+    manager.label('Edit cell');
+
+    assertEquals(view(manager.undoStack), [
+      { id: 1, label: 'Rename column', meta: { column: 'a' }, paths: [['columns', 'a', 'name'], ['rows', '0', 'a'], ['rows', 'length']] },
+      { id: 2, label: 'Edit cell', paths: [['rows', '0', 'a']] }
+    ]);
+    assertTrue(Object.isFrozen(manager.undoStack) && Object.isFrozen(manager.undoStack[0]), 'read-only views');
+
+    manager.undo();
+    manager.undo();
+    assertEquals(manager.redoStack.map(entry => entry.label), ['Edit cell', 'Rename column'],
+      'the top of the redo stack is last');
+    assertEquals(manager.undoStack, []);
+    LazyWatch.dispose(table);
+  });
+
+  runner.test('label inside a group should label the group step, even before it records', async () => {
+    const doc = new LazyWatch({ n: 0 });
+    const manager = LazyWatch.createUndoManager(doc);
+    manager.group(() => {
+      manager.label('Early');
+      doc.n = 1;
+    }, { label: 'Default' });
+    manager.group(() => {
+      step(doc, () => { doc.n = 2; });
+      manager.label('Late');
+    });
+    manager.group(() => {
+      manager.label('Nothing recorded');
+    });
+    assertEquals(manager.undoStack.map(entry => entry.label), ['Early', 'Late']);
+
+    assertThrows(() => manager.label(42), 'labels are strings');
+    assertThrows(() => manager.group(() => {}, { label: {} }), 'group labels are strings');
+    manager.clear();
+    assertThrows(() => manager.label('x'), 'no step to label');
+    LazyWatch.dispose(doc);
+  });
+
+  runner.test('change listeners should fire whenever either stack changes', async () => {
+    const doc = new LazyWatch({ text: '' });
+    const manager = LazyWatch.createUndoManager(doc, { mode: 'tree' });
+    let changes = 0;
+    const stop = manager.on('change', () => changes++);
+
+    step(doc, () => { doc.text = 'a'; });
+    assertEquals(changes, 1, 'recorded');
+    manager.label('Type');
+    manager.undo();
+    manager.redo();
+    manager.undo();
+    assertEquals(changes, 5, 'labelled, undone, redone, undone');
+    step(doc, () => { doc.text = 'b'; });
+    manager.undo();
+    manager.switchBranch(0);
+    manager.goTo(1);
+    manager.clear();
+    assertEquals(changes, 10);
+    manager.undo();
+    assertEquals(changes, 10, 'nothing to undo: no change');
+
+    const timestamp = Date.now();
+    step(doc, () => { doc.text = 'c'; });
+    assertTrue(manager.undoStack[0].timestamp >= timestamp);
+    stop();
+    stop();
+    step(doc, () => { doc.text = 'd'; });
+    assertEquals(changes, 11);
+
+    const errors = [];
+    const original = console.error;
+    console.error = message => errors.push(message);
+    const stopFailing = manager.on('change', () => { throw new Error('boom'); });
+    try {
+      step(doc, () => { doc.text = 'e'; });
+    } finally {
+      console.error = original;
+      stopFailing();
+    }
+    assertEquals(errors.length, 1, 'listener errors are reported, not thrown');
+    assertThrows(() => manager.on('update', () => {}), 'unknown event');
+    assertThrows(() => manager.on('change'), 'listener must be a function');
+    LazyWatch.dispose(doc);
+  });
+
+  runner.test('labels and metadata should survive serialize', async () => {
+    const first = new LazyWatch({ n: 0 });
+    const manager = LazyWatch.createUndoManager(first);
+    manager.group(() => { first.n = 1; }, { label: 'Set', meta: { by: 'me' } });
+    const before = manager.undoStack;
+    const history = JSON.parse(JSON.stringify(manager.serialize()));
+    LazyWatch.dispose(first);
+
+    const second = new LazyWatch({ n: 1 });
+    const restored = LazyWatch.createUndoManager(second, { history });
+    assertEquals(restored.undoStack, before);
+    LazyWatch.dispose(second);
+    await wait(0);
+  });
+}
@@ -210,10 +210,8 @@ export default function register(runner) {
     LazyWatch.dispose(watched);
   });
 
-  runner.test('undo manager should reject nested proxies and bad limits', () => {
+  runner.test('undo manager should reject bad limits', () => {
     const watched = new LazyWatch({ sub: { n: 0 } });
-    assertThrows(() => LazyWatch.createUndoManager(watched.sub),
-      'nested proxies should be rejected');
     assertThrows(() => LazyWatch.createUndoManager(watched, { limit: 0 }),
       'limit 0 should be rejected');
     assertThrows(() => LazyWatch.createUndoManager(watched, { limit: 2.5 }),
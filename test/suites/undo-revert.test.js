@@ -0,0 +1,87 @@
+// undo-revert.test.js - Selective undo: UndoManager.revert(stepIndex)
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, assertThrows, wait, step } from '../helpers.js';
+
+export default function register(runner) {
+  runner.test('revert should undo one past step and keep the steps after it', async () => {
+    const shape = new LazyWatch({ color: 'red', size: 1, label: '' });
+    const manager = LazyWatch.createUndoManager(shape);
+    step(shape, () => { shape.color = 'blue'; });
+    step(shape, () => { shape.size = 2; });
+    step(shape, () => { shape.label = 'hi'; });
+
+    const batches = [];
+    LazyWatch.on(shape, (diff, inverse, meta) => batches.push([diff, meta.source]));
+    const report = manager.revert(0);
+    assertEquals(report, { applied: true, conflicts: [] });
+    assertEquals(LazyWatch.snapshot(shape), { color: 'red', size: 2, label: 'hi' });
+    await wait(10);
+    assertEquals(batches, [[{ color: 'red' }, 'undo']]);
+
+    assertEquals(manager.undoStack.length, 4, 'the revert is a new step');
+    manager.undo();
+    assertEquals(shape.color, 'blue', 'and can itself be undone');
+    LazyWatch.dispose(shape);
+  });
+
+  runner.test('revert should skip and report paths later steps touched', async () => {
+    const doc = new LazyWatch({ style: { color: 'red', width: 1 }, items: ['a'], title: 'x' });
+    const manager = LazyWatch.createUndoManager(doc);
+    step(doc, () => {
+      doc.style.color = 'blue';
+      doc.style.width = 2;
+      doc.items.push('b');
+      doc.title = 'y';
+    });
+    step(doc, () => { doc.style.color = 'green'; });
+    step(doc, () => { doc.items[0] = 'A'; });
+
+    const report = manager.revert(0);
+    assertEquals(report.conflicts, [['style', 'color'], ['items']]);
+    assertEquals(LazyWatch.snapshot(doc), { style: { color: 'green', width: 1 }, items: ['A', 'b'], title: 'x' },
+      'arrays are reverted whole or not at all');
+
+    step(doc, () => {
+      doc.style.width = 5;
+      doc.title = 'z';
+    });
+    const length = manager.undoStack.length;
+    assertEquals(manager.revert(length - 2), { applied: false, conflicts: [['style', 'width'], ['title']] },
+      'the revert itself touched width and title, both changed since');
+    assertEquals(manager.undoStack.length, length, 'nothing left to apply: no step is recorded');
+    LazyWatch.dispose(doc);
+  });
+
+  runner.test('revert with onConflict throw should apply nothing', async () => {
+    const doc = new LazyWatch({ a: 1, b: 1 });
+    const manager = LazyWatch.createUndoManager(doc);
+    step(doc, () => {
+      doc.a = 2;
+      doc.b = 2;
+    });
+    doc.a = 3; // pending: flushed into a step first
+    assertThrows(() => manager.revert(0, { onConflict: 'throw' }), 'a was changed later');
+    assertEquals(LazyWatch.snapshot(doc), { a: 3, b: 2 });
+    assertEquals(manager.revert(1, { onConflict: 'throw' }).applied, true, 'the newest step never conflicts');
+    assertEquals(doc.a, 2);
+
+    assertThrows(() => manager.revert(5), 'out of range');
+    assertThrows(() => manager.revert(0, { onConflict: 'merge' }), 'unknown option');
+    manager.dispose();
+    assertThrows(() => manager.revert(0), 'disposed');
+    LazyWatch.dispose(doc);
+  });
+
+  runner.test('revert should work in scoped managers and deleted subtrees', async () => {
+    const app = new LazyWatch({ panel: { form: { name: 'a', notes: { text: '' } } }, other: 0 });
+    const manager = LazyWatch.createUndoManager(app.panel);
+    step(app, () => { app.panel.form.notes.text = 'draft'; });
+    step(app, () => { app.panel.form.name = 'b'; });
+    step(app, () => { delete app.panel.form.notes; });
+
+    assertEquals(manager.revert(0).conflicts, [['form', 'notes']], 'the subtree was deleted later');
+    manager.revert(2);
+    assertEquals(LazyWatch.snapshot(app.panel), { form: { name: 'b', notes: { text: 'draft' } } });
+    LazyWatch.dispose(app);
+  });
+}
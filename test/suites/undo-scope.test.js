@@ -0,0 +1,107 @@
+// undo-scope.test.js - Undo managers scoped to nested subtrees
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, assertThrows, wait, step } from '../helpers.js';
+
+export default function register(runner) {
+  runner.test('scoped managers should record and undo only their subtree', async () => {
+    const app = new LazyWatch({ panels: { a: { text: '' }, b: { text: '' } }, sidebar: true });
+    const a = LazyWatch.createUndoManager(app.panels.a);
+    const b = LazyWatch.createUndoManager(app.panels.b);
+
+    step(app, () => {
+      app.panels.a.text = 'A';
+      app.panels.b.text = 'B';
+      app.sidebar = false;
+    });
+    step(app, () => { app.panels.a.text = 'AA'; });
+    app.sidebar = true;
+    await wait(10);
+
+    assertTrue(a.undo());
+    assertEquals(LazyWatch.snapshot(app), { panels: { a: { text: 'A' }, b: { text: 'B' } }, sidebar: true });
+    assertTrue(b.undo());
+    assertTrue(!b.canUndo, 'the other batches never touched b');
+    assertEquals(LazyWatch.snapshot(app), { panels: { a: { text: 'A' }, b: { text: '' } }, sidebar: true },
+      'undoing the shared batch in b leaves a and the sidebar alone');
+    assertTrue(a.undo() && !a.canUndo);
+    assertEquals(app.panels.a.text, '');
+    b.redo();
+    assertEquals([app.panels.a.text, app.panels.b.text], ['', 'B']);
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('a scoped manager should restore its subtree after the subtree is deleted', async () => {
+    const app = new LazyWatch({ docs: { x: { title: 'x', tags: [] } } });
+    const manager = LazyWatch.createUndoManager(app.docs.x);
+    step(app, () => { app.docs.x.tags.push('draft'); });
+    step(app, () => { app.docs = {}; });
+
+    const batches = [];
+    LazyWatch.on(app, (diff, inverse, meta) => batches.push(meta.source));
+    assertTrue(manager.undo());
+    assertEquals(LazyWatch.snapshot(app), { docs: { x: { title: 'x', tags: ['draft'] } } });
+    manager.undo();
+    assertEquals(app.docs.x.tags, []);
+    manager.redo();
+    manager.redo();
+    assertEquals(LazyWatch.snapshot(app), { docs: {} });
+    await wait(10);
+    assertEquals(batches, ['undo', 'undo', 'redo', 'redo']);
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('a scoped manager should see its array element truncated away', async () => {
+    const app = new LazyWatch({ docs: [{ title: 'x' }] });
+    const manager = LazyWatch.createUndoManager(app.docs[0]);
+    const seen = [];
+    LazyWatch.on(app.docs[0], diff => seen.push(diff));
+    step(app, () => { app.docs.length = 0; });
+    assertTrue(manager.undo());
+    assertEquals(LazyWatch.snapshot(app), { docs: [{ title: 'x' }] });
+    await wait(10);
+    assertEquals(seen, [null, { title: 'x' }], 'nested listeners see the removal as a deletion');
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('canUndo should only count pending changes inside the scope', async () => {
+    const app = new LazyWatch({ doc: { n: 0 }, other: 0 });
+    const manager = LazyWatch.createUndoManager(app.doc);
+    app.other = 1;
+    assertTrue(!manager.canUndo, 'a pending change elsewhere');
+    app.doc.n = 1;
+    assertTrue(manager.canUndo, 'a pending change in the scope');
+    await wait(10);
+    app.doc = { n: 2 };
+    await wait(10);
+    manager.undo();
+    manager.undo();
+    assertEquals(LazyWatch.snapshot(app), { doc: { n: 0 }, other: 1 });
+
+    // Serialized history is fingerprinted against the subtree only
+    step(app, () => { app.doc.n = 3; });
+    const history = manager.serialize();
+    manager.dispose();
+    app.other = 99;
+    const restored = LazyWatch.createUndoManager(app.doc, { history });
+    restored.undo();
+    assertEquals(app.doc.n, 0);
+    LazyWatch.dispose(app);
+  });
+
+  runner.test('overlapping scopes should be rejected', async () => {
+    const app = new LazyWatch({ panels: { a: { n: 0 }, ab: { n: 0 } } });
+    const a = LazyWatch.createUndoManager(app.panels.a);
+    assertThrows(() => LazyWatch.createUndoManager(app.panels.a), 'same scope');
+    assertThrows(() => LazyWatch.createUndoManager(app.panels), 'ancestor scope');
+    assertThrows(() => LazyWatch.createUndoManager(app), 'root scope');
+    LazyWatch.createUndoManager(app.panels.ab); // a sibling sharing a key prefix
+    a.dispose();
+    const root = new LazyWatch({ sub: { n: 0 } });
+    LazyWatch.createUndoManager(root);
+    assertThrows(() => LazyWatch.createUndoManager(root.sub), 'below a root manager');
+    LazyWatch.dispose(root);
+
+    LazyWatch.dispose(app);
+    assertThrows(() => LazyWatch.createUndoManager(app.panels), 'disposed instance');
+  });
+}
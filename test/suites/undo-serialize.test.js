@@ -0,0 +1,167 @@
+// undo-serialize.test.js - UndoManager.serialize() and the createUndoManager history option
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, assertThrows, wait, step } from '../helpers.js';
+
+/** Serialize through JSON, as storage would */
+const roundTrip = manager => JSON.parse(JSON.stringify(manager.serialize()));
+
+export default function register(runner) {
+  runner.test('serialized history should restore both stacks after a reload', async () => {
+    const first = new LazyWatch({ title: '', tags: [] });
+    const manager = LazyWatch.createUndoManager(first);
+    step(first, () => { first.title = 'a'; });
+    step(first, () => { first.tags.push('x'); });
+    step(first, () => { first.title = 'b'; });
+    manager.undo();
+    first.tags.push('pending'); // flushed and recorded by serialize()
+    const history = roundTrip(manager);
+    const saved = LazyWatch.snapshot(first);
+    LazyWatch.dispose(first);
+
+    const second = new LazyWatch(saved);
+    const restored = LazyWatch.createUndoManager(second, { history });
+    assertTrue(restored.canUndo && !restored.canRedo, 'the pending change cleared the redo stack');
+    restored.undo();
+    assertEquals(LazyWatch.snapshot(second), { title: 'a', tags: ['x'] });
+    restored.undo();
+    restored.undo();
+    assertEquals(LazyWatch.snapshot(second), { title: '', tags: [] });
+    assertTrue(!restored.canUndo);
+    restored.redo();
+    restored.redo();
+    restored.redo();
+    assertEquals(LazyWatch.snapshot(second), saved);
+
+    second.title = 'c';
+    await wait(10);
+    restored.undo();
+    assertEquals(second.title, 'a', 'new steps record on top of the restored ones');
+    LazyWatch.dispose(second);
+  });
+
+  runner.test('serialized history should bring back Dates, RegExps and codec values exactly', async () => {
+    class Cents {
+      constructor(n) { this.n = n; }
+    }
+    const unregister = LazyWatch.registerCodec({
+      name: 'Cents', test: v => v instanceof Cents, encode: c => c.n, decode: n => new Cents(n)
+    });
+    try {
+      const first = new LazyWatch({ due: new Date(1000), price: new Cents(1), match: /a/g });
+      const manager = LazyWatch.createUndoManager(first);
+      step(first, () => {
+        first.due = new Date(2000);
+        first.price = new Cents(2);
+        first.match = /b/i;
+      });
+      const history = roundTrip(manager);
+      assertEquals(history.nodes[1].segments[0].inverse, {
+        due: { $type: 'Date', v: 1000 }, price: { $type: 'Cents', v: 1 }, match: { $type: 'RegExp', v: ['a', 'g'] }
+      });
+      const second = new LazyWatch(LazyWatch.snapshot(first));
+      const restored = LazyWatch.createUndoManager(second, { history });
+      restored.undo();
+      assertTrue(second.due instanceof Date && second.due.getTime() === 1000, 'undo writes a Date');
+      assertTrue(second.price instanceof Cents && second.price.n === 1, 'undo writes the codec value');
+      assertTrue(second.match instanceof RegExp && second.match.flags === 'g');
+      restored.redo();
+      assertTrue(second.due.getTime() === 2000 && second.price.n === 2 && second.match.source === 'b');
+      LazyWatch.dispose(first);
+      LazyWatch.dispose(second);
+    } finally {
+      unregister();
+    }
+  });
+
+  runner.test('restoring onto a different state should throw and leave the instance clean', async () => {
+    const first = new LazyWatch({ a: 1, b: 2 });
+    const manager = LazyWatch.createUndoManager(first);
+    step(first, () => { first.a = 3; });
+    const history = roundTrip(manager);
+    LazyWatch.dispose(first);
+
+    const reordered = new LazyWatch({ b: 2, a: 3 });
+    LazyWatch.createUndoManager(reordered, { history }).dispose();
+    LazyWatch.dispose(reordered);
+
+    const changed = new LazyWatch({ a: 4, b: 2 });
+    assertThrows(() => LazyWatch.createUndoManager(changed, { history }), 'fingerprint mismatch');
+    const inverses = [];
+    LazyWatch.on(changed, (diff, inverse) => inverses.push(inverse));
+    changed.a = 5;
+    await wait(10);
+    assertEquals(inverses, [undefined], 'inverse recording was switched back off');
+    LazyWatch.createUndoManager(changed).dispose();
+    LazyWatch.dispose(changed);
+  });
+
+  runner.test('tree histories should keep branches, ids and the selected branch', async () => {
+    const first = new LazyWatch({ n: 0 });
+    const manager = LazyWatch.createUndoManager(first, { mode: 'tree' });
+    step(first, () => { first.n = 1; });
+    step(first, () => { first.n = 2; });
+    manager.undo();
+    step(first, () => { first.n = 3; });
+    manager.undo();
+    manager.switchBranch(0);
+    const branches = manager.branches();
+    const history = roundTrip(manager);
+    LazyWatch.dispose(first);
+
+    const second = new LazyWatch({ n: 1 });
+    const restored = LazyWatch.createUndoManager(second, { history });
+    assertEquals([restored.nodeId, restored.branches()], [1, branches], 'mode comes from the history');
+    restored.redo();
+    assertEquals(second.n, 2);
+    step(second, () => { second.n = 4; });
+    assertEquals(restored.nodeId, 4, 'new nodes continue the numbering');
+    restored.goTo(3);
+    assertEquals(second.n, 3);
+    LazyWatch.dispose(second);
+  });
+
+  runner.test('an open coalescing step should keep merging after a restore', async () => {
+    const first = new LazyWatch({ text: '' });
+    const manager = LazyWatch.createUndoManager(first, { coalesce: 1000 });
+    step(first, () => { first.text = 'a'; });
+    const history = roundTrip(manager);
+    LazyWatch.dispose(first);
+
+    const second = new LazyWatch({ text: 'a' });
+    const restored = LazyWatch.createUndoManager(second, { history, coalesce: 1000 });
+    step(second, () => { second.text = 'ab'; });
+    restored.undo();
+    assertEquals(second.text, '', 'the keystrokes form one step');
+    assertTrue(!restored.canUndo);
+    LazyWatch.dispose(second);
+  });
+
+  runner.test('malformed histories should be rejected', async () => {
+    const doc = new LazyWatch({ n: 0 });
+    const manager = LazyWatch.createUndoManager(doc);
+    step(doc, () => { doc.n = 1; });
+    const history = roundTrip(manager);
+    manager.dispose();
+
+    const broken = [
+      null,
+      { ...history, format: 'other' },
+      { ...history, nodes: [] },
+      { ...history, current: 99 },
+      { ...history, nodes: [history.nodes[0], { ...history.nodes[1], parent: 42 }] },
+      { ...history, nodes: [history.nodes[0], { ...history.nodes[1], segments: [] }] },
+      { ...history, nodes: [{ ...history.nodes[0], active: 0 }, history.nodes[1]] }
+    ];
+    for (const value of broken) {
+      assertThrows(() => LazyWatch.createUndoManager(doc, { history: value }), JSON.stringify(value));
+    }
+    assertThrows(() => LazyWatch.createUndoManager(doc, { history, mode: 'tree' }), 'mode mismatch');
+    const branched = { ...history, nodes: [...history.nodes, { ...history.nodes[1], id: 5 }] };
+    assertThrows(() => LazyWatch.createUndoManager(doc, { history: branched }), 'branches in linear mode');
+
+    const restored = LazyWatch.createUndoManager(doc, { history });
+    restored.dispose();
+    assertThrows(() => restored.serialize(), 'disposed');
+    LazyWatch.dispose(doc);
+  });
+}
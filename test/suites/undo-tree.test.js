@@ -0,0 +1,103 @@
+// undo-tree.test.js - Branching undo history: { mode: 'tree' }, branches, switchBranch, goTo
+import { LazyWatch } from '../../src/lazy-watch.js';
+import { assertEquals, assertTrue, assertThrows, wait, step } from '../helpers.js';
+
+export default function register(runner) {
+  runner.test('tree mode should keep undone steps as a sibling branch', async () => {
+    const doc = new LazyWatch({ text: '' });
+    const manager = LazyWatch.createUndoManager(doc, { mode: 'tree' });
+    step(doc, () => { doc.text = 'a'; });
+    step(doc, () => { doc.text = 'ab'; });
+    step(doc, () => { doc.text = 'abc'; });
+
+    manager.undo();
+    manager.undo();
+    step(doc, () => { doc.text = 'aX'; });
+    assertTrue(!manager.canRedo, 'the new branch has nothing to redo');
+
+    manager.undo();
+    assertEquals(doc.text, 'a');
+    const branches = manager.branches();
+    assertEquals(branches.map(branch => branch.active), [false, true], 'redo follows the newest branch');
+    assertTrue(manager.redo());
+    assertEquals(doc.text, 'aX');
+
+    manager.undo();
+    manager.switchBranch(0);
+    assertTrue(manager.redo() && manager.redo());
+    assertEquals(doc.text, 'abc', 'the discarded work is still reachable');
+    assertTrue(!manager.canRedo);
+    LazyWatch.dispose(doc);
+  });
+
+  runner.test('goTo should walk through the common ancestor', async () => {
+    const doc = new LazyWatch({ a: 0, b: 0 });
+    const manager = LazyWatch.createUndoManager(doc, { mode: 'tree' });
+    const root = manager.nodeId;
+    step(doc, () => { doc.a = 1; });
+    const fork = manager.nodeId;
+    step(doc, () => { doc.a = 2; });
+    step(doc, () => { doc.b = 2; });
+    const left = manager.nodeId;
+    manager.undo();
+    manager.undo();
+    step(doc, () => { doc.b = 9; });
+    const right = manager.nodeId;
+
+    const batches = [];
+    LazyWatch.on(doc, (diff, inverse, meta) => batches.push([diff, meta.source]));
+    assertTrue(manager.goTo(left));
+    assertEquals(LazyWatch.snapshot(doc), { a: 2, b: 2 });
+    assertEquals(manager.nodeId, left);
+    await wait(10);
+    assertEquals(batches, [[{ b: 0 }, 'undo'], [{ a: 2, b: 2 }, 'redo']], 'one batch per direction');
+
+    manager.goTo(fork);
+    assertEquals(manager.branches().map(branch => branch.active), [true, false],
+      'goTo selects the branch it came down');
+    assertEquals(manager.goTo(fork), false, 'already there');
+    manager.goTo(right);
+    assertEquals(LazyWatch.snapshot(doc), { a: 1, b: 9 });
+    manager.goTo(root);
+    assertEquals(LazyWatch.snapshot(doc), { a: 0, b: 0 });
+    assertTrue(!manager.canUndo);
+    LazyWatch.dispose(doc);
+  });
+
+  runner.test('tree mode limit should re-root at the current path', async () => {
+    const doc = new LazyWatch({ n: 0 });
+    const manager = LazyWatch.createUndoManager(doc, { mode: 'tree', limit: 2 });
+    step(doc, () => { doc.n = 1; });
+    const dropped = manager.nodeId;
+    manager.undo();
+    step(doc, () => { doc.n = 10; });
+    step(doc, () => { doc.n = 11; });
+    step(doc, () => { doc.n = 12; });
+
+    assertThrows(() => manager.goTo(dropped), 'branches off the dropped root are gone');
+    assertTrue(manager.undo() && manager.undo());
+    assertEquals(doc.n, 10);
+    assertTrue(!manager.undo(), 'only `limit` steps are kept');
+    LazyWatch.dispose(doc);
+  });
+
+  runner.test('tree navigation should be validated and tree-only', async () => {
+    const doc = new LazyWatch({ n: 0 });
+    assertThrows(() => LazyWatch.createUndoManager(doc, { mode: 'graph' }), 'unknown mode');
+    const linear = LazyWatch.createUndoManager(doc);
+    assertThrows(() => linear.branches(), 'linear managers have no branches');
+    assertThrows(() => linear.goTo(1), 'linear goTo takes a history index');
+    step(doc, () => { doc.n = 1; });
+    linear.undo();
+    step(doc, () => { doc.n = 2; });
+    assertTrue(!linear.canRedo, 'linear mode still discards the redo stack');
+    linear.dispose();
+
+    const manager = LazyWatch.createUndoManager(doc, { mode: 'tree' });
+    assertThrows(() => manager.switchBranch(0), 'no branches yet');
+    assertThrows(() => manager.goTo(12345), 'unknown node');
+    manager.dispose();
+    assertThrows(() => manager.branches(), 'disposed');
+    LazyWatch.dispose(doc);
+  });
+}
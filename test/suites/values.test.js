@@ -132,6 +132,57 @@ export default function register(runner) {
     LazyWatch.dispose(watched);
   });
 
+  runner.test('should reject BigInt values, naming the path', () => {
+    const watched = new LazyWatch({ n: 1, list: [], nested: {} });
+    const messageOf = fn => {
+      try {
+        fn();
+      } catch (e) {
+        return e instanceof TypeError ? e.message : 'not a TypeError';
+      }
+      return 'did not throw';
+    };
+    assertTrue(messageOf(() => { watched.nested.id = 1n; }).includes('BigInt 1n at "nested.id"'));
+    assertTrue(messageOf(() => LazyWatch.patch(watched, { deep: { ids: [2n] } })).includes('at "deep.ids.0"'));
+    assertThrows(() => watched.list.push(3n));
+    assertThrows(() => LazyWatch.overwrite(watched, { n: 4n }));
+    assertThrows(() => new LazyWatch({ n: 5n }));
+    assertThrows(() => LazyWatch.patch({}, { n: 6n }), 'plain targets too');
+    assertThrows(() => LazyWatch.composeDiffs({ n: 1 }, { n: 7n }));
+    assertThrows(() => new LazyWatch({ ids: new Set([8n]) }, { collections: true }));
+    assertEquals(LazyWatch.snapshot(watched), { n: 1, list: [], nested: {} }, 'state should be untouched after rejection');
+    LazyWatch.dispose(watched);
+  });
+
+  runner.test('BigInt values should sync through patch, composeDiffs and inverses with a codec', async () => {
+    const unregister = LazyWatch.registerCodec({
+      name: 'BigInt', test: v => typeof v === 'bigint', encode: n => n.toString(), decode: s => BigInt(s)
+    });
+    try {
+      const ledger = new LazyWatch({ balance: 10n }, { inverse: true });
+      const sent = [];
+      LazyWatch.on(ledger, (diff, inverse) => {
+        sent.push(JSON.parse(JSON.stringify(LazyWatch.encodeDiff({ diff, inverse }))));
+      });
+      ledger.balance += 5n;
+      await wait(10);
+      ledger.balance = 2n ** 64n;
+      await wait(10);
+      assertEquals(sent[0], { diff: { balance: { $type: 'BigInt', v: '15' } }, inverse: { balance: { $type: 'BigInt', v: '10' } } });
+
+      const mirror = new LazyWatch({ balance: 0n });
+      LazyWatch.patch(mirror, LazyWatch.composeDiffs(sent[0].diff, sent[1].diff));
+      assertTrue(mirror.balance === 18446744073709551616n, 'composed, patched and revived');
+      LazyWatch.patch(mirror, sent[1].inverse);
+      assertTrue(mirror.balance === 15n, 'inverse diffs restore BigInts');
+      assertTrue(LazyWatch.composeDiffs({ balance: 1n }, { balance: 2n }).balance === 2n);
+      LazyWatch.dispose(ledger);
+      LazyWatch.dispose(mirror);
+    } finally {
+      unregister();
+    }
+  });
+
   runner.test('deletions should propagate through a patch relay chain', async () => {
     const init = () => ({ x: 1, y: 2 });
     const A = new LazyWatch(init());
@@ -18,6 +18,30 @@ import registerTraps from './suites/traps.test.js';
 import registerScheduler from './suites/scheduler.test.js';
 import registerPlainTargets from './suites/plain-targets.test.js';
 import registerDeepArrayDiffs from './suites/deep-array-diffs.test.js';
+import registerPathListeners from './suites/path-listeners.test.js';
+import registerFlatChanges from './suites/flat-changes.test.js';
+import registerJSONPatch from './suites/json-patch.test.js';
+import registerMergePatch from './suites/merge-patch.test.js';
+import registerSyncSession from './suites/sync-session.test.js';
+import registerOrigin from './suites/origin.test.js';
+import registerBatchMeta from './suites/batch-meta.test.js';
+import registerHistoryLog from './suites/history-log.test.js';
+import registerPersist from './suites/persist.test.js';
+import registerUndoTree from './suites/undo-tree.test.js';
+import registerUndoSerialize from './suites/undo-serialize.test.js';
+import registerUndoScope from './suites/undo-scope.test.js';
+import registerUndoLabels from './suites/undo-labels.test.js';
+import registerUndoGoTo from './suites/undo-goto.test.js';
+import registerUndoRevert from './suites/undo-revert.test.js';
+import registerUndoBudget from './suites/undo-budget.test.js';
+import registerTransactionAsync from './suites/transaction-async.test.js';
+import registerSavepoints from './suites/savepoints.test.js';
+import registerOptimistic from './suites/optimistic.test.js';
+import registerMultiTransaction from './suites/multi-transaction.test.js';
+import registerCollections from './suites/collections.test.js';
+import registerCodecs from './suites/codecs.test.js';
+import registerTrackDates from './suites/track-dates.test.js';
+import registerComputed from './suites/computed.test.js';
 
 const runner = new TestRunner();
 
@@ -35,6 +59,30 @@ registerTraps(runner);
 registerScheduler(runner);
 registerPlainTargets(runner);
 registerDeepArrayDiffs(runner);
+registerPathListeners(runner);
+registerFlatChanges(runner);
+registerJSONPatch(runner);
+registerMergePatch(runner);
+registerSyncSession(runner);
+registerOrigin(runner);
+registerBatchMeta(runner);
+registerHistoryLog(runner);
+registerPersist(runner);
+registerUndoTree(runner);
+registerUndoSerialize(runner);
+registerUndoScope(runner);
+registerUndoLabels(runner);
+registerUndoGoTo(runner);
+registerUndoRevert(runner);
+registerUndoBudget(runner);
+registerTransactionAsync(runner);
+registerSavepoints(runner);
+registerOptimistic(runner);
+registerMultiTransaction(runner);
+registerCollections(runner);
+registerCodecs(runner);
+registerTrackDates(runner);
+registerComputed(runner);
 
 runExamples();
 
@@ -2,7 +2,11 @@
 // Run with: npx -p typescript tsc --project test/tsconfig.json
 // This file is never executed; tsc failing (including unused @ts-expect-error) is the test.
 import { LazyWatch, PROXY_TARGET, LAZYWATCH_INSTANCE } from '../src/lazy-watch.js';
-import type { ChangeSet, ChangeListener, Patch, Unsubscribe, UndoManager } from '../src/lazy-watch.js';
+import type { ChangeSet, ChangeListener, Patch, Unsubscribe, UndoManager, PathMatch, ChangeRecord, JSONPatchOperation,
+  SyncMessage, SyncSource, SyncReplica, BatchMeta,
+  BatchSource, HistoryLog, HistoryStore, HistoryEntry, Persistence,
+  UndoBranch, SerializedUndoHistory, UndoStepInfo, UndoRevertResult, Savepoint,
+  OptimisticOperation, MapDiff, SetDiff, Codec, CodecTag, Computed } from '../src/lazy-watch.js';
 
 interface User {
   name: string;
@@ -66,6 +70,36 @@ LazyWatch.on(watched, () => {}, { signal: 'abort' });
 // @ts-expect-error - listener must be a function
 LazyWatch.on(watched, 'not a function');
 
+// Flat listeners receive change records, discriminated by op
+LazyWatch.on(watched, changes => {
+  for (const record of changes) {
+    const segments: string[] = record.path;
+    if (record.op === 'splice') {
+      const at: number = record.index;
+      void at, record.deleteCount, record.value.length;
+    } else if (record.op === 'set') {
+      void record.value, record.oldValue;
+    }
+    void segments;
+  }
+}, { changes: 'flat' });
+LazyWatch.once(watched, (changes: ChangeRecord[]) => { void changes; }, { changes: 'flat' });
+// @ts-expect-error - without the flat option, listeners receive the nested diff
+LazyWatch.on(watched, (changes: ChangeRecord[]) => { void changes; });
+// @ts-expect-error - changes must be 'diff' or 'flat'
+LazyWatch.on(watched, () => {}, { changes: 'nested' });
+
+// Path-pattern listeners receive a list of matches
+const stopPath: Unsubscribe = LazyWatch.onPath(watched, 'profile.*', matches => {
+  const first: PathMatch | undefined = matches[0];
+  const segments: string[] | undefined = first?.path;
+  void segments, first?.value, first?.oldValue;
+}, { once: true });
+stopPath();
+LazyWatch.onPath(watched, ['profile', 'theme'], () => {});
+// @ts-expect-error - the pattern must be a string or an array of segments
+LazyWatch.onPath(watched, 42, () => {});
+
 // Patches allow partial updates, null deletions, and diff fragments
 LazyWatch.patch(watched, { age: 32 });
 LazyWatch.patch(watched, { age: null });
@@ -79,6 +113,19 @@ LazyWatch.patch(plain, { b: null, c: { d: 30 } });
 const composed: ChangeSet = LazyWatch.composeDiffs({ a: 1 }, { a: null, b: 2 });
 void composed;
 
+// JSON Patch export/import
+const jsonOps: JSONPatchOperation[] = LazyWatch.toJSONPatch({ a: 1 }, { a: 0 });
+LazyWatch.applyJSONPatch(watched, jsonOps);
+LazyWatch.applyJSONPatch(plain, [
+  { op: 'test', path: '/a', value: 1 },
+  { op: 'move', from: '/b', path: '/z' },
+  { op: 'remove', path: '/c' }
+]);
+// @ts-expect-error move needs from
+LazyWatch.applyJSONPatch(plain, [{ op: 'move', path: '/a' }]);
+// @ts-expect-error unknown op
+LazyWatch.applyJSONPatch(plain, [{ op: 'merge', path: '/a', value: 1 }]);
+
 const p: Patch<User> = { profile: { theme: 'light' }, age: null };
 void p;
 
@@ -114,13 +161,179 @@ manager.canUndo = true;
 LazyWatch.createUndoManager(watched, { limit: 'many' });
 
 // Grouping, coalescing, and persistence
-const um = LazyWatch.createUndoManager(watched, { limit: 10, coalesce: 300 });
+const um = LazyWatch.createUndoManager(watched, { limit: 10, coalesce: 300, maxBytes: 50 * 1024 * 1024 });
+const historyBytes: number = um.stats().bytes;
+void historyBytes;
 const groupResult: number = um.group(() => 7);
 void groupResult;
 um.checkpoint();
 um.dispose();
 // @ts-expect-error - coalesce must be a number
 LazyWatch.createUndoManager(watched, { coalesce: 'fast' });
+// @ts-expect-error - maxBytes must be a number
+LazyWatch.createUndoManager(watched, { maxBytes: '50MB' });
+
+// Sync sessions
+const outbox: SyncMessage[] = [];
+const syncSource: SyncSource = LazyWatch.createSyncSource(watched, {
+  send: message => { outbox.push(message); },
+  onMessage: () => {}
+});
+const replica: SyncReplica = LazyWatch.createSyncReplica({}, {
+  send: message => { if (message.type === 'resync-request') syncSource.resync(); },
+  onMessage: handler => { outbox.forEach(handler); return () => {}; }
+});
+const replicaSeq: number | null = replica.seq;
+void replicaSeq;
+// @ts-expect-error - seq is read-only
+syncSource.seq = 3;
+// @ts-expect-error - a channel needs onMessage
+LazyWatch.createSyncReplica({}, { send: () => {} });
+
+// Origin tags and batch metadata
+LazyWatch.patch(watched, { age: 1 }, { origin: 'peer-1' });
+LazyWatch.overwrite(watched, { name: 'x' }, { origin: Symbol('sync') });
+LazyWatch.on(watched, (changes, inverse, meta: BatchMeta) => { void changes, inverse, meta.origin; },
+  { ignoreOrigin: 'peer-1' });
+// @ts-expect-error - options must be an object
+LazyWatch.patch(watched, { age: 1 }, 'peer-1');
+LazyWatch.on(watched, (changes, inverse, meta) => {
+  const source: BatchSource = meta.source;
+  const stamp: number = meta.timestamp + meta.batchId;
+  void changes, inverse, source, stamp;
+  // @ts-expect-error - not a batch source
+  if (meta.source === 'remote') return;
+});
+
+// History logs
+const entriesById = new Map<number, HistoryEntry>();
+const store: HistoryStore = {
+  append: entry => { entriesById.set(entry.id, entry); },
+  entries: () => [...entriesById.values()],
+  getBase: () => null,
+  setBase: () => {}
+};
+const log: HistoryLog<{ name: string; age: number }> = LazyWatch.createHistoryLog(watched, { store });
+const past: { name: string; age: number } = log.at(log.baseId);
+log.replay(log.headId);
+log.compact(log.position);
+void past, log.entries()[0]?.meta.source;
+// @ts-expect-error - position is read-only
+log.position = 1;
+// @ts-expect-error - a store needs every method
+LazyWatch.createHistoryLog(watched, { store: { append: () => {} } });
+
+// Undo trees
+const treeManager = LazyWatch.createUndoManager(watched, { mode: 'tree' });
+const branchList: UndoBranch[] = treeManager.branches();
+treeManager.switchBranch(0);
+const moved: boolean = treeManager.goTo(branchList[0]?.id ?? treeManager.nodeId);
+void moved;
+// @ts-expect-error - unknown mode
+LazyWatch.createUndoManager(watched, { mode: 'graph' });
+// @ts-expect-error - nodeId is read-only
+treeManager.nodeId = 3;
+
+const savedHistory: SerializedUndoHistory = JSON.parse(JSON.stringify(treeManager.serialize()));
+LazyWatch.createUndoManager(watched, { history: savedHistory, coalesce: 500 });
+// @ts-expect-error - history must be a serialize() result
+LazyWatch.createUndoManager(watched, { history: '[]' });
+
+// Undo step labels and history views
+treeManager.group(() => { watched.name = 'Bea'; }, { label: 'Rename', meta: { field: 'name' } });
+treeManager.label('Rename user');
+const topStep: UndoStepInfo | undefined = treeManager.undoStack[treeManager.undoStack.length - 1];
+const touched: ReadonlyArray<string[]> | undefined = topStep?.paths;
+void touched;
+const stopHistory: Unsubscribe = treeManager.on('change', () => treeManager.redoStack.length);
+stopHistory();
+// @ts-expect-error - the stacks are read-only views
+treeManager.undoStack.push(topStep!);
+// @ts-expect-error - labels are strings
+treeManager.label(42);
+// @ts-expect-error - 'change' is the only event
+treeManager.on('update', () => {});
+const reverted: UndoRevertResult = treeManager.revert(0, { onConflict: 'throw' });
+const conflictPaths: string[][] = reverted.conflicts;
+void conflictPaths;
+// @ts-expect-error - onConflict is 'skip' or 'throw'
+treeManager.revert(0, { onConflict: 'merge' });
+
+// Persistence
+const persisted: Persistence = LazyWatch.persist(watched, {
+  storage: new Map<string, string>(),
+  key: 'user',
+  debounce: 100,
+  version: 2,
+  migrate: (old, oldVersion) => ({ name: String(old.name), age: oldVersion === 1 ? 0 : old.age })
+});
+const wasRestored: boolean = persisted.restored;
+void wasRestored;
+persisted.save();
+LazyWatch.persist(watched, { storage: { getItem: () => null, setItem: () => {} }, key: 'user' });
+// @ts-expect-error - key is required
+LazyWatch.persist(watched, { storage: new Map() });
+// @ts-expect-error - migrate must return the watched shape
+LazyWatch.persist(watched, { storage: new Map(), key: 'k', migrate: () => 42 });
+
+// Merge-patch wire format
+const mp = new LazyWatch({ list: [1] }, { wire: 'merge-patch' });
+const mpDiff: ChangeSet = LazyWatch.toMergePatch({ list: { 0: 2 } }, mp);
+void mpDiff;
+// @ts-expect-error - unknown wire format
+new LazyWatch({}, { wire: 'json-patch' });
+
+// Tracked Map and Set values
+const coll = new LazyWatch({ users: new Map<string, { role: string }>(), tags: new Set<string>() },
+  { collections: true });
+coll.users.set('ann', { role: 'admin' });
+coll.tags.add('a');
+LazyWatch.on(coll, changes => {
+  const role: string | undefined = changes?.users?.$map.set?.[0]?.[1].role;
+  const added: string[] | undefined = changes?.tags?.$set.add;
+  void role, added;
+});
+const mapDiff: MapDiff<string, number> = { $map: { clear: true, set: [['a', 1]] } };
+void mapDiff;
+// @ts-expect-error - Set diffs add members, they don't set entries
+const badSetDiff: SetDiff<string> = { $set: { set: [['a', 1]] } };
+void badSetDiff;
+// @ts-expect-error - collections is a flag
+new LazyWatch({}, { collections: 'yes' });
+const dated = new LazyWatch({ when: new Date(0) }, { trackDates: true });
+const hours: number = dated.when.setHours(1);
+void hours;
+// @ts-expect-error - trackDates is a flag
+new LazyWatch({}, { trackDates: 1 });
+
+// Codecs for custom leaf types
+const dateCodec: Codec<Date, string> = {
+  name: 'Date',
+  test: value => value instanceof Date,
+  encode: date => date.toISOString(),
+  decode: iso => new Date(iso)
+};
+const unregister: Unsubscribe = LazyWatch.registerCodec(dateCodec);
+unregister();
+const encodedDiff: ChangeSet = LazyWatch.encodeDiff({ at: new Date() });
+const tag: CodecTag<string> = { $type: 'Date', v: '2020-01-01T00:00:00.000Z' };
+void LazyWatch.decodeDiff({ at: tag }), encodedDiff;
+// @ts-expect-error - decode takes what encode returns
+LazyWatch.registerCodec<Date, string>({ name: 'D', test: () => true, encode: d => d.getTime(), decode: (s: string) => new Date(s) });
+// @ts-expect-error - a codec needs a name
+LazyWatch.registerCodec({ test: () => true, encode: (x: number) => x, decode: (x: number) => x });
+
+// Computed values
+const adults: Computed<number> = LazyWatch.computed(watched, u => (u.age >= 18 ? 1 : 0), { key: 'adults' });
+const adultCount: number = adults.value;
+void adultCount, adults.disposed;
+adults.dispose();
+LazyWatch.computed(watched, u => u.name.length, { key: 'nameLength', silent: false });
+// @ts-expect-error - the value type follows fn
+const wrongValue: Computed<string> = LazyWatch.computed(watched, u => u.age);
+void wrongValue;
+// @ts-expect-error - key must be a string
+LazyWatch.computed(watched, u => u.age, { key: 1 });
 
 // Inverse diffs and transactions
 const inv = new LazyWatch({ n: 1 }, { inverse: true });
@@ -133,6 +346,34 @@ LazyWatch.on(inv, (changes, inverse) => {
 const txResult: number = LazyWatch.transaction(inv, () => { inv.n = 2; return 42; });
 void txResult;
 LazyWatch.transaction(inv, () => {}); // void callbacks are fine
+LazyWatch.transaction(inv, tx => {
+  const sp: Savepoint = tx.savepoint();
+  inv.n = 5;
+  tx.rollbackTo(sp);
+  // @ts-expect-error savepoints are tokens from tx.savepoint()
+  tx.rollbackTo('start');
+});
+const other = new LazyWatch({ flag: false });
+const multiResult: string = LazyWatch.transaction([inv, other], () => {
+  inv.n = 7;
+  other.flag = true;
+  return 'both';
+});
+void multiResult;
+const asyncTx: Promise<string> = LazyWatch.transactionAsync(inv, async tx => {
+  inv.n = 3;
+  const saved: number = tx.run(() => { inv.n = 4; return inv.n; });
+  return String(saved);
+}, { hold: true, onConflict: conflicts => { const first: string[] | undefined = conflicts[0]; void first; } });
+void asyncTx;
+// @ts-expect-error hold is a boolean
+LazyWatch.transactionAsync(inv, async () => {}, { hold: 'yes' });
+const op: OptimisticOperation = LazyWatch.optimistic(inv, () => { inv.n = 6; });
+const opReverted: UndoRevertResult = op.revert();
+void opReverted;
+// @ts-expect-error confirm returns nothing
+const confirmed: UndoRevertResult = op.confirm();
+void confirmed;
 LazyWatch.dispose(inv);
 LazyWatch.dispose(watched);
 